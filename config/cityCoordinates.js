@@ -0,0 +1,83 @@
+// config/cityCoordinates.js - Offline city table used by the city-table geocoder
+//
+// Coordinates are city centres (WGS84). Extend the table as new cities show up
+// in fighter profiles, or plug in a real geocoding provider
+// (see services/geocoder.js).
+
+export const CITY_COORDINATES = [
+    // United States
+    { city: "New York", state: "New York", stateCode: "NY", country: "United States", lat: 40.7128, lng: -74.0060 },
+    { city: "Brooklyn", state: "New York", stateCode: "NY", country: "United States", lat: 40.6782, lng: -73.9442 },
+    { city: "Newark", state: "New Jersey", stateCode: "NJ", country: "United States", lat: 40.7357, lng: -74.1724 },
+    { city: "Philadelphia", state: "Pennsylvania", stateCode: "PA", country: "United States", lat: 39.9526, lng: -75.1652 },
+    { city: "Boston", state: "Massachusetts", stateCode: "MA", country: "United States", lat: 42.3601, lng: -71.0589 },
+    { city: "Washington", state: "District of Columbia", stateCode: "DC", country: "United States", lat: 38.9072, lng: -77.0369 },
+    { city: "Baltimore", state: "Maryland", stateCode: "MD", country: "United States", lat: 39.2904, lng: -76.6122 },
+    { city: "Atlanta", state: "Georgia", stateCode: "GA", country: "United States", lat: 33.7490, lng: -84.3880 },
+    { city: "Miami", state: "Florida", stateCode: "FL", country: "United States", lat: 25.7617, lng: -80.1918 },
+    { city: "Orlando", state: "Florida", stateCode: "FL", country: "United States", lat: 28.5383, lng: -81.3792 },
+    { city: "Tampa", state: "Florida", stateCode: "FL", country: "United States", lat: 27.9506, lng: -82.4572 },
+    { city: "Coconut Creek", state: "Florida", stateCode: "FL", country: "United States", lat: 26.2517, lng: -80.1789 },
+    { city: "Charlotte", state: "North Carolina", stateCode: "NC", country: "United States", lat: 35.2271, lng: -80.8431 },
+    { city: "Nashville", state: "Tennessee", stateCode: "TN", country: "United States", lat: 36.1627, lng: -86.7816 },
+    { city: "Chicago", state: "Illinois", stateCode: "IL", country: "United States", lat: 41.8781, lng: -87.6298 },
+    { city: "Detroit", state: "Michigan", stateCode: "MI", country: "United States", lat: 42.3314, lng: -83.0458 },
+    { city: "Cleveland", state: "Ohio", stateCode: "OH", country: "United States", lat: 41.4993, lng: -81.6944 },
+    { city: "Columbus", state: "Ohio", stateCode: "OH", country: "United States", lat: 39.9612, lng: -82.9988 },
+    { city: "Milwaukee", state: "Wisconsin", stateCode: "WI", country: "United States", lat: 43.0389, lng: -87.9065 },
+    { city: "Minneapolis", state: "Minnesota", stateCode: "MN", country: "United States", lat: 44.9778, lng: -93.2650 },
+    { city: "St. Louis", state: "Missouri", stateCode: "MO", country: "United States", lat: 38.6270, lng: -90.1994 },
+    { city: "Kansas City", state: "Missouri", stateCode: "MO", country: "United States", lat: 39.0997, lng: -94.5786 },
+    { city: "Dallas", state: "Texas", stateCode: "TX", country: "United States", lat: 32.7767, lng: -96.7970 },
+    { city: "Houston", state: "Texas", stateCode: "TX", country: "United States", lat: 29.7604, lng: -95.3698 },
+    { city: "Austin", state: "Texas", stateCode: "TX", country: "United States", lat: 30.2672, lng: -97.7431 },
+    { city: "San Antonio", state: "Texas", stateCode: "TX", country: "United States", lat: 29.4241, lng: -98.4936 },
+    { city: "Denver", state: "Colorado", stateCode: "CO", country: "United States", lat: 39.7392, lng: -104.9903 },
+    { city: "Albuquerque", state: "New Mexico", stateCode: "NM", country: "United States", lat: 35.0844, lng: -106.6504 },
+    { city: "Phoenix", state: "Arizona", stateCode: "AZ", country: "United States", lat: 33.4484, lng: -112.0740 },
+    { city: "Las Vegas", state: "Nevada", stateCode: "NV", country: "United States", lat: 36.1699, lng: -115.1398 },
+    { city: "Salt Lake City", state: "Utah", stateCode: "UT", country: "United States", lat: 40.7608, lng: -111.8910 },
+    { city: "Los Angeles", state: "California", stateCode: "CA", country: "United States", lat: 34.0522, lng: -118.2437 },
+    { city: "San Diego", state: "California", stateCode: "CA", country: "United States", lat: 32.7157, lng: -117.1611 },
+    { city: "San Jose", state: "California", stateCode: "CA", country: "United States", lat: 37.3382, lng: -121.8863 },
+    { city: "San Francisco", state: "California", stateCode: "CA", country: "United States", lat: 37.7749, lng: -122.4194 },
+    { city: "Sacramento", state: "California", stateCode: "CA", country: "United States", lat: 38.5816, lng: -121.4944 },
+    { city: "Portland", state: "Oregon", stateCode: "OR", country: "United States", lat: 45.5152, lng: -122.6784 },
+    { city: "Seattle", state: "Washington", stateCode: "WA", country: "United States", lat: 47.6062, lng: -122.3321 },
+    { city: "Honolulu", state: "Hawaii", stateCode: "HI", country: "United States", lat: 21.3069, lng: -157.8583 },
+
+    // Rest of the world
+    { city: "Toronto", state: "Ontario", stateCode: "ON", country: "Canada", lat: 43.6532, lng: -79.3832 },
+    { city: "Montreal", state: "Quebec", stateCode: "QC", country: "Canada", lat: 45.5017, lng: -73.5673 },
+    { city: "Vancouver", state: "British Columbia", stateCode: "BC", country: "Canada", lat: 49.2827, lng: -123.1207 },
+    { city: "Mexico City", state: "Mexico City", stateCode: "CDMX", country: "Mexico", lat: 19.4326, lng: -99.1332 },
+    { city: "Rio de Janeiro", state: "Rio de Janeiro", stateCode: "RJ", country: "Brazil", lat: -22.9068, lng: -43.1729 },
+    { city: "Sao Paulo", state: "Sao Paulo", stateCode: "SP", country: "Brazil", lat: -23.5505, lng: -46.6333 },
+    { city: "London", state: "England", stateCode: "ENG", country: "United Kingdom", lat: 51.5074, lng: -0.1278 },
+    { city: "Manchester", state: "England", stateCode: "ENG", country: "United Kingdom", lat: 53.4808, lng: -2.2426 },
+    { city: "Dublin", state: "Leinster", stateCode: "L", country: "Ireland", lat: 53.3498, lng: -6.2603 },
+    { city: "Amsterdam", state: "North Holland", stateCode: "NH", country: "Netherlands", lat: 52.3676, lng: 4.9041 },
+    { city: "Paris", state: "Ile-de-France", stateCode: "IDF", country: "France", lat: 48.8566, lng: 2.3522 },
+    { city: "Makhachkala", state: "Dagestan", stateCode: "DA", country: "Russia", lat: 42.9849, lng: 47.5047 },
+    { city: "Bangkok", state: "Bangkok", stateCode: "BKK", country: "Thailand", lat: 13.7563, lng: 100.5018 },
+    { city: "Tokyo", state: "Tokyo", stateCode: "TYO", country: "Japan", lat: 35.6762, lng: 139.6503 },
+    { city: "Sydney", state: "New South Wales", stateCode: "NSW", country: "Australia", lat: -33.8688, lng: 151.2093 },
+    { city: "Auckland", state: "Auckland", stateCode: "AUK", country: "New Zealand", lat: -36.8485, lng: 174.7633 }
+];
+
+// Other spellings of country names users commonly type
+export const COUNTRY_ALIASES = {
+    "usa": "United States",
+    "us": "United States",
+    "u.s.": "United States",
+    "u.s.a.": "United States",
+    "united states of america": "United States",
+    "america": "United States",
+    "uk": "United Kingdom",
+    "u.k.": "United Kingdom",
+    "england": "United Kingdom",
+    "great britain": "United Kingdom",
+    "brasil": "Brazil"
+};
+
+export default CITY_COORDINATES;
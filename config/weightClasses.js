@@ -0,0 +1,70 @@
+// config/weightClasses.js - Weight class table (limits in lbs)
+
+/**
+ * Standard divisions, lightest first. A fighter belongs to the lightest class
+ * whose upper limit is at or above their weight. Anyone heavier than the
+ * Heavyweight limit has no standard class and can only fight at
+ * Catchweight (with an agreed limit) or Open Weight.
+ */
+export const WEIGHT_CLASSES = [
+    { name: "Flyweight", limit: 125 },
+    { name: "Bantamweight", limit: 135 },
+    { name: "Featherweight", limit: 145 },
+    { name: "Lightweight", limit: 155 },
+    { name: "Welterweight", limit: 170 },
+    { name: "Middleweight", limit: 185 },
+    { name: "Light Heavyweight", limit: 205 },
+    { name: "Heavyweight", limit: 265 }
+];
+
+// Non-standard classes: the limit is agreed per fight, or there is none
+export const CATCHWEIGHT = "Catchweight";
+export const OPEN_WEIGHT = "Open Weight";
+
+// Names of the standard divisions (the ones that are ranked)
+export const DIVISION_NAMES = WEIGHT_CLASSES.map(weightClass => weightClass.name);
+
+// Every value accepted as a fight / challenge weight class
+export const WEIGHT_CLASS_NAMES = [...DIVISION_NAMES, CATCHWEIGHT, OPEN_WEIGHT];
+
+// How far over a class limit a fighter's profile weight may be and still be
+// expected to make weight by fight night (0.1 = 10%)
+export const MAX_WEIGHT_CUT = 0.1;
+
+// Official weigh-ins may come in this many lbs over the limit (non-title allowance)
+export const WEIGH_IN_TOLERANCE = 1;
+
+/**
+ * Upper limit of a standard class, or null for Catchweight / Open Weight / unknown names
+ */
+export const limitFor = (name) => {
+    return WEIGHT_CLASSES.find(weightClass => weightClass.name === name)?.limit ?? null;
+};
+
+/**
+ * Standard class for a weight, or null when unknown or above the Heavyweight limit
+ */
+export const weightClassFor = (weight) => {
+    if (typeof weight !== 'number' || Number.isNaN(weight)) {
+        return null;
+    }
+    return WEIGHT_CLASSES.find(weightClass => weight <= weightClass.limit)?.name ?? null;
+};
+
+/**
+ * Position of a standard class in the table (-1 for anything else)
+ */
+export const classIndex = (name) => DIVISION_NAMES.indexOf(name);
+
+export default {
+    WEIGHT_CLASSES,
+    CATCHWEIGHT,
+    OPEN_WEIGHT,
+    DIVISION_NAMES,
+    WEIGHT_CLASS_NAMES,
+    MAX_WEIGHT_CUT,
+    WEIGH_IN_TOLERANCE,
+    limitFor,
+    weightClassFor,
+    classIndex
+};
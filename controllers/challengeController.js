@@ -1,7 +1,60 @@
 // controllers/challengeController.js - Challenge system controller
 import Challenge from "../models/challengeModel.js";
+import ChallengeMessage from "../models/challengeMessageModel.js";
+import Fight from "../models/fightModel.js";
 import User from "../models/userModel.js";
 import { AppError, catchAsync } from "../middleware/errorHandler.js";
+import { CATCHWEIGHT } from "../config/weightClasses.js";
+import { enforceWeightClass, suggestWeightClass } from "../services/weightCheck.js";
+import { enforceSchedule } from "../services/scheduling.js";
+import { enforceNotSuspended } from "../services/suspensions.js";
+import { enforceCanChallenge, enforceTeammateConfirmation, teammateConfirmationGym } from "../services/challengeChecks.js";
+import { enforceEligibility } from "../services/openChallenges.js";
+import { resolveLocation } from "../services/geocoder.js";
+import { containsPattern } from "../utils/escapeRegex.js";
+
+// Load a challenge and make sure the caller takes part in it
+const findParticipantChallenge = async (req, next, action) => {
+    const challenge = await Challenge.findById(req.params.id)
+        .select('challenger challenged status readMarkers');
+
+    if (!challenge) {
+        next(new AppError(
+            'Challenge not found',
+            404,
+            'CHALLENGE_NOT_FOUND'
+        ));
+        return null;
+    }
+
+    const userId = req.user.id;
+    if (challenge.challenger.toString() !== userId && challenge.challenged?.toString() !== userId) {
+        next(new AppError(
+            `You can only ${action} challenges you are part of`,
+            403,
+            'NOT_AUTHORIZED'
+        ));
+        return null;
+    }
+
+    return challenge;
+};
+
+// Load a message of the challenge's conversation
+const findThreadMessage = async (challenge, messageId, next) => {
+    const message = await ChallengeMessage.findOne({ _id: messageId, challenge: challenge._id });
+
+    if (!message) {
+        next(new AppError(
+            'Message not found',
+            404,
+            'MESSAGE_NOT_FOUND'
+        ));
+        return null;
+    }
+
+    return message;
+};
 
 /**
  * @desc  Create a new challenge (Fighter A challenges Fighter B)
@@ -12,9 +65,68 @@ import { AppError, catchAsync } from "../middleware/errorHandler.js";
  */
 export const createChallenge = catchAsync(async (req, res, next) => {
     const challengerId = req.user.id;
-    const { challengedId, fightDetails, message } = req.body;
+    const { challengedId, fightDetails, message, expiresAt } = req.body;
+
+    const [challenger, challenged] = await Promise.all([
+        User.findById(challengerId),
+        User.findById(challengedId)
+    ]);
+
+    // Fighter, verified email, open to challenges, no suspension and no
+    // active challenge between the two (services/challengeChecks.js)
+    const { isTeammateChallenge } = await enforceCanChallenge(challenger, challenged);
+
+    // Default to the heavier fighter's class, then make sure both fighters fit it
+    // (throws WEIGHT_CLASS_MISMATCH; allowed mismatches are stored as warnings)
+    const details = { ...fightDetails };
+    if (!details.weightClass) {
+        details.weightClass = suggestWeightClass([challenger, challenged]) || undefined;
+    }
+    details.weightWarnings = enforceWeightClass([challenger, challenged], details);
+
+    // Both fighters must be free on the proposed date (throws SCHEDULE_CONFLICT with free dates)
+    if (details.proposedDate) {
+        await enforceSchedule([challengerId, challengedId], details.proposedDate);
+    }
+
+    // Create the challenge (the opening message starts the conversation)
+    const challenge = new Challenge({
+        challenger: challengerId,
+        challenged: challengedId,
+        isTeammateChallenge,
+        expiresAt,
+        fightDetails: details
+    });
+    challenge.queueMessage({ sender: challengerId, message });
+    await challenge.save();
+
+    // Populate the challenge for response
+    await challenge.populate([
+        { path: 'challenger', select: 'username profilePicture record location.city location.state location.country' },
+        { path: 'challenged', select: 'username profilePicture record location.city location.state location.country' }
+    ]);
+
+    res.status(201).json({
+        success: true,
+        message: "Challenge sent successfully!",
+        data: {
+            challenge
+        }
+    });
+});
+
+/**
+ * @desc  Post an open challenge that any eligible fighter can claim
+ * @route POST /api/challenges/open
+ * @access Private (Fighters only)
+ * 
+ * NOTE: req.body is pre-validated by validateInput('createOpenChallenge') middleware
+ * Eligibility rules are described in services/openChallenges.js.
+ */
+export const createOpenChallenge = catchAsync(async (req, res, next) => {
+    const challengerId = req.user.id;
+    const { fightDetails, eligibility = {}, message, expiresAt } = req.body;
 
-    // Verify challenger is a fighter
     const challenger = await User.findById(challengerId);
     if (!challenger || !challenger.isFighter) {
         return next(new AppError(
@@ -24,35 +136,215 @@ export const createChallenge = catchAsync(async (req, res, next) => {
         ));
     }
 
-    // Verify challenged user exists and is a fighter
-    const challenged = await User.findById(challengedId);
-    if (!challenged) {
+    if (!challenger.emailVerified) {
+        return next(new AppError(
+            'Please verify your email address before sending challenges',
+            403,
+            'EMAIL_NOT_VERIFIED'
+        ));
+    }
+
+    // A radius needs coordinates for the fight location
+    const criteria = { ...eligibility };
+    if (criteria.location) {
+        criteria.location = await resolveLocation(criteria.location);
+    }
+    if (criteria.radiusMiles && !criteria.location?.point) {
+        return next(new AppError(
+            'Could not find coordinates for this location - add coordinates or remove the radius',
+            400,
+            'LOCATION_NOT_FOUND'
+        ));
+    }
+
+    await enforceNotSuspended([challengerId]);
+
+    // The fight is in the eligible weight class unless another one is proposed;
+    // the challenger must be able to make it
+    const details = { ...fightDetails };
+    if (!details.weightClass && criteria.weightClass) {
+        details.weightClass = criteria.weightClass;
+    }
+    details.weightWarnings = enforceWeightClass([challenger], details);
+
+    if (details.proposedDate) {
+        await enforceSchedule([challengerId], details.proposedDate);
+    }
+
+    const challenge = new Challenge({
+        challenger: challengerId,
+        isOpen: true,
+        eligibility: criteria,
+        expiresAt,
+        fightDetails: details
+    });
+    challenge.queueMessage({ sender: challengerId, message });
+    await challenge.save();
+
+    await challenge.populate('challenger', 'username profilePicture record location.city location.state location.country');
+
+    res.status(201).json({
+        success: true,
+        message: "Open challenge posted!",
+        data: {
+            challenge
+        }
+    });
+});
+
+/**
+ * @desc  Browse open challenges that are waiting for an opponent
+ * @route GET /api/challenges/open
+ * @access Public
+ * 
+ * NOTE: req.query is pre-validated by validateInput('openChallengeQuery', 'query') middleware
+ * Only the challenger's opening message is shown - the rest of the thread stays private.
+ */
+export const getOpenChallenges = catchAsync(async (req, res, next) => {
+    const { weightClass, style, city, country } = req.query;
+    const pageNum = parseInt(req.query.page) || 1;
+    const limitNum = parseInt(req.query.limit) || 10;
+
+    const query = {
+        isOpen: true,
+        challenged: null,
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+    };
+    if (weightClass) {
+        query['eligibility.weightClass'] = weightClass;
+    }
+    if (style) {
+        // Challenges without a style restriction are open to every style
+        query.$or = [
+            { 'eligibility.styles': style },
+            { 'eligibility.styles': { $exists: false } },
+            { 'eligibility.styles': { $size: 0 } }
+        ];
+    }
+    if (city) {
+        query['eligibility.location.city'] = containsPattern(city);
+    }
+    if (country) {
+        query['eligibility.location.country'] = containsPattern(country);
+    }
+
+    const [challenges, total] = await Promise.all([
+        Challenge.find(query)
+            .select('-reminders -terms -readMarkers')
+            .populate('challenger', 'username profilePicture record rating weightClass location.city location.state location.country')
+            .sort({ createdAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum),
+        Challenge.countDocuments(query)
+    ]);
+
+    // Opening message of each challenge (its first message)
+    const openingMessages = await ChallengeMessage.aggregate([
+        { $match: { challenge: { $in: challenges.map(challenge => challenge._id) }, deletedAt: { $exists: false } } },
+        { $sort: { _id: 1 } },
+        { $group: { _id: '$challenge', message: { $first: '$message' } } }
+    ]);
+    const openingById = new Map(openingMessages.map(entry => [entry._id.toString(), entry.message]));
+
+    res.status(200).json({
+        success: true,
+        data: {
+            challenges: challenges.map(challenge => ({
+                ...challenge.toJSON(),
+                openingMessage: openingById.get(challenge._id.toString()) ?? null
+            })),
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total,
+                pages: Math.ceil(total / limitNum),
+                hasNext: pageNum < Math.ceil(total / limitNum),
+                hasPrev: pageNum > 1
+            }
+        }
+    });
+});
+
+/**
+ * @desc  Claim an open challenge - the first eligible fighter becomes the opponent
+ * @route POST /api/challenges/:id/claim
+ * @access Private (Eligible fighters)
+ * 
+ * NOTE: req.body is pre-validated by validateInput('claimOpenChallenge') middleware
+ * All checks run first; the claim itself is a single atomic update, so two
+ * fighters claiming at once cannot both get the fight. The claimed challenge
+ * is then accepted on the claimant's behalf, which agrees to the posted terms.
+ */
+export const claimOpenChallenge = catchAsync(async (req, res, next) => {
+    const challengeId = req.params.id;
+    const userId = req.user.id;
+    const { responseMessage, confirmTeammateChallenge } = req.body;
+
+    const challenge = await Challenge.findById(challengeId);
+
+    if (!challenge || !challenge.isOpen) {
         return next(new AppError(
-            'Challenged fighter not found',
+            'Open challenge not found',
             404,
-            'FIGHTER_NOT_FOUND'
+            'CHALLENGE_NOT_FOUND'
         ));
     }
 
-    if (!challenged.isFighter) {
+    if (challenge.challenged) {
         return next(new AppError(
-            'You can only challenge fighters',
+            'This challenge has already been claimed',
+            409,
+            'CHALLENGE_ALREADY_CLAIMED'
+        ));
+    }
+
+    if (!challenge.isClaimable) {
+        return next(new AppError(
+            'This challenge is no longer open',
             400,
-            'TARGET_NOT_FIGHTER'
+            'INVALID_STATUS'
         ));
     }
 
-    // Prevent self-challenges (also handled in model, but double-check here)
-    if (challengerId === challengedId) {
+    if (challenge.challenger.toString() === userId) {
         return next(new AppError(
-            'You cannot challenge yourself',
+            'You cannot claim your own challenge',
             400,
             'SELF_CHALLENGE'
         ));
     }
 
-    // Check if an active challenge already exists between these fighters
-    const existingChallenge = await Challenge.existsBetweenUsers(challengerId, challengedId);
+    const [challenger, fighter] = await Promise.all([
+        User.findById(challenge.challenger),
+        User.findById(userId)
+    ]);
+
+    if (!fighter || !fighter.isFighter) {
+        return next(new AppError(
+            'Only fighters can claim challenges',
+            403,
+            'NOT_FIGHTER'
+        ));
+    }
+
+    if (!fighter.emailVerified) {
+        return next(new AppError(
+            'Please verify your email address before claiming challenges',
+            403,
+            'EMAIL_NOT_VERIFIED'
+        ));
+    }
+
+    // Throws NOT_ELIGIBLE listing every unmet criterion
+    enforceEligibility(challenge.eligibility, fighter);
+
+    // The claimant is the challenged side, so they confirm a teammate's challenge here
+    const isTeammateChallenge = await enforceTeammateConfirmation(fighter, challenger, confirmTeammateChallenge);
+
+    await enforceNotSuspended([challenge.challenger, userId]);
+
+    const existingChallenge = await Challenge.existsBetweenUsers(challenge.challenger, userId);
     if (existingChallenge) {
         return next(new AppError(
             'An active challenge already exists between you and this fighter',
@@ -61,30 +353,43 @@ export const createChallenge = catchAsync(async (req, res, next) => {
         ));
     }
 
-    // Create the challenge
-    const challenge = await Challenge.create({
-        challenger: challengerId,
-        challenged: challengedId,
-        fightDetails: fightDetails || {},
-        messages: [{
-            sender: challengerId,
-            message: message,
-            isSystemMessage: false
-        }]
-    });
+    const weightWarnings = enforceWeightClass([challenger, fighter], challenge.fightDetails);
+    if (challenge.fightDetails.proposedDate) {
+        await enforceSchedule([challenge.challenger, userId], challenge.fightDetails.proposedDate);
+    }
 
-    // Populate the challenge for response
-    await challenge.populate([
-        { path: 'challenger', select: 'username profilePicture record location' },
-        { path: 'challenged', select: 'username profilePicture record location' },
-        { path: 'messages.sender', select: 'username' }
+    const claimed = await Challenge.claimOpen(challengeId, userId, { isTeammateChallenge, weightWarnings });
+    if (!claimed) {
+        return next(new AppError(
+            'Another fighter claimed this challenge first',
+            409,
+            'CHALLENGE_ALREADY_CLAIMED'
+        ));
+    }
+
+    // The claim stands even if accepting fails - the challenge is returned
+    // pending and the claimant can accept it as usual
+    let accepted = true;
+    try {
+        await claimed.accept(responseMessage);
+    } catch (error) {
+        console.error(`Error accepting claimed challenge ${claimed._id}:`, error);
+        accepted = false;
+    }
+
+    const result = accepted ? claimed : await Challenge.findById(claimed._id);
+    await result.populate([
+        { path: 'challenger', select: 'username profilePicture record location.city location.state location.country' },
+        { path: 'challenged', select: 'username profilePicture record location.city location.state location.country' }
     ]);
 
-    res.status(201).json({
+    res.status(200).json({
         success: true,
-        message: "Challenge sent successfully!",
+        message: accepted ?
+            `Challenge claimed - you are fighting ${challenger.username}!` :
+            `Challenge claimed - accept it to confirm the fight with ${challenger.username}`,
         data: {
-            challenge
+            challenge: result
         }
     });
 });
@@ -99,12 +404,12 @@ export const createChallenge = catchAsync(async (req, res, next) => {
 export const acceptChallenge = catchAsync(async (req, res, next) => {
     const challengeId = req.params.id;
     const userId = req.user.id;
-    const { responseMessage } = req.body;
+    const { responseMessage, confirmTeammateChallenge } = req.body;
 
     // Find the challenge
     const challenge = await Challenge.findById(challengeId)
-        .populate('challenger', 'username profilePicture record location')
-        .populate('challenged', 'username profilePicture record location');
+        .populate('challenger', 'username profilePicture record location.city location.state location.country')
+        .populate('challenged', 'username profilePicture record location.city location.state location.country');
 
     if (!challenge) {
         return next(new AppError(
@@ -115,7 +420,7 @@ export const acceptChallenge = catchAsync(async (req, res, next) => {
     }
 
     // Verify the user is the challenged fighter
-    if (challenge.challenged._id.toString() !== userId) {
+    if (challenge.challenged?._id.toString() !== userId) {
         return next(new AppError(
             'You can only accept challenges sent to you',
             403,
@@ -123,12 +428,21 @@ export const acceptChallenge = catchAsync(async (req, res, next) => {
         ));
     }
 
+    // Teammate challenges are confirmed by the challenged fighter (never the challenger)
+    if (challenge.isTeammateChallenge) {
+        const [challenger, challenged] = await Promise.all([
+            User.findById(challenge.challenger._id).select('username gym'),
+            User.findById(userId).select('username gym')
+        ]);
+        await enforceTeammateConfirmation(challenged, challenger, confirmTeammateChallenge);
+    }
+
+    // Neither fighter may be suspended when the challenge is accepted
+    await enforceNotSuspended([challenge.challenger._id, challenge.challenged._id]);
+
     // Use the model method to accept the challenge
     try {
         await challenge.accept(responseMessage);
-        
-        // Populate messages after accepting
-        await challenge.populate('messages.sender', 'username');
 
         res.status(200).json({
             success: true,
@@ -160,8 +474,8 @@ export const declineChallenge = catchAsync(async (req, res, next) => {
 
     // Find the challenge
     const challenge = await Challenge.findById(challengeId)
-        .populate('challenger', 'username profilePicture record location')
-        .populate('challenged', 'username profilePicture record location');
+        .populate('challenger', 'username profilePicture record location.city location.state location.country')
+        .populate('challenged', 'username profilePicture record location.city location.state location.country');
 
     if (!challenge) {
         return next(new AppError(
@@ -172,7 +486,7 @@ export const declineChallenge = catchAsync(async (req, res, next) => {
     }
 
     // Verify the user is the challenged fighter
-    if (challenge.challenged._id.toString() !== userId) {
+    if (challenge.challenged?._id.toString() !== userId) {
         return next(new AppError(
             'You can only decline challenges sent to you',
             403,
@@ -183,9 +497,6 @@ export const declineChallenge = catchAsync(async (req, res, next) => {
     // Use the model method to decline the challenge
     try {
         await challenge.decline(responseMessage);
-        
-        // Populate messages after declining
-        await challenge.populate('messages.sender', 'username');
 
         res.status(200).json({
             success: true,
@@ -217,8 +528,8 @@ export const cancelChallenge = catchAsync(async (req, res, next) => {
 
     // Find the challenge
     const challenge = await Challenge.findById(challengeId)
-        .populate('challenger', 'username profilePicture record location')
-        .populate('challenged', 'username profilePicture record location');
+        .populate('challenger', 'username profilePicture record location.city location.state location.country')
+        .populate('challenged', 'username profilePicture record location.city location.state location.country');
 
     if (!challenge) {
         return next(new AppError(
@@ -240,9 +551,6 @@ export const cancelChallenge = catchAsync(async (req, res, next) => {
     // Use the model method to cancel the challenge
     try {
         await challenge.cancel(reason);
-        
-        // Populate messages after cancelling
-        await challenge.populate('messages.sender', 'username');
 
         res.status(200).json({
             success: true,
@@ -261,21 +569,24 @@ export const cancelChallenge = catchAsync(async (req, res, next) => {
 });
 
 /**
- * @desc  Update challenge fight details
- * @route PATCH /api/challenges/:id/details
+ * @desc  Counter-offer: propose a new version of the fight terms
+ * @route POST /api/challenges/:id/terms
+ * @route PATCH /api/challenges/:id/details (older clients)
  * @access Private (Both participants)
  * 
  * NOTE: req.body is pre-validated by validateInput('updateChallengeDetails') middleware
+ * Only the changed fields are sent; they are merged over the current terms version.
+ * The other side then accepts the new version or counters again.
  */
 export const updateChallengeDetails = catchAsync(async (req, res, next) => {
     const challengeId = req.params.id;
     const userId = req.user.id;
-    const { fightDetails } = req.body;
+    const { fightDetails, note } = req.body;
 
     // Find the challenge
     const challenge = await Challenge.findById(challengeId)
-        .populate('challenger', 'username profilePicture record location')
-        .populate('challenged', 'username profilePicture record location');
+        .populate('challenger', 'username profilePicture record location.city location.state location.country')
+        .populate('challenged', 'username profilePicture record location.city location.state location.country');
 
     if (!challenge) {
         return next(new AppError(
@@ -287,7 +598,7 @@ export const updateChallengeDetails = catchAsync(async (req, res, next) => {
 
     // Verify the user is a participant
     const isParticipant = challenge.challenger._id.toString() === userId || 
-                         challenge.challenged._id.toString() === userId;
+                         challenge.challenged?._id.toString() === userId;
     
     if (!isParticipant) {
         return next(new AppError(
@@ -297,8 +608,8 @@ export const updateChallengeDetails = catchAsync(async (req, res, next) => {
         ));
     }
 
-    // Can only update details for pending or accepted challenges
-    if (!['pending', 'accepted'].includes(challenge.status)) {
+    // Can only negotiate pending or accepted challenges
+    if (!challenge.isActive || challenge.isExpired) {
         return next(new AppError(
             'Challenge details can only be updated for pending or accepted challenges',
             400,
@@ -306,27 +617,73 @@ export const updateChallengeDetails = catchAsync(async (req, res, next) => {
         ));
     }
 
-    // Update the fight details
-    challenge.fightDetails = { ...challenge.fightDetails, ...fightDetails };
+    // Nothing to negotiate until a fighter has claimed an open challenge
+    if (!challenge.challenged) {
+        return next(new AppError(
+            'Terms can be negotiated once a fighter has claimed this open challenge',
+            400,
+            'CHALLENGE_NOT_CLAIMED'
+        ));
+    }
+
+    // Once a fight is booked its terms are settled - change the fight instead
+    if (await Fight.exists({ fromChallenge: challenge._id })) {
+        return next(new AppError(
+            'A fight has already been created for this challenge - its terms can no longer be changed',
+            409,
+            'FIGHT_EXISTS'
+        ));
+    }
+
+    const changes = { ...fightDetails };
+    const weightChanged = 'weightClass' in changes || 'catchweightLimit' in changes;
+
+    // A catchweight limit only makes sense for a catchweight bout
+    if ((changes.weightClass ?? challenge.fightDetails.weightClass) !== CATCHWEIGHT) {
+        changes.catchweightLimit = null;
+    }
+
+    // A new date must not clash with either fighter's bookings or blackouts
+    if (changes.proposedDate) {
+        await enforceSchedule([challenge.challenger._id, challenge.challenged._id], changes.proposedDate);
+    }
+
+    let version;
+    try {
+        version = challenge.proposeTerms(userId, changes, note);
+    } catch (error) {
+        return next(new AppError(
+            error.message,
+            400,
+            'TERMS_UNCHANGED'
+        ));
+    }
+
+    // Re-check weights whenever the weight class or agreed limit changes
+    if (weightChanged) {
+        const fighters = await User.find({ _id: { $in: [challenge.challenger._id, challenge.challenged._id] } })
+            .select('username weight');
+        challenge.fightDetails.weightWarnings = enforceWeightClass(fighters, challenge.fightDetails);
+    }
     
-    // Add a system message about the update
+    // Add a system message about the counter-offer
     const updaterName = challenge.challenger._id.toString() === userId ? 
                        challenge.challenger.username : challenge.challenged.username;
     
-    challenge.messages.push({
+    challenge.queueMessage({
         sender: userId,
-        message: `${updaterName} updated the fight details`,
+        message: `${updaterName} proposed new terms (version ${version.version}): ` +
+            version.changes.map(change => change.field).join(', '),
         isSystemMessage: true
     });
 
     await challenge.save();
     
-    // Populate messages after updating
-    await challenge.populate('messages.sender', 'username');
+    await challenge.populate('terms.proposedBy', 'username');
 
     res.status(200).json({
         success: true,
-        message: "Challenge details updated successfully",
+        message: `Terms version ${version.version} proposed - waiting for the other side to accept or counter`,
         data: {
             challenge
         }
@@ -334,21 +691,23 @@ export const updateChallengeDetails = catchAsync(async (req, res, next) => {
 });
 
 /**
- * @desc  Add a message to a challenge conversation
- * @route POST /api/challenges/:id/messages
- * @access Private (Both participants)
+ * @desc  Agree to the latest version of the fight terms
+ * @route POST /api/challenges/:id/terms/accept
+ * @access Private (The participant who did not propose that version)
  * 
- * NOTE: req.body is pre-validated by validateInput('addChallengeMessage') middleware
+ * NOTE: req.body is pre-validated by validateInput('acceptTerms') middleware
+ * Sending the version guards against agreeing to terms that changed in the meantime.
+ * When the challenger agrees to the challenged fighter's counter-offer,
+ * the pending challenge is accepted too.
  */
-export const addMessageToChallenge = catchAsync(async (req, res, next) => {
+export const acceptTerms = catchAsync(async (req, res, next) => {
     const challengeId = req.params.id;
     const userId = req.user.id;
-    const { message } = req.body;
+    const { version } = req.body;
 
-    // Find the challenge
     const challenge = await Challenge.findById(challengeId)
-        .populate('challenger', 'username profilePicture record location')
-        .populate('challenged', 'username profilePicture record location');
+        .populate('challenger', 'username profilePicture record location.city location.state location.country')
+        .populate('challenged', 'username profilePicture record location.city location.state location.country');
 
     if (!challenge) {
         return next(new AppError(
@@ -358,18 +717,108 @@ export const addMessageToChallenge = catchAsync(async (req, res, next) => {
         ));
     }
 
-    // Verify the user is a participant
-    const isParticipant = challenge.challenger._id.toString() === userId || 
-                         challenge.challenged._id.toString() === userId;
-    
+    const isChallenger = challenge.challenger._id.toString() === userId;
+    const isParticipant = isChallenger || challenge.challenged?._id.toString() === userId;
+
     if (!isParticipant) {
         return next(new AppError(
-            'You can only send messages in challenges you are part of',
+            'You can only agree to terms of challenges you are part of',
             403,
             'NOT_AUTHORIZED'
         ));
     }
 
+    // Nothing to negotiate until a fighter has claimed an open challenge
+    if (!challenge.challenged) {
+        return next(new AppError(
+            'Terms can be negotiated once a fighter has claimed this open challenge',
+            400,
+            'CHALLENGE_NOT_CLAIMED'
+        ));
+    }
+
+    // The counter-offer came from the challenged fighter, so agreeing to it accepts the challenge
+    const acceptsChallenge = isChallenger && challenge.status === 'pending';
+    if (acceptsChallenge) {
+        await enforceNotSuspended([challenge.challenger._id, challenge.challenged._id]);
+
+        // Only the challenged teammate can confirm a teammate challenge - by accepting it
+        if (challenge.isTeammateChallenge) {
+            const [challenger, challenged] = await Promise.all([
+                User.findById(challenge.challenger._id).select('gym'),
+                User.findById(challenge.challenged._id).select('gym')
+            ]);
+            const gym = await teammateConfirmationGym(challenged, challenger);
+            if (gym) {
+                return next(new AppError(
+                    `${challenge.challenged.username} is your teammate at ${gym.name} - they have to accept the challenge to confirm it`,
+                    400,
+                    'TEAMMATE_CONFIRMATION_REQUIRED',
+                    { gym: { _id: gym._id, name: gym.name } }
+                ));
+            }
+        }
+    }
+
+    try {
+        challenge.acceptTerms(userId, version);
+    } catch (error) {
+        return next(new AppError(
+            error.message,
+            400,
+            'TERMS_ACTION_ERROR'
+        ));
+    }
+
+    const username = isChallenger ? challenge.challenger.username : challenge.challenged.username;
+    challenge.queueMessage({
+        sender: userId,
+        message: `${username} agreed to the terms (version ${version})`,
+        isSystemMessage: true
+    });
+
+    if (acceptsChallenge) {
+        challenge.status = 'accepted';
+        challenge.responseDetails = { respondedAt: new Date() };
+
+        try {
+            await challenge.saveIfStillPending('accepted');
+        } catch (error) {
+            return next(new AppError(
+                error.message,
+                400,
+                'CHALLENGE_ACTION_ERROR'
+            ));
+        }
+    } else {
+        await challenge.save();
+    }
+    await challenge.populate('terms.proposedBy', 'username');
+
+    res.status(200).json({
+        success: true,
+        message: acceptsChallenge ? "Terms agreed - challenge accepted!" : "Terms agreed",
+        data: {
+            challenge
+        }
+    });
+});
+
+/**
+ * @desc  Add a message to a challenge conversation
+ * @route POST /api/challenges/:id/messages
+ * @access Private (Both participants)
+ * 
+ * NOTE: req.body is pre-validated by validateInput('addChallengeMessage') middleware
+ * Sending a message also marks the thread as read for the sender.
+ */
+export const addMessageToChallenge = catchAsync(async (req, res, next) => {
+    const userId = req.user.id;
+    const { message } = req.body;
+
+    const challenge = await findParticipantChallenge(req, next, 'send messages in');
+    if (!challenge) return;
+
     // Can only add messages to active challenges
     if (!['pending', 'accepted'].includes(challenge.status)) {
         return next(new AppError(
@@ -380,16 +829,145 @@ export const addMessageToChallenge = catchAsync(async (req, res, next) => {
     }
 
     // Use the model method to add the message
-    await challenge.addMessage(userId, message);
-    
-    // Populate messages after adding
-    await challenge.populate('messages.sender', 'username');
+    const sent = await challenge.addMessage(userId, message);
+    await challenge.markRead(userId, sent.createdAt);
+    await sent.populate('sender', 'username profilePicture');
 
     res.status(201).json({
         success: true,
         message: "Message sent successfully",
         data: {
-            challenge
+            message: sent
+        }
+    });
+});
+
+/**
+ * @desc  Get a page of a challenge conversation, newest first
+ * @route GET /api/challenges/:id/messages
+ * @access Private (Both participants)
+ * 
+ * NOTE: req.query is pre-validated by validateInput('challengeMessagesQuery', 'query') middleware
+ * Pass the returned nextCursor as `before` to load older messages.
+ * Reading does not move the last-read marker - see markMessagesRead.
+ */
+export const getChallengeMessages = catchAsync(async (req, res, next) => {
+    const { before, limit } = req.query;
+
+    const challenge = await findParticipantChallenge(req, next, 'read messages in');
+    if (!challenge) return;
+
+    const page = await ChallengeMessage.getPage(challenge._id, {
+        before,
+        limit: parseInt(limit) || 20
+    });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            ...page,
+            readMarkers: challenge.readMarkers
+        }
+    });
+});
+
+/**
+ * @desc  Edit one of your messages
+ * @route PATCH /api/challenges/:id/messages/:messageId
+ * @access Private (Sender, within config.challenges.messageEditMinutes)
+ * 
+ * NOTE: req.body is pre-validated by validateInput('addChallengeMessage') middleware
+ */
+export const editChallengeMessage = catchAsync(async (req, res, next) => {
+    const challenge = await findParticipantChallenge(req, next, 'edit messages in');
+    if (!challenge) return;
+
+    const message = await findThreadMessage(challenge, req.params.messageId, next);
+    if (!message) return;
+
+    try {
+        await message.edit(req.user.id, req.body.message);
+    } catch (error) {
+        return next(new AppError(
+            error.message,
+            403,
+            'MESSAGE_NOT_EDITABLE'
+        ));
+    }
+
+    await message.populate('sender', 'username profilePicture');
+
+    res.status(200).json({
+        success: true,
+        message: "Message updated",
+        data: {
+            message
+        }
+    });
+});
+
+/**
+ * @desc  Delete one of your messages (its text is removed, its place in the thread stays)
+ * @route DELETE /api/challenges/:id/messages/:messageId
+ * @access Private (Sender, within config.challenges.messageEditMinutes)
+ */
+export const deleteChallengeMessage = catchAsync(async (req, res, next) => {
+    const challenge = await findParticipantChallenge(req, next, 'delete messages in');
+    if (!challenge) return;
+
+    const message = await findThreadMessage(challenge, req.params.messageId, next);
+    if (!message) return;
+
+    try {
+        await message.softDelete(req.user.id);
+    } catch (error) {
+        return next(new AppError(
+            error.message,
+            403,
+            'MESSAGE_NOT_EDITABLE'
+        ));
+    }
+
+    res.status(200).json({
+        success: true,
+        message: "Message deleted"
+    });
+});
+
+/**
+ * @desc  Mark the conversation as read (up to a message, or everything so far)
+ * @route POST /api/challenges/:id/messages/read
+ * @access Private (Both participants)
+ * 
+ * NOTE: req.body is pre-validated by validateInput('markMessagesRead') middleware
+ * The marker only ever moves forward.
+ */
+export const markMessagesRead = catchAsync(async (req, res, next) => {
+    const userId = req.user.id;
+    const { messageId } = req.body;
+
+    const challenge = await findParticipantChallenge(req, next, 'read messages in');
+    if (!challenge) return;
+
+    let readAt = new Date();
+    if (messageId) {
+        const message = await findThreadMessage(challenge, messageId, next);
+        if (!message) return;
+        readAt = message.createdAt;
+    }
+
+    await challenge.markRead(userId, readAt);
+
+    // Reload the markers - an earlier request may already have moved this one further
+    const updated = await Challenge.findById(challenge._id).select('readMarkers');
+    const marker = updated.readMarkers.find(entry => entry.user.toString() === userId);
+    const unread = await ChallengeMessage.unreadCounts([updated], userId);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            lastReadAt: marker.lastReadAt,
+            unreadCount: unread.get(challenge._id.toString()) ?? 0
         }
     });
 });
@@ -432,9 +1010,8 @@ export const getMyChallenges = catchAsync(async (req, res, next) => {
 
     // Execute query with pagination
     const challenges = await Challenge.find(query)
-        .populate('challenger', 'username profilePicture record location')
-        .populate('challenged', 'username profilePicture record location')
-        .populate('messages.sender', 'username')
+        .populate('challenger', 'username profilePicture record location.city location.state location.country')
+        .populate('challenged', 'username profilePicture record location.city location.state location.country')
         .sort(sort)
         .skip(skip)
         .limit(limitNum);
@@ -442,10 +1019,16 @@ export const getMyChallenges = catchAsync(async (req, res, next) => {
     // Get total count for pagination
     const total = await Challenge.countDocuments(query);
 
+    // Messages from the other side since the user last read each conversation
+    const unread = await ChallengeMessage.unreadCounts(challenges, userId);
+
     res.status(200).json({
         success: true,
         data: {
-            challenges,
+            challenges: challenges.map(challenge => ({
+                ...challenge.toJSON(),
+                unreadCount: unread.get(challenge._id.toString()) ?? 0
+            })),
             pagination: {
                 page: pageNum,
                 limit: limitNum,
@@ -489,9 +1072,10 @@ export const getChallengeById = catchAsync(async (req, res, next) => {
 
     // Find the challenge with full population
     const challenge = await Challenge.findById(challengeId)
-        .populate('challenger', 'username profilePicture record location')
-        .populate('challenged', 'username profilePicture record location')
-        .populate('messages.sender', 'username');
+        .populate('challenger', 'username profilePicture record location.city location.state location.country')
+        .populate('challenged', 'username profilePicture record location.city location.state location.country')
+        .populate('terms.proposedBy terms.respondedBy', 'username')
+        .populate('rematchOf', 'status details.actualDate outcome.winner outcome.method');
 
     if (!challenge) {
         return next(new AppError(
@@ -503,7 +1087,7 @@ export const getChallengeById = catchAsync(async (req, res, next) => {
 
     // Verify the user is a participant
     const isParticipant = challenge.challenger._id.toString() === userId || 
-                         challenge.challenged._id.toString() === userId;
+                         challenge.challenged?._id.toString() === userId;
     
     if (!isParticipant) {
         return next(new AppError(
@@ -513,10 +1097,14 @@ export const getChallengeById = catchAsync(async (req, res, next) => {
         ));
     }
 
+    // The conversation itself is paged through GET /api/challenges/:id/messages
+    const unread = await ChallengeMessage.unreadCounts([challenge], userId);
+
     res.status(200).json({
         success: true,
         data: {
-            challenge
+            challenge,
+            unreadCount: unread.get(challenge._id.toString()) ?? 0
         }
     });
 });
@@ -542,9 +1130,8 @@ export const getChallengeById = catchAsync(async (req, res, next) => {
     
 //     await challenge.complete(fightId);
 //     await challenge.populate([
-//         { path: 'challenger', select: 'username profilePicture record location' },
-//         { path: 'challenged', select: 'username profilePicture record location' },
-//         { path: 'messages.sender', select: 'username' }
+//         { path: 'challenger', select: 'username profilePicture record location.city location.state location.country' },
+//         { path: 'challenged', select: 'username profilePicture record location.city location.state location.country' }
 //     ]);
     
 //     res.status(200).json({
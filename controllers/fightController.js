@@ -1,8 +1,38 @@
 // controllers/fightController.js - Fight system controller
 import Fight from "../models/fightModel.js";
-import Challenge from "../models/challengeModel.js";
+import Challenge, { TERM_FIELDS } from "../models/challengeModel.js";
 import User from "../models/userModel.js";
 import { AppError, catchAsync } from "../middleware/errorHandler.js";
+import { can } from "../middleware/authorize.js";
+import { CATCHWEIGHT, OPEN_WEIGHT } from "../config/weightClasses.js";
+import { enforceWeightClass } from "../services/weightCheck.js";
+import { enforceSchedule } from "../services/scheduling.js";
+import { enforceNotSuspended } from "../services/suspensions.js";
+import { enforceCanChallenge } from "../services/challengeChecks.js";
+
+// Where each agreed challenge term ends up in the fight details (stakes stay on the challenge)
+const TERM_PATHS = {
+    proposedDate: 'scheduledDate',
+    location: 'venue.city',
+    rules: 'rules.customRules',
+    weightClass: 'weightClass',
+    catchweightLimit: 'catchweightLimit'
+};
+
+// Agreed terms that the fight details of a request would change
+// (a term counts as agreed only when it has a value)
+const conflictingTerms = (agreed, details = {}, fields = TERM_FIELDS) => fields
+    .filter(field => TERM_PATHS[field])
+    .filter(field => {
+        const agreedValue = agreed[field];
+        const value = TERM_PATHS[field].split('.').reduce((obj, key) => obj?.[key], details);
+        if (agreedValue === undefined || agreedValue === null || agreedValue === '' || value === undefined) {
+            return false;
+        }
+        return agreedValue instanceof Date ?
+            new Date(value).getTime() !== agreedValue.getTime() :
+            value !== agreedValue;
+    });
 
 /**
  * @desc  Create a fight from an accepted challenge
@@ -28,6 +58,18 @@ export const createFightFromChallenge = catchAsync(async (req, res, next) => {
         ));
     }
 
+    // Verify user is a participant (before anything about the terms is revealed)
+    const isParticipant = challenge.challenger._id.toString() === userId || 
+                         challenge.challenged?._id.toString() === userId;
+    
+    if (!isParticipant && !can(req.user, 'fight:manageAny')) {
+        return next(new AppError(
+            'Only challenge participants can create a fight',
+            403,
+            'NOT_AUTHORIZED'
+        ));
+    }
+
     if (challenge.status !== 'accepted') {
         return next(new AppError(
             'Fight can only be created from accepted challenges',
@@ -36,15 +78,25 @@ export const createFightFromChallenge = catchAsync(async (req, res, next) => {
         ));
     }
 
-    // Verify user is a participant
-    const isParticipant = challenge.challenger._id.toString() === userId || 
-                         challenge.challenged._id.toString() === userId;
-    
-    if (!isParticipant && req.user.role !== 'admin') {
+    // Only terms both sides agreed to can become a fight
+    if (!challenge.termsAgreed) {
+        const current = challenge.currentTerms;
         return next(new AppError(
-            'Only challenge participants can create a fight',
-            403,
-            'NOT_AUTHORIZED'
+            `Terms version ${current.version} has not been agreed by both fighters yet`,
+            400,
+            'TERMS_NOT_AGREED',
+            { version: current.version, proposedBy: current.proposedBy }
+        ));
+    }
+
+    // ...and agreed terms (date, location, rules, weight) cannot be swapped for others here
+    const conflicts = conflictingTerms(challenge.agreedTerms, fightDetails);
+    if (conflicts.length > 0) {
+        return next(new AppError(
+            `${conflicts.join(', ')} ${conflicts.length > 1 ? 'were' : 'was'} agreed in the challenge terms - propose new terms to change ${conflicts.length > 1 ? 'them' : 'it'}`,
+            400,
+            'TERMS_NOT_AGREED',
+            { fields: conflicts }
         ));
     }
 
@@ -58,9 +110,29 @@ export const createFightFromChallenge = catchAsync(async (req, res, next) => {
         ));
     }
 
+    // A fighter may have been suspended since the challenge was accepted
+    await enforceNotSuspended([challenge.challenger._id, challenge.challenged._id]);
+
+    // Weights may have changed since the challenge was made - check them again
+    // (throws WEIGHT_CLASS_MISMATCH unless both fighters can make the limit)
+    const fighters = await User.find({ _id: { $in: [challenge.challenger._id, challenge.challenged._id] } })
+        .select('username weight');
+    const weightWarnings = enforceWeightClass(fighters, {
+        weightClass: challenge.fightDetails.weightClass || OPEN_WEIGHT,
+        catchweightLimit: challenge.fightDetails.catchweightLimit
+    });
+
+    // Both fighters must be free on the fight date (throws SCHEDULE_CONFLICT with free dates).
+    // Without an agreed date Fight.createFromChallenge books the fight one week out.
+    const scheduledDate = fightDetails?.scheduledDate ||
+        challenge.fightDetails.proposedDate ||
+        new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    await enforceSchedule([challenge.challenger._id, challenge.challenged._id], scheduledDate);
+
     try {
         // Create fight using the static method
         const fight = await Fight.createFromChallenge(challengeId);
+        fight.details.weightWarnings = weightWarnings;
         
         // Apply any additional fight details from request
         if (fightDetails) {
@@ -73,12 +145,14 @@ export const createFightFromChallenge = catchAsync(async (req, res, next) => {
             if (fightDetails.rules) {
                 fight.details.rules = { ...fight.details.rules, ...fightDetails.rules };
             }
+        }
+        if (fight.isModified()) {
             await fight.save();
         }
 
         // Populate for response
         await fight.populate([
-            { path: 'fighters.user', select: 'username profilePicture record location' },
+            { path: 'fighters.user', select: 'username profilePicture record location.city location.state location.country' },
             { path: 'fromChallenge' }
         ]);
 
@@ -134,7 +208,7 @@ export const updateFightDetails = catchAsync(async (req, res, next) => {
     // Verify user is a participant or admin
     const isParticipant = fight.participantIds.some(id => id.toString() === userId);
     
-    if (!isParticipant && req.user.role !== 'admin') {
+    if (!isParticipant && !can(req.user, 'fight:manageAny')) {
         return next(new AppError(
             'Only fight participants can update fight details',
             403,
@@ -142,15 +216,47 @@ export const updateFightDetails = catchAsync(async (req, res, next) => {
         ));
     }
 
+    // Location, rules and weight agreed in the challenge stay as agreed
+    // (admins can still change them, e.g. when a venue falls through)
+    if (fight.fromChallenge && !can(req.user, 'fight:manageAny')) {
+        const challenge = await Challenge.findById(fight.fromChallenge).select('status fightDetails terms');
+        const conflicts = challenge?.agreedTerms ?
+            conflictingTerms(challenge.agreedTerms, details, ['location', 'rules', 'weightClass', 'catchweightLimit']) :
+            [];
+        if (conflicts.length > 0) {
+            return next(new AppError(
+                `${conflicts.join(', ')} ${conflicts.length > 1 ? 'were' : 'was'} agreed in the challenge terms and cannot be changed here`,
+                400,
+                'TERMS_NOT_AGREED',
+                { fields: conflicts }
+            ));
+        }
+    }
+
     // Update fight details
     if (details.scheduledDate) {
+        await enforceSchedule(
+            fight.fighters.map(f => f.user._id ?? f.user),
+            details.scheduledDate,
+            { excludeFightId: fight._id }
+        );
         fight.details.scheduledDate = details.scheduledDate;
     }
     if (details.venue) {
         fight.details.venue = { ...fight.details.venue, ...details.venue };
     }
-    if (details.weightClass) {
-        fight.details.weightClass = details.weightClass;
+    if (details.weightClass || details.catchweightLimit) {
+        const weightClass = details.weightClass || fight.details.weightClass;
+        const catchweightLimit = weightClass === CATCHWEIGHT ?
+            details.catchweightLimit ?? fight.details.catchweightLimit :
+            undefined;
+
+        // Throws WEIGHT_CLASS_MISMATCH if a fighter cannot make the new limit
+        const fighters = await User.find({ _id: { $in: fight.fighters.map(f => f.user._id ?? f.user) } })
+            .select('username weight');
+        fight.details.weightWarnings = enforceWeightClass(fighters, { weightClass, catchweightLimit });
+        fight.details.weightClass = weightClass;
+        fight.details.catchweightLimit = catchweightLimit;
     }
     if (details.rules) {
         fight.details.rules = { ...fight.details.rules, ...details.rules };
@@ -160,7 +266,7 @@ export const updateFightDetails = catchAsync(async (req, res, next) => {
 
     // Populate for response
     await fight.populate([
-        { path: 'fighters.user', select: 'username profilePicture record location' },
+        { path: 'fighters.user', select: 'username profilePicture record location.city location.state location.country' },
         { path: 'fromChallenge' }
     ]);
 
@@ -199,7 +305,7 @@ export const startFight = catchAsync(async (req, res, next) => {
         
         // Populate for response
         await fight.populate([
-            { path: 'fighters.user', select: 'username profilePicture record location' },
+            { path: 'fighters.user', select: 'username profilePicture record location.city location.state location.country' },
             { path: 'fromChallenge' }
         ]);
 
@@ -245,7 +351,7 @@ export const recordFightResult = catchAsync(async (req, res, next) => {
     // For now, allow participants to record results (in production, might want admin only)
     const isParticipant = fight.participantIds.some(id => id.toString() === userId);
     
-    if (!isParticipant && req.user.role !== 'admin') {
+    if (!isParticipant && !can(req.user, 'fight:manageAny')) {
         return next(new AppError(
             'Only fight participants or admins can record results',
             403,
@@ -258,7 +364,7 @@ export const recordFightResult = catchAsync(async (req, res, next) => {
         
         // Populate for response
         await fight.populate([
-            { path: 'fighters.user', select: 'username profilePicture record location' },
+            { path: 'fighters.user', select: 'username profilePicture record location.city location.state location.country' },
             { path: 'outcome.winner', select: 'username' },
             { path: 'fromChallenge' }
         ]);
@@ -307,7 +413,7 @@ export const cancelFight = catchAsync(async (req, res, next) => {
     // Check authorization
     const isParticipant = fight.participantIds.some(id => id.toString() === userId);
     
-    if (!isParticipant && req.user.role !== 'admin') {
+    if (!isParticipant && !can(req.user, 'fight:manageAny')) {
         return next(new AppError(
             'Only fight participants or admins can cancel fights',
             403,
@@ -320,7 +426,7 @@ export const cancelFight = catchAsync(async (req, res, next) => {
         
         // Populate for response
         await fight.populate([
-            { path: 'fighters.user', select: 'username profilePicture record location' },
+            { path: 'fighters.user', select: 'username profilePicture record location.city location.state location.country' },
             { path: 'fromChallenge' }
         ]);
 
@@ -366,7 +472,7 @@ export const postponeFight = catchAsync(async (req, res, next) => {
     // Check authorization
     const isParticipant = fight.participantIds.some(id => id.toString() === userId);
     
-    if (!isParticipant && req.user.role !== 'admin') {
+    if (!isParticipant && !can(req.user, 'fight:manageAny')) {
         return next(new AppError(
             'Only fight participants or admins can postpone fights',
             403,
@@ -374,12 +480,15 @@ export const postponeFight = catchAsync(async (req, res, next) => {
         ));
     }
 
+    // The new date must not clash with either fighter's other bookings or blackouts
+    await enforceSchedule(fight.participantIds, newDate, { excludeFightId: fight._id });
+
     try {
         await fight.postpone(newDate, reason);
         
         // Populate for response
         await fight.populate([
-            { path: 'fighters.user', select: 'username profilePicture record location' },
+            { path: 'fighters.user', select: 'username profilePicture record location.city location.state location.country' },
             { path: 'fromChallenge' }
         ]);
 
@@ -434,7 +543,7 @@ export const addFightStats = catchAsync(async (req, res, next) => {
         
         // Populate for response
         await fight.populate([
-            { path: 'fighters.user', select: 'username profilePicture record location' },
+            { path: 'fighters.user', select: 'username profilePicture record location.city location.state location.country' },
             { path: 'outcome.stats.fighter', select: 'username' }
         ]);
 
@@ -454,6 +563,173 @@ export const addFightStats = catchAsync(async (req, res, next) => {
     }
 });
 
+/**
+ * @desc  Record an official weigh-in for one fighter
+ * @route POST /api/fights/:id/weigh-in
+ * @access Private (Moderator or admin)
+ * 
+ * NOTE: req.body is pre-validated by validateInput('recordWeighIn') middleware
+ */
+export const recordWeighIn = catchAsync(async (req, res, next) => {
+    const fightId = req.params.id;
+    const { fighterId, weight, weighedAt, official } = req.body;
+
+    // Find the fight
+    const fight = await Fight.findById(fightId);
+
+    if (!fight) {
+        return next(new AppError(
+            'Fight not found',
+            404,
+            'FIGHT_NOT_FOUND'
+        ));
+    }
+
+    try {
+        await fight.recordWeighIn(fighterId, {
+            weight,
+            weighedAt,
+            official,
+            recordedBy: req.user.id
+        });
+    } catch (error) {
+        return next(new AppError(
+            error.message,
+            400,
+            'WEIGH_IN_ERROR'
+        ));
+    }
+
+    // The official weight is the most accurate one we have - keep the profile
+    // (and its derived weight class) in step with it
+    await User.findByIdAndUpdate(fighterId, { weight });
+
+    const weighIn = fight.weighIns.find(w => w.fighter.toString() === fighterId);
+
+    // Populate for response
+    await fight.populate([
+        { path: 'fighters.user', select: 'username profilePicture record location.city location.state location.country weight weightClass' },
+        { path: 'weighIns.fighter', select: 'username' }
+    ]);
+
+    res.status(201).json({
+        success: true,
+        message: weighIn.missedWeight ?
+            `Weigh-in recorded - missed weight by ${weighIn.overBy} lbs` :
+            "Weigh-in recorded - made weight",
+        data: {
+            weighIn,
+            fight
+        }
+    });
+});
+
+/**
+ * @desc  Request a rematch of a completed fight
+ * @route POST /api/fights/:id/rematch
+ * @access Private (The losing fighter, or either fighter after a draw / no contest)
+ * 
+ * NOTE: req.body is pre-validated by validateInput('requestRematch') middleware
+ * Sends the opponent a challenge prefilled with the original fight's terms
+ * (weight class, location, rules); fightDetails in the body override them.
+ * The usual challenge checks apply - verified email, suspensions, weights and
+ * schedules; a teammate confirms the rematch when accepting it.
+ */
+export const requestRematch = catchAsync(async (req, res, next) => {
+    const fightId = req.params.id;
+    const userId = req.user.id;
+    const { fightDetails, message, expiresAt } = req.body;
+
+    const fight = await Fight.findById(fightId);
+
+    if (!fight) {
+        return next(new AppError(
+            'Fight not found',
+            404,
+            'FIGHT_NOT_FOUND'
+        ));
+    }
+
+    if (fight.status !== 'completed') {
+        return next(new AppError(
+            'Only completed fights can be rematched',
+            400,
+            'FIGHT_NOT_COMPLETED'
+        ));
+    }
+
+    const own = fight.fighters.find(f => f.user.toString() === userId);
+    if (!own) {
+        return next(new AppError(
+            'Only the fighters in this fight can request a rematch',
+            403,
+            'NOT_AUTHORIZED'
+        ));
+    }
+
+    if (own.result === 'win') {
+        return next(new AppError(
+            'Only the losing fighter can request a rematch - send a regular challenge instead',
+            403,
+            'NOT_AUTHORIZED'
+        ));
+    }
+
+    const opponentId = fight.fighters.find(f => f !== own).user;
+    const [challenger, opponent] = await Promise.all([
+        User.findById(userId),
+        User.findById(opponentId)
+    ]);
+
+    // The same checks as any new challenge (services/challengeChecks.js)
+    const { isTeammateChallenge } = await enforceCanChallenge(challenger, opponent);
+
+    // Same terms as last time unless the request says otherwise
+    const { weightClass, catchweightLimit, venue, rules } = fight.details;
+    const details = {
+        weightClass,
+        ...(weightClass === CATCHWEIGHT && { catchweightLimit }),
+        ...(venue?.city && { location: venue.city }),
+        ...(rules?.customRules && { rules: rules.customRules }),
+        ...fightDetails
+    };
+    if (details.weightClass !== CATCHWEIGHT) {
+        delete details.catchweightLimit;
+    }
+    details.weightWarnings = enforceWeightClass([challenger, opponent], details);
+
+    if (details.proposedDate) {
+        await enforceSchedule([userId, opponentId], details.proposedDate);
+    }
+
+    const challenge = new Challenge({
+        challenger: userId,
+        challenged: opponentId,
+        rematchOf: fight._id,
+        isTeammateChallenge,
+        expiresAt,
+        fightDetails: details
+    });
+    challenge.queueMessage({
+        sender: userId,
+        message: message || `${challenger.username} wants a rematch!`
+    });
+    await challenge.save();
+
+    await challenge.populate([
+        { path: 'challenger', select: 'username profilePicture record location.city location.state location.country' },
+        { path: 'challenged', select: 'username profilePicture record location.city location.state location.country' }
+    ]);
+
+    res.status(201).json({
+        success: true,
+        message: "Rematch requested!",
+        data: {
+            challenge
+        }
+    });
+});
+
 /**
  * @desc  Get a specific fight by ID
  * @route GET /api/fights/:id
@@ -465,10 +741,12 @@ export const getFightById = catchAsync(async (req, res, next) => {
 
     // Find the fight with full population
     const fight = await Fight.findById(fightId)
-        .populate('fighters.user', 'username profilePicture record location')
+        .populate('fighters.user', 'username profilePicture record location.city location.state location.country')
         .populate('outcome.winner', 'username')
         .populate('fromChallenge')
-        .populate('verification.verifiedBy', 'username');
+        .populate('verification.verifiedBy', 'username')
+        .populate('weighIns.fighter', 'username')
+        .populate('rematchOf', 'status details.actualDate outcome.winner outcome.method');
 
     if (!fight) {
         return next(new AppError(
@@ -490,10 +768,14 @@ export const getFightById = catchAsync(async (req, res, next) => {
         }
     }
 
+    // Earlier and later fights between the same two fighters (empty when there were none)
+    const rematchChain = await Fight.getRematchChain(fight, userId);
+
     res.status(200).json({
         success: true,
         data: {
-            fight
+            fight,
+            rematchChain
         }
     });
 });
@@ -540,8 +822,9 @@ export const getUserFights = catchAsync(async (req, res, next) => {
 
     // Execute query
     const fights = await Fight.find(query)
-        .populate('fighters.user', 'username profilePicture record location')
+        .populate('fighters.user', 'username profilePicture record location.city location.state location.country')
         .populate('outcome.winner', 'username')
+        .populate('rematchOf', 'status details.actualDate outcome.winner outcome.method')
         .sort(sort)
         .skip(skip)
         .limit(limitNum);
@@ -549,10 +832,22 @@ export const getUserFights = catchAsync(async (req, res, next) => {
     // Get total count
     const total = await Fight.countDocuments(query);
 
+    // Series score against each opponent on this page, from this fighter's side
+    const opponentOf = (fight) => {
+        const opponent = fight.fighters.find(f => (f.user?._id ?? f.user).toString() !== userId);
+        return opponent ? (opponent.user?._id ?? opponent.user) : null;
+    };
+    const opponentIds = [...new Set(fights.map(opponentOf).filter(Boolean).map(id => id.toString()))];
+    const series = await Fight.getSeriesScores(user._id, opponentIds, req.user?.id);
+
     res.status(200).json({
         success: true,
         data: {
-            fights,
+            fights: fights.map(fight => ({
+                ...fight.toJSON(),
+                isRematch: Boolean(fight.rematchOf),
+                series: series.get(opponentOf(fight)?.toString()) ?? null
+            })),
             pagination: {
                 page: pageNum,
                 limit: limitNum,
@@ -643,7 +938,7 @@ export const verifyFight = catchAsync(async (req, res, next) => {
         
         // Populate for response
         await fight.populate([
-            { path: 'fighters.user', select: 'username profilePicture record location' },
+            { path: 'fighters.user', select: 'username profilePicture record location.city location.state location.country' },
             { path: 'outcome.winner', select: 'username' },
             { path: 'verification.verifiedBy', select: 'username' }
         ]);
@@ -0,0 +1,523 @@
+// controllers/gymController.js - Gyms / teams and their memberships
+import Gym from "../models/gymModel.js";
+import User from "../models/userModel.js";
+import { AppError, catchAsync } from "../middleware/errorHandler.js";
+import { can } from "../middleware/authorize.js";
+import { resolveLocation } from "../services/geocoder.js";
+import { containsPattern } from "../utils/escapeRegex.js";
+
+// Load a gym and make sure the caller coaches it (admins may manage any gym)
+const findCoachedGym = async (req, next) => {
+    const gym = await Gym.findById(req.params.id);
+
+    if (!gym) {
+        next(new AppError(
+            'Gym not found',
+            404,
+            'GYM_NOT_FOUND'
+        ));
+        return null;
+    }
+
+    if (!gym.isCoach(req.user.id) && !can(req.user, 'gym:manageAny')) {
+        next(new AppError(
+            'Only coaches of this gym can do that',
+            403,
+            'NOT_GYM_COACH'
+        ));
+        return null;
+    }
+
+    return gym;
+};
+
+const populateGym = (gym) => gym.populate([
+    { path: 'owner', select: 'username' },
+    { path: 'coaches', select: 'username profilePicture' },
+    { path: 'coachInvites.user', select: 'username profilePicture' },
+    { path: 'members.user', select: 'username profilePicture record rating weightClass' }
+]);
+
+// Pending requests and coaching invitations are only shown to coaches
+const publicGym = (gym, { showPending = false } = {}) => {
+    const { coachInvites, ...json } = gym.toJSON();
+    return {
+        ...json,
+        members: showPending ? json.members : json.members.filter(member => member.status === 'active'),
+        ...(showPending && { coachInvites })
+    };
+};
+
+/**
+ * @desc  Create a gym
+ * @route POST /api/gyms
+ * @access Private (Any authenticated user - becomes owner and first coach)
+ *
+ * NOTE: req.body is pre-validated by validateInput('createGym') middleware
+ */
+export const createGym = catchAsync(async (req, res, next) => {
+    const userId = req.user.id;
+    const details = { ...req.body };
+
+    if (details.location) {
+        details.location = await resolveLocation(details.location);
+    }
+
+    const gym = await Gym.create({
+        ...details,
+        owner: userId,
+        coaches: [userId]
+    });
+
+    await populateGym(gym);
+
+    res.status(201).json({
+        success: true,
+        message: "Gym created successfully",
+        data: {
+            gym: publicGym(gym, { showPending: true })
+        }
+    });
+});
+
+/**
+ * @desc  List gyms with member counts
+ * @route GET /api/gyms
+ * @access Public
+ *
+ * NOTE: req.query is pre-validated by validateInput('gymQuery', 'query') middleware
+ */
+export const getGyms = catchAsync(async (req, res, next) => {
+    const { q, city, country } = req.query;
+    const pageNum = parseInt(req.query.page) || 1;
+    const limitNum = parseInt(req.query.limit) || 10;
+
+    const query = {};
+    if (q) {
+        query.name = containsPattern(q);
+    }
+    if (city) {
+        query['location.city'] = containsPattern(city);
+    }
+    if (country) {
+        query['location.country'] = containsPattern(country);
+    }
+
+    const [gyms, total] = await Promise.all([
+        Gym.aggregate([
+            { $match: query },
+            { $sort: { name: 1 } },
+            { $skip: (pageNum - 1) * limitNum },
+            { $limit: limitNum },
+            {
+                $project: {
+                    name: 1,
+                    description: 1,
+                    location: { city: 1, state: 1, country: 1 },
+                    website: 1,
+                    memberCount: {
+                        $size: {
+                            $filter: { input: '$members', cond: { $eq: ['$$this.status', 'active'] } }
+                        }
+                    },
+                    createdAt: 1
+                }
+            }
+        ]).collation({ locale: 'en', strength: 2 }),
+        Gym.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            gyms,
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total,
+                pages: Math.ceil(total / limitNum),
+                hasNext: pageNum < Math.ceil(total / limitNum),
+                hasPrev: pageNum > 1
+            }
+        }
+    });
+});
+
+/**
+ * @desc  Get a gym with its coaches and active members
+ * @route GET /api/gyms/:id
+ * @access Public
+ */
+export const getGymById = catchAsync(async (req, res, next) => {
+    const gym = await Gym.findById(req.params.id);
+
+    if (!gym) {
+        return next(new AppError(
+            'Gym not found',
+            404,
+            'GYM_NOT_FOUND'
+        ));
+    }
+
+    await populateGym(gym);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            gym: publicGym(gym)
+        }
+    });
+});
+
+/**
+ * @desc  Get pending requests to join a gym
+ * @route GET /api/gyms/:id/requests
+ * @access Private (Coaches of the gym or admin)
+ */
+export const getJoinRequests = catchAsync(async (req, res, next) => {
+    const gym = await findCoachedGym(req, next);
+    if (!gym) return;
+
+    await gym.populate('members.user', 'username profilePicture record rating weightClass location.city location.state location.country');
+
+    res.status(200).json({
+        success: true,
+        data: {
+            requests: gym.members.filter(member => member.status === 'pending')
+        }
+    });
+});
+
+/**
+ * @desc  Update gym details and coaches
+ * @route PATCH /api/gyms/:id
+ * @access Private (Coaches of the gym or admin)
+ *
+ * NOTE: req.body is pre-validated by validateInput('updateGym') middleware
+ * The owner always stays a coach. Coaches left out of the list are removed at
+ * once; new ones are only invited and become coaches when they accept.
+ */
+export const updateGym = catchAsync(async (req, res, next) => {
+    const gym = await findCoachedGym(req, next);
+    if (!gym) return;
+
+    const { location, coaches, ...details } = req.body;
+
+    if (location) {
+        gym.location = await resolveLocation(location);
+    }
+
+    if (coaches) {
+        const found = await User.countDocuments({ _id: { $in: coaches }, deletedAt: null });
+        if (found !== coaches.length) {
+            return next(new AppError(
+                'One or more coaches do not exist',
+                400,
+                'COACH_NOT_FOUND'
+            ));
+        }
+        const owner = gym.owner.toString();
+        const invited = coaches.filter(id => id !== owner && !gym.isCoach(id));
+        gym.coaches = [owner, ...coaches.filter(id => id !== owner && gym.isCoach(id))];
+        gym.setCoachInvites(invited, req.user.id);
+    }
+
+    Object.assign(gym, details);
+    await gym.save();
+    await populateGym(gym);
+
+    res.status(200).json({
+        success: true,
+        message: "Gym updated successfully",
+        data: {
+            gym: publicGym(gym, { showPending: true })
+        }
+    });
+});
+
+/**
+ * @desc  Get the combined record of a gym's current members
+ * @route GET /api/gyms/:id/record
+ * @access Public
+ *
+ * Career records of the fighters who are members now (fights from before they joined included).
+ */
+export const getGymRecord = catchAsync(async (req, res, next) => {
+    const gym = await Gym.findById(req.params.id).select('name');
+
+    if (!gym) {
+        return next(new AppError(
+            'Gym not found',
+            404,
+            'GYM_NOT_FOUND'
+        ));
+    }
+
+    const match = { gym: gym._id, isFighter: true };
+
+    const [[totals], fighters] = await Promise.all([
+        User.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: null,
+                    fighters: { $sum: 1 },
+                    wins: { $sum: '$record.wins' },
+                    losses: { $sum: '$record.losses' },
+                    draws: { $sum: '$record.draws' },
+                    averageRating: { $avg: '$rating.value' }
+                }
+            }
+        ]),
+        User.find(match)
+            .select('username profilePicture record rating weightClass')
+            .sort({ 'record.wins': -1, 'record.losses': 1 })
+    ]);
+
+    const { fighters: fighterCount = 0, wins = 0, losses = 0, draws = 0, averageRating = null } = totals || {};
+    const totalFights = wins + losses + draws;
+
+    res.status(200).json({
+        success: true,
+        data: {
+            gym,
+            record: {
+                fighters: fighterCount,
+                wins,
+                losses,
+                draws,
+                winRate: totalFights > 0 ? Math.round(wins / totalFights * 1000) / 10 : null, // Percentage
+                averageRating: averageRating === null ? null : Math.round(averageRating)
+            },
+            fighters
+        }
+    });
+});
+
+/**
+ * @desc  Ask to join a gym
+ * @route POST /api/gyms/:id/join
+ * @access Private (Fighters only)
+ */
+export const joinGym = catchAsync(async (req, res, next) => {
+    const userId = req.user.id;
+
+    const [gym, user] = await Promise.all([
+        Gym.findById(req.params.id),
+        User.findById(userId).select('gym')
+    ]);
+
+    if (!gym) {
+        return next(new AppError(
+            'Gym not found',
+            404,
+            'GYM_NOT_FOUND'
+        ));
+    }
+
+    if (user.gym) {
+        return next(new AppError(
+            'Leave your current gym before joining another',
+            409,
+            'ALREADY_IN_GYM'
+        ));
+    }
+
+    try {
+        await gym.requestToJoin(userId);
+    } catch (error) {
+        return next(new AppError(
+            error.message,
+            409,
+            'GYM_MEMBERSHIP_EXISTS'
+        ));
+    }
+
+    res.status(200).json({
+        success: true,
+        message: `Request to join ${gym.name} sent - a coach needs to approve it`
+    });
+});
+
+/**
+ * @desc  Leave a gym (or withdraw a pending request)
+ * @route POST /api/gyms/:id/leave
+ * @access Private (Members)
+ */
+export const leaveGym = catchAsync(async (req, res, next) => {
+    const userId = req.user.id;
+    const gym = await Gym.findById(req.params.id);
+
+    if (!gym) {
+        return next(new AppError(
+            'Gym not found',
+            404,
+            'GYM_NOT_FOUND'
+        ));
+    }
+
+    try {
+        await gym.removeMember(userId);
+    } catch (error) {
+        return next(new AppError(
+            error.message,
+            400,
+            'NOT_GYM_MEMBER'
+        ));
+    }
+
+    await User.updateOne({ _id: userId, gym: gym._id }, { gym: null });
+
+    res.status(200).json({
+        success: true,
+        message: `You have left ${gym.name}`
+    });
+});
+
+/**
+ * @desc  Approve a fighter's request to join
+ * @route PATCH /api/gyms/:id/members/:userId/approve
+ * @access Private (Coaches of the gym or admin)
+ */
+export const approveMember = catchAsync(async (req, res, next) => {
+    const gym = await findCoachedGym(req, next);
+    if (!gym) return;
+
+    const { userId } = req.params;
+    const member = gym.memberOf(userId);
+    if (!member || member.status !== 'pending') {
+        return next(new AppError(
+            'There is no pending request from this fighter',
+            400,
+            'NO_PENDING_REQUEST'
+        ));
+    }
+
+    // Only set the gym if the fighter has not joined another one in the meantime
+    const fighter = await User.findOneAndUpdate(
+        { _id: userId, $or: [{ gym: null }, { gym: gym._id }] },
+        { gym: gym._id },
+        { new: true }
+    ).select('username gym');
+
+    if (!fighter) {
+        return next(new AppError(
+            'This fighter has joined another gym',
+            409,
+            'ALREADY_IN_GYM'
+        ));
+    }
+
+    await gym.approve(userId, req.user.id);
+    await populateGym(gym);
+
+    res.status(200).json({
+        success: true,
+        message: `${fighter.username} is now a member of ${gym.name}`,
+        data: {
+            gym: publicGym(gym, { showPending: true })
+        }
+    });
+});
+
+/**
+ * @desc  Decline a request to join or remove a member
+ * @route DELETE /api/gyms/:id/members/:userId
+ * @access Private (Coaches of the gym or admin)
+ */
+export const removeMember = catchAsync(async (req, res, next) => {
+    const gym = await findCoachedGym(req, next);
+    if (!gym) return;
+
+    const { userId } = req.params;
+
+    try {
+        await gym.removeMember(userId);
+    } catch (error) {
+        return next(new AppError(
+            error.message,
+            400,
+            'NOT_GYM_MEMBER'
+        ));
+    }
+
+    await User.updateOne({ _id: userId, gym: gym._id }, { gym: null });
+    await populateGym(gym);
+
+    res.status(200).json({
+        success: true,
+        message: "Member removed",
+        data: {
+            gym: publicGym(gym, { showPending: true })
+        }
+    });
+});
+
+/**
+ * @desc  Accept an invitation to coach a gym
+ * @route POST /api/gyms/:id/coach-invite/accept
+ * @access Private (Invited users)
+ */
+export const acceptCoachInvite = catchAsync(async (req, res, next) => {
+    const gym = await Gym.findById(req.params.id);
+
+    if (!gym) {
+        return next(new AppError(
+            'Gym not found',
+            404,
+            'GYM_NOT_FOUND'
+        ));
+    }
+
+    try {
+        await gym.acceptCoachInvite(req.user.id);
+    } catch (error) {
+        return next(new AppError(
+            error.message,
+            400,
+            'NO_COACH_INVITE'
+        ));
+    }
+
+    await populateGym(gym);
+
+    res.status(200).json({
+        success: true,
+        message: `You are now a coach of ${gym.name}`,
+        data: {
+            gym: publicGym(gym, { showPending: true })
+        }
+    });
+});
+
+/**
+ * @desc  Decline an invitation to coach a gym
+ * @route DELETE /api/gyms/:id/coach-invite
+ * @access Private (Invited users)
+ */
+export const declineCoachInvite = catchAsync(async (req, res, next) => {
+    const gym = await Gym.findById(req.params.id);
+
+    if (!gym) {
+        return next(new AppError(
+            'Gym not found',
+            404,
+            'GYM_NOT_FOUND'
+        ));
+    }
+
+    try {
+        await gym.declineCoachInvite(req.user.id);
+    } catch (error) {
+        return next(new AppError(
+            error.message,
+            400,
+            'NO_COACH_INVITE'
+        ));
+    }
+
+    res.status(200).json({
+        success: true,
+        message: `Invitation to coach ${gym.name} declined`
+    });
+});
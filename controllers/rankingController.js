@@ -0,0 +1,82 @@
+// controllers/rankingController.js - Divisional and pound-for-pound rankings
+import { AppError, catchAsync } from "../middleware/errorHandler.js";
+import {
+    RANKED_DIVISIONS,
+    P4P,
+    resolveDivision,
+    recomputeRankings,
+    getLatestRanking
+} from "../services/rankings.js";
+
+// Send the latest snapshot of a division
+const sendRanking = async (res, division) => {
+    const ranking = await getLatestRanking(division);
+    if (!ranking) {
+        throw new AppError('Rankings are being computed. Please try again shortly.', 503, 'RANKINGS_NOT_READY');
+    }
+    await ranking.populate('entries.fighter', 'username profilePicture record rating location.city location.state location.country');
+
+    res.status(200).json({
+        success: true,
+        data: {
+            division: ranking.division,
+            computedAt: ranking.computedAt,
+            rankings: ranking.entries
+        }
+    });
+};
+
+/**
+ * @desc  Get the pound-for-pound ranking
+ * @route GET /api/rankings/p4p
+ * @access Public
+ */
+export const getPoundForPoundRanking = catchAsync(async (req, res, next) => {
+    await sendRanking(res, P4P);
+});
+
+/**
+ * @desc  Get the ranking of one weight class
+ * @route GET /api/rankings/:weightClass
+ * @access Public
+ * 
+ * NOTE: weightClass may be the name or a slug ("Light Heavyweight" or "light-heavyweight")
+ */
+export const getDivisionRanking = catchAsync(async (req, res, next) => {
+    const division = resolveDivision(req.params.weightClass);
+
+    if (!division || division === P4P) {
+        return next(new AppError(
+            `Unknown weight class. Ranked divisions: ${RANKED_DIVISIONS.join(', ')}`,
+            404,
+            'DIVISION_NOT_FOUND'
+        ));
+    }
+
+    await sendRanking(res, division);
+});
+
+/**
+ * @desc  Recompute all rankings now (e.g. to apply activity decay)
+ * @route POST /api/rankings/recompute
+ * @access Private (Admin only)
+ */
+export const recomputeAllRankings = catchAsync(async (req, res, next) => {
+    const done = await recomputeRankings({ reason: 'manual' });
+
+    if (!done) {
+        return next(new AppError(
+            'Rankings are already being recomputed. Please try again shortly.',
+            409,
+            'RANKINGS_BUSY'
+        ));
+    }
+
+    res.status(200).json({
+        success: true,
+        message: "Rankings recomputed",
+        data: {
+            divisions: [P4P, ...RANKED_DIVISIONS]
+        }
+    });
+});
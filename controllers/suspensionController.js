@@ -0,0 +1,178 @@
+// controllers/suspensionController.js - Medical and administrative suspensions
+import Suspension from "../models/suspensionModel.js";
+import User from "../models/userModel.js";
+import { AppError, catchAsync } from "../middleware/errorHandler.js";
+import { findSuspendedFighters } from "../services/suspensions.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @desc  Suspend a fighter manually
+ * @route POST /api/suspensions
+ * @access Private (Admin only)
+ *
+ * NOTE: req.body is pre-validated by validateInput('createSuspension') middleware
+ */
+export const createSuspension = catchAsync(async (req, res, next) => {
+    const { fighterId, days, until, reason } = req.body;
+
+    const fighter = await User.findOne({ _id: fighterId, isFighter: true }).select('username');
+    if (!fighter) {
+        return next(new AppError(
+            'Fighter not found',
+            404,
+            'FIGHTER_NOT_FOUND'
+        ));
+    }
+
+    const startsAt = new Date();
+    const suspension = await Suspension.create({
+        fighter: fighter._id,
+        type: 'manual',
+        reason,
+        startsAt,
+        until: until ? new Date(until) : new Date(startsAt.getTime() + days * DAY_MS),
+        issuedBy: req.user.id
+    });
+
+    await suspension.populate([
+        { path: 'fighter', select: 'username' },
+        { path: 'issuedBy', select: 'username' }
+    ]);
+
+    res.status(201).json({
+        success: true,
+        message: `${fighter.username} is suspended until ${suspension.until.toISOString().slice(0, 10)}`,
+        data: {
+            suspension
+        }
+    });
+});
+
+/**
+ * @desc  List suspensions, newest first
+ * @route GET /api/suspensions
+ * @access Private (Moderators and admins)
+ *
+ * NOTE: req.query is pre-validated by validateInput('suspensionQuery', 'query') middleware
+ */
+export const getSuspensions = catchAsync(async (req, res, next) => {
+    const { fighter, active } = req.query;
+    const pageNum = parseInt(req.query.page) || 1;
+    const limitNum = parseInt(req.query.limit) || 20;
+
+    const now = new Date();
+    const query = {};
+    if (fighter) {
+        query.fighter = fighter;
+    }
+    if (active === true) {
+        Object.assign(query, {
+            startsAt: { $lte: now },
+            until: { $gt: now },
+            'lifted.at': { $exists: false }
+        });
+    } else if (active === false) {
+        query.$or = [
+            { until: { $lte: now } },
+            { 'lifted.at': { $exists: true } }
+        ];
+    }
+
+    const [suspensions, total] = await Promise.all([
+        Suspension.find(query)
+            .sort({ createdAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .populate('fighter', 'username profilePicture')
+            .populate('issuedBy', 'username')
+            .populate('fight', 'details.actualDate outcome.method outcome.round'),
+        Suspension.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            suspensions,
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total,
+                pages: Math.ceil(total / limitNum),
+                hasNext: pageNum < Math.ceil(total / limitNum),
+                hasPrev: pageNum > 1
+            }
+        }
+    });
+});
+
+/**
+ * @desc  Lift a suspension before it runs out
+ * @route PATCH /api/suspensions/:id/lift
+ * @access Private (Admin only)
+ *
+ * NOTE: req.body is pre-validated by validateInput('liftSuspension') middleware
+ */
+export const liftSuspension = catchAsync(async (req, res, next) => {
+    const suspension = await Suspension.findById(req.params.id);
+
+    if (!suspension) {
+        return next(new AppError(
+            'Suspension not found',
+            404,
+            'SUSPENSION_NOT_FOUND'
+        ));
+    }
+
+    try {
+        await suspension.lift(req.user.id, req.body.reason);
+    } catch (error) {
+        return next(new AppError(
+            error.message,
+            400,
+            'SUSPENSION_NOT_ACTIVE'
+        ));
+    }
+
+    await suspension.populate([
+        { path: 'fighter', select: 'username' },
+        { path: 'lifted.by', select: 'username' }
+    ]);
+
+    res.status(200).json({
+        success: true,
+        message: "Suspension lifted",
+        data: {
+            suspension
+        }
+    });
+});
+
+/**
+ * @desc  Get whether a fighter is suspended and when they are cleared
+ * @route GET /api/fighters/:id/suspension
+ * @access Public
+ *
+ * Reasons can be medical, so they stay on the moderator listing (GET /api/suspensions).
+ */
+export const getFighterSuspension = catchAsync(async (req, res, next) => {
+    const fighter = await User.findOne({ _id: req.params.id, isFighter: true }).select('_id');
+
+    if (!fighter) {
+        return next(new AppError(
+            'Fighter not found',
+            404,
+            'FIGHTER_NOT_FOUND'
+        ));
+    }
+
+    const [status] = await findSuspendedFighters([fighter._id]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            suspended: Boolean(status),
+            clearanceDate: status?.until ?? null
+        }
+    });
+});
@@ -1,12 +1,162 @@
 // controllers/userController.js - Enhanced with proper validation sync
+import mongoose from "mongoose";
 import User from "../models/userModel.js";
+import Session from "../models/sessionModel.js";
+import AuthToken from "../models/authTokenModel.js";
+import LoginEvent from "../models/loginEventModel.js";
+import Challenge from "../models/challengeModel.js";
+import ChallengeMessage from "../models/challengeMessageModel.js";
+import Fight from "../models/fightModel.js";
+import RatingHistory from "../models/ratingHistoryModel.js";
+import Suspension from "../models/suspensionModel.js";
+import Gym from "../models/gymModel.js";
+import crypto from "crypto";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
 import { AppError, catchAsync } from "../middleware/errorHandler.js";
+import { accountDisabledError } from "../middleware/verifyToken.js";
+import { signAccessToken, signTwoFactorChallenge, verifyTwoFactorChallenge } from "../utils/tokens.js";
+import { sendMail } from "../services/mailer.js";
+import {
+    emailVerificationMail,
+    passwordResetMail,
+    passwordChangedMail,
+    emailChangeConfirmMail,
+    emailChangeNoticeMail
+} from "../services/mailTemplates.js";
+import {
+    generateSecret,
+    verifyCode,
+    buildOtpAuthUrl,
+    generateRecoveryCodes,
+    findRecoveryCode
+} from "../services/twoFactor.js";
+import {
+    getLoginBlock,
+    recordBlockedLogin,
+    recordFailedLogin,
+    recordSuccessfulLogin
+} from "../services/loginProtection.js";
+import { resolveLocation } from "../services/geocoder.js";
+import { PUBLIC_FIELDS, searchFighters as runFighterSearch } from "../services/fighterSearch.js";
+import { BOOKED_STATUSES, findFreeDates } from "../services/scheduling.js";
+import { containsPattern } from "../utils/escapeRegex.js";
 
 dotenv.config();
 
+// Client metadata recorded on sessions
+const requestMeta = (req) => ({
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+});
+
+// How long emailed links stay valid
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const EMAIL_CHANGE_TTL_HOURS = 24;
+
+// Mail failures should never break the request that triggered them
+const sendMailSafely = async (message) => {
+    try {
+        await sendMail(message);
+    } catch (error) {
+        console.error('Error sending mail:', error);
+    }
+};
+
+// Turn a login block into the matching error (sets Retry-After for clients)
+const loginBlockedError = (res, block) => {
+    res.set('Retry-After', String(block.retryAfter));
+
+    if (block.code === 'ACCOUNT_LOCKED') {
+        return new AppError(
+            'Too many failed sign-in attempts. This account is temporarily locked.',
+            423,
+            'ACCOUNT_LOCKED',
+            { lockedUntil: block.lockedUntil, retryAfter: block.retryAfter }
+        );
+    }
+
+    return new AppError(
+        `Too many failed sign-in attempts. Try again in ${block.retryAfter} seconds.`,
+        429,
+        'LOGIN_THROTTLED',
+        { retryAfter: block.retryAfter }
+    );
+};
+
+// Start a session for a fully authenticated user
+const startSession = async (req, user) => {
+    const { session, refreshToken } = await Session.createForUser(user._id, requestMeta(req));
+    return {
+        token: signAccessToken(user, session._id),
+        refreshToken
+    };
+};
+
+// Re-authentication check for sensitive account changes
+const checkPassword = async (userId, password) => {
+    const user = await User.findById(userId).select('+password');
+    if (!user || !(await bcrypt.compare(password, user.password))) {
+        return null;
+    }
+    return user;
+};
+
+// Verify a TOTP code against the user's active secret and record it to block replays
+const checkTwoFactorCode = async (userId, code) => {
+    const user = await User.findById(userId).select('+twoFactor.secret +twoFactor.lastUsedStep');
+    if (!user?.twoFactor?.enabled) {
+        return false;
+    }
+
+    const step = verifyCode(user.twoFactor.secret, code, {
+        lastUsedStep: user.twoFactor.lastUsedStep ?? -1
+    });
+    if (step === null) {
+        return false;
+    }
+
+    // Conditional update so two concurrent requests cannot both use the same code
+    const result = await User.updateOne(
+        {
+            _id: userId,
+            $or: [
+                { 'twoFactor.lastUsedStep': { $lt: step } },
+                { 'twoFactor.lastUsedStep': { $exists: false } }
+            ]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1;
+};
+
+// Redeem a recovery code (each one works once)
+const useRecoveryCode = async (userId, code) => {
+    const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+    const index = findRecoveryCode(user?.twoFactor?.recoveryCodes, code);
+    if (index === -1) {
+        return false;
+    }
+
+    const result = await User.updateOne(
+        { _id: userId, 'twoFactor.recoveryCodes': user.twoFactor.recoveryCodes[index] },
+        { $pull: { 'twoFactor.recoveryCodes': user.twoFactor.recoveryCodes[index] } }
+    );
+    return result.modifiedCount === 1;
+};
+
+// Issue a fresh verification token and email it
+const sendVerificationEmail = async (user) => {
+    const token = await AuthToken.issue(
+        user._id,
+        'email-verification',
+        EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000,
+        { email: user.email }
+    );
+    await sendMailSafely(emailVerificationMail(user, token, EMAIL_VERIFICATION_TTL_HOURS));
+};
+
 /**
  * @desc  Sign up a new user (default: fan)
  * @route POST /api/users/signup
@@ -41,11 +191,14 @@ export const signup = catchAsync(async (req, res, next) => {
         password: hashedPassword 
     });
 
+    await sendVerificationEmail(newUser);
+
     // Don't send password in response
     const userResponse = {
         _id: newUser._id,
         username: newUser.username,
         email: newUser.email,
+        emailVerified: newUser.emailVerified,
         role: newUser.role,
         isFighter: newUser.isFighter,
         createdAt: newUser.createdAt
@@ -53,7 +206,7 @@ export const signup = catchAsync(async (req, res, next) => {
 
     res.status(201).json({ 
         success: true,
-        message: "User registered successfully!",
+        message: "User registered successfully! Check your email to verify your address.",
         data: {
             user: userResponse
         }
@@ -71,7 +224,7 @@ export const signin = catchAsync(async (req, res, next) => {
     const { username, password } = req.body;
 
     // Find user and include password for comparison
-    const user = await User.findOne({ username }).select('+password');
+    const user = await User.findOne({ username }).select('+password +loginSecurity');
     
     if (!user) {
         return next(new AppError(
@@ -81,10 +234,18 @@ export const signin = catchAsync(async (req, res, next) => {
         ));
     }
 
+    // Refuse early while the account is throttled/locked (the password is not even checked)
+    const block = getLoginBlock(user);
+    if (block) {
+        await recordBlockedLogin(user, requestMeta(req), block);
+        return next(loginBlockedError(res, block));
+    }
+
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     
     if (!isPasswordValid) {
+        await recordFailedLogin(user, requestMeta(req), 'invalid-password');
         return next(new AppError(
             'Invalid username or password',
             401,
@@ -92,18 +253,28 @@ export const signin = catchAsync(async (req, res, next) => {
         ));
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-        { 
-            id: user._id, 
-            role: user.role,
-            username: user.username
-        }, 
-        process.env.JWT_SECRET, 
-        { 
-            expiresIn: process.env.JWT_EXPIRES_IN || "24h"
-        }
-    );
+    // Banned accounts are only told so once the password is right
+    if (user.disabledAt) {
+        return next(accountDisabledError());
+    }
+
+    // With 2FA on, the password only earns a short-lived challenge token;
+    // the session is created by POST /signin/2fa
+    if (user.twoFactor?.enabled) {
+        return res.status(200).json({
+            success: true,
+            message: "Two-factor authentication code required",
+            data: {
+                twoFactorRequired: true,
+                challengeToken: signTwoFactorChallenge(user)
+            }
+        });
+    }
+
+    await recordSuccessfulLogin(user, requestMeta(req));
+
+    // Start a session: short-lived access token + rotating refresh token
+    const { token, refreshToken } = await startSession(req, user);
 
     // Remove password from user object
     user.password = undefined;
@@ -113,11 +284,319 @@ export const signin = catchAsync(async (req, res, next) => {
         message: "Signed in successfully",
         data: {
             token,
+            refreshToken,
+            user
+        }
+    });
+});
+
+/**
+ * @desc  Second sign-in step for accounts with 2FA enabled
+ * @route POST /api/users/signin/2fa
+ * @access Public (requires the challenge token from signin)
+ * 
+ * NOTE: req.body is pre-validated by validateInput('twoFactorSignin') middleware
+ */
+export const completeTwoFactorSignin = catchAsync(async (req, res, next) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+
+    if (!userId) {
+        return next(new AppError(
+            'Sign-in attempt has expired. Please sign in again.',
+            401,
+            'INVALID_TWO_FACTOR_CHALLENGE'
+        ));
+    }
+
+    const user = await User.findById(userId).select('-password +loginSecurity');
+
+    if (!user) {
+        return next(new AppError(
+            'Sign-in attempt has expired. Please sign in again.',
+            401,
+            'INVALID_TWO_FACTOR_CHALLENGE'
+        ));
+    }
+
+    // Banned between the password step and this one
+    if (user.disabledAt) {
+        return next(accountDisabledError());
+    }
+
+    // Codes are guessable too - they count towards the same lockout as passwords
+    const block = getLoginBlock(user);
+    if (block) {
+        await recordBlockedLogin(user, requestMeta(req), block);
+        return next(loginBlockedError(res, block));
+    }
+
+    const isValid = code ?
+        await checkTwoFactorCode(userId, code) :
+        await useRecoveryCode(userId, recoveryCode);
+
+    if (!isValid) {
+        await recordFailedLogin(user, requestMeta(req), 'invalid-2fa');
+        return next(new AppError(
+            'Invalid two-factor authentication code',
+            401,
+            'INVALID_TWO_FACTOR_CODE'
+        ));
+    }
+
+    await recordSuccessfulLogin(user, requestMeta(req));
+    const { token, refreshToken } = await startSession(req, user);
+
+    res.status(200).json({
+        success: true,
+        message: "Signed in successfully",
+        data: {
+            token,
+            refreshToken,
             user
         }
     });
 });
 
+/**
+ * @desc  Exchange a refresh token for a new access token (rotates the refresh token)
+ * @route POST /api/users/refresh
+ * @access Public (requires a valid refresh token)
+ * 
+ * NOTE: req.body is pre-validated by validateInput('refreshToken') middleware
+ */
+export const refreshSession = catchAsync(async (req, res, next) => {
+    const { refreshToken } = req.body;
+
+    let rotated;
+    try {
+        rotated = await Session.rotate(refreshToken, requestMeta(req));
+    } catch (error) {
+        return next(new AppError(
+            error.message,
+            401,
+            error.code || 'INVALID_REFRESH_TOKEN'
+        ));
+    }
+
+    const user = await User.findById(rotated.session.user).select('role username disabledAt');
+
+    if (!user) {
+        await rotated.session.revoke('admin');
+        return next(new AppError(
+            'User not found',
+            401,
+            'INVALID_REFRESH_TOKEN'
+        ));
+    }
+
+    if (user.disabledAt) {
+        await rotated.session.revoke('admin');
+        return next(accountDisabledError());
+    }
+
+    res.status(200).json({
+        success: true,
+        message: "Session refreshed",
+        data: {
+            token: signAccessToken(user, rotated.session._id),
+            refreshToken: rotated.refreshToken
+        }
+    });
+});
+
+/**
+ * @desc  Sign out of the current session
+ * @route POST /api/users/signout
+ * @access Private
+ */
+export const signout = catchAsync(async (req, res, next) => {
+    await Session.updateOne(
+        { _id: req.user.sid, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'signout' } }
+    );
+
+    res.status(200).json({
+        success: true,
+        message: "Signed out successfully"
+    });
+});
+
+/**
+ * @desc  Sign out of every session (all devices)
+ * @route POST /api/users/signout-all
+ * @access Private
+ */
+export const signoutAll = catchAsync(async (req, res, next) => {
+    const result = await Session.revokeAllForUser(req.user.id, 'signout-all');
+
+    res.status(200).json({
+        success: true,
+        message: "Signed out of all sessions",
+        data: {
+            revokedSessions: result.modifiedCount
+        }
+    });
+});
+
+/**
+ * @desc  Verify email address with a token from the verification email
+ * @route POST /api/users/verify-email
+ * @access Public (requires a valid verification token)
+ * 
+ * NOTE: req.body is pre-validated by validateInput('verifyEmail') middleware
+ */
+export const verifyEmail = catchAsync(async (req, res, next) => {
+    const { token } = req.body;
+
+    const verificationToken = await AuthToken.consume(token, 'email-verification');
+
+    if (!verificationToken) {
+        return next(new AppError(
+            'Verification link is invalid or has expired',
+            400,
+            'INVALID_VERIFICATION_TOKEN'
+        ));
+    }
+
+    const user = await User.findById(verificationToken.user);
+
+    // The token only proves ownership of the address it was sent to
+    if (!user || user.email !== verificationToken.data?.email) {
+        return next(new AppError(
+            'Verification link is invalid or has expired',
+            400,
+            'INVALID_VERIFICATION_TOKEN'
+        ));
+    }
+
+    if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+    }
+
+    res.status(200).json({
+        success: true,
+        message: "Email verified successfully",
+        data: {
+            user: {
+                _id: user._id,
+                username: user.username,
+                email: user.email,
+                emailVerified: user.emailVerified
+            }
+        }
+    });
+});
+
+/**
+ * @desc  Resend the email verification link
+ * @route POST /api/users/verify-email/resend
+ * @access Private
+ */
+export const resendVerificationEmail = catchAsync(async (req, res, next) => {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+        return next(new AppError(
+            'User not found',
+            404,
+            'USER_NOT_FOUND'
+        ));
+    }
+
+    if (user.emailVerified) {
+        return next(new AppError(
+            'Your email is already verified',
+            400,
+            'EMAIL_ALREADY_VERIFIED'
+        ));
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+        success: true,
+        message: "Verification email sent"
+    });
+});
+
+/**
+ * @desc  Request a password reset link
+ * @route POST /api/users/forgot-password
+ * @access Public
+ * 
+ * NOTE: req.body is pre-validated by validateInput('forgotPassword') middleware
+ * Always responds the same way so the endpoint cannot be used to discover accounts
+ */
+export const forgotPassword = catchAsync(async (req, res, next) => {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    if (user) {
+        const token = await AuthToken.issue(
+            user._id,
+            'password-reset',
+            PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+        );
+        await sendMailSafely(passwordResetMail(user, token, PASSWORD_RESET_TTL_MINUTES));
+    }
+
+    res.status(200).json({
+        success: true,
+        message: "If an account exists for that email, a reset link has been sent"
+    });
+});
+
+/**
+ * @desc  Reset password with a token from the reset email
+ * @route POST /api/users/reset-password
+ * @access Public (requires a valid reset token)
+ * 
+ * NOTE: req.body is pre-validated by validateInput('resetPassword') middleware
+ */
+export const resetPassword = catchAsync(async (req, res, next) => {
+    const { token, password } = req.body;
+
+    // Single use: the token is marked used as it is redeemed
+    const resetToken = await AuthToken.consume(token, 'password-reset');
+
+    if (!resetToken) {
+        return next(new AppError(
+            'Reset link is invalid or has expired',
+            400,
+            'INVALID_RESET_TOKEN'
+        ));
+    }
+
+    const user = await User.findById(resetToken.user);
+
+    if (!user) {
+        return next(new AppError(
+            'User not found',
+            404,
+            'USER_NOT_FOUND'
+        ));
+    }
+
+    user.password = await bcrypt.hash(password, 12);
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Whoever knew the old password must not stay signed in
+    await Session.revokeAllForUser(user._id, 'password-change');
+
+    await sendMailSafely(passwordChangedMail(user, true));
+
+    res.status(200).json({
+        success: true,
+        message: "Password reset successfully. Please sign in with your new password."
+    });
+});
+
 /**
  * @desc  "Step Into The Cage" - Fan Becomes Fighter
  * @route POST /api/users/become-fighter
@@ -146,9 +625,20 @@ export const stepIntoTheCage = catchAsync(async (req, res, next) => {
         ));
     }
 
-    // Update user to fighter status
+    if (!user.emailVerified) {
+        return next(new AppError(
+            'Please verify your email address before becoming a fighter',
+            403,
+            'EMAIL_NOT_VERIFIED'
+        ));
+    }
+
+    // Update user to fighter status (staff keep their elevated role;
+    // isFighter alone grants them fighter permissions)
     user.isFighter = true;
-    user.role = "fighter";
+    if (user.role === "fan") {
+        user.role = "fighter";
+    }
     await user.save();
 
     res.status(200).json({ 
@@ -176,7 +666,8 @@ export const getMyProfile = catchAsync(async (req, res, next) => {
     const user = await User.findById(userId)
         .select("-password")
         .populate('favoriteFighters', 'username profilePicture record')
-        .populate('challenges');
+        .populate('challenges')
+        .populate('gym', 'name location');
 
     if (!user) {
         return next(new AppError(
@@ -205,26 +696,17 @@ export const updateMyProfile = catchAsync(async (req, res, next) => {
     const userId = req.user.id;
     const updates = req.body; // Already validated and sanitized
 
-    // Check if trying to update username/email that already exists
-    if (updates.username || updates.email) {
-        const query = {
+    // Check if trying to update a username that already exists
+    // (email changes go through requestEmailChange, which requires the password)
+    if (updates.username) {
+        const existingUser = await User.findOne({
             _id: { $ne: userId }, // Exclude current user
-            $or: []
-        };
-
-        if (updates.username) {
-            query.$or.push({ username: updates.username });
-        }
-        if (updates.email) {
-            query.$or.push({ email: updates.email });
-        }
-
-        const existingUser = await User.findOne(query);
+            username: updates.username
+        });
 
         if (existingUser) {
-            const field = existingUser.username === updates.username ? 'username' : 'email';
             return next(new AppError(
-                `This ${field} is already taken`,
+                'This username is already taken',
                 409,
                 'DUPLICATE_FIELD'
             ));
@@ -260,42 +742,382 @@ export const updateMyProfile = catchAsync(async (req, res, next) => {
 });
 
 /**
- * @desc  Update fighter-specific details
- * @route PATCH /api/users/me/fighter
- * @access Private (Fighters only)
+ * @desc  Change password (requires the current password)
+ * @route PATCH /api/users/me/password
+ * @access Private
  * 
- * NOTE: req.body is pre-validated by validateInput('updateFighterProfile') middleware
+ * NOTE: req.body is pre-validated by validateInput('changePassword') middleware
  */
-export const updateFighterProfile = catchAsync(async (req, res, next) => {
-    const userId = req.user.id;
-    const updates = req.body; // Already validated and sanitized
+export const changePassword = catchAsync(async (req, res, next) => {
+    const { currentPassword, newPassword } = req.body;
 
-    const user = await User.findById(userId);
+    const user = await checkPassword(req.user.id, currentPassword);
 
     if (!user) {
         return next(new AppError(
-            'User not found',
-            404,
-            'USER_NOT_FOUND'
+            'Current password is incorrect',
+            401,
+            'INVALID_CREDENTIALS'
         ));
     }
 
-    if (!user.isFighter) {
+    if (await bcrypt.compare(newPassword, user.password)) {
         return next(new AppError(
-            'Only fighters can update fighter details',
-            403,
-            'NOT_FIGHTER'
+            'New password must be different from the current password',
+            400,
+            'PASSWORD_UNCHANGED'
         ));
     }
 
-    // Update fighter profile
-    const updatedFighter = await User.findByIdAndUpdate(
-        userId, 
-        updates, 
-        { 
-            new: true, 
-            runValidators: true,
-            select: "-password" 
+    user.password = await bcrypt.hash(newPassword, 12);
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Keep this device signed in, sign out everywhere else
+    await Session.revokeAllForUser(user._id, 'password-change', req.user.sid);
+
+    await sendMailSafely(passwordChangedMail(user));
+
+    res.status(200).json({
+        success: true,
+        message: "Password changed successfully. Your other sessions have been signed out."
+    });
+});
+
+/**
+ * @desc  Request an email change - sends a confirmation link to the new address
+ * @route POST /api/users/me/email
+ * @access Private
+ * 
+ * NOTE: req.body is pre-validated by validateInput('changeEmail') middleware
+ */
+export const requestEmailChange = catchAsync(async (req, res, next) => {
+    const { currentPassword, newEmail } = req.body;
+
+    const user = await checkPassword(req.user.id, currentPassword);
+
+    if (!user) {
+        return next(new AppError(
+            'Current password is incorrect',
+            401,
+            'INVALID_CREDENTIALS'
+        ));
+    }
+
+    if (user.email === newEmail) {
+        return next(new AppError(
+            'This is already your email address',
+            400,
+            'EMAIL_UNCHANGED'
+        ));
+    }
+
+    const existingUser = await User.findOne({ email: newEmail });
+    if (existingUser) {
+        return next(new AppError(
+            'This email is already taken',
+            409,
+            'DUPLICATE_FIELD'
+        ));
+    }
+
+    const token = await AuthToken.issue(
+        user._id,
+        'email-change',
+        EMAIL_CHANGE_TTL_HOURS * 60 * 60 * 1000,
+        { oldEmail: user.email, newEmail }
+    );
+
+    await sendMailSafely(emailChangeConfirmMail(user, newEmail, token, EMAIL_CHANGE_TTL_HOURS));
+    await sendMailSafely(emailChangeNoticeMail(user, user.email, newEmail, false));
+
+    res.status(200).json({
+        success: true,
+        message: `A confirmation link has been sent to ${newEmail}`
+    });
+});
+
+/**
+ * @desc  Confirm an email change with the token sent to the new address
+ * @route POST /api/users/me/email/confirm
+ * @access Public (requires a valid email-change token)
+ * 
+ * NOTE: req.body is pre-validated by validateInput('confirmEmailChange') middleware
+ */
+export const confirmEmailChange = catchAsync(async (req, res, next) => {
+    const changeToken = await AuthToken.consume(req.body.token, 'email-change');
+
+    if (!changeToken) {
+        return next(new AppError(
+            'Confirmation link is invalid or has expired',
+            400,
+            'INVALID_EMAIL_CHANGE_TOKEN'
+        ));
+    }
+
+    const { oldEmail, newEmail } = changeToken.data;
+    const user = await User.findById(changeToken.user);
+
+    // The account's email must not have changed since the request
+    if (!user || user.email !== oldEmail) {
+        return next(new AppError(
+            'Confirmation link is invalid or has expired',
+            400,
+            'INVALID_EMAIL_CHANGE_TOKEN'
+        ));
+    }
+
+    const existingUser = await User.findOne({ email: newEmail, _id: { $ne: user._id } });
+    if (existingUser) {
+        return next(new AppError(
+            'This email is already taken',
+            409,
+            'DUPLICATE_FIELD'
+        ));
+    }
+
+    // Clicking the link proves ownership of the new address
+    user.email = newEmail;
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    await sendMailSafely(emailChangeNoticeMail(user, oldEmail, newEmail, true));
+
+    res.status(200).json({
+        success: true,
+        message: "Email address updated",
+        data: {
+            user: {
+                _id: user._id,
+                username: user.username,
+                email: user.email,
+                emailVerified: user.emailVerified
+            }
+        }
+    });
+});
+
+/**
+ * @desc  Get the logged-in user's sign-in history
+ * @route GET /api/users/me/logins
+ * @access Private
+ * 
+ * NOTE: req.query is pre-validated by validateInput('loginHistoryQuery', 'query') middleware
+ */
+export const getMyLogins = catchAsync(async (req, res, next) => {
+    const userId = req.user.id;
+    const { page, limit } = req.query;
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [logins, total] = await Promise.all([
+        LoginEvent.find({ user: userId })
+            .select('-user')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limitNum),
+        LoginEvent.countDocuments({ user: userId })
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            logins,
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total,
+                pages: Math.ceil(total / limitNum),
+                hasNext: pageNum < Math.ceil(total / limitNum),
+                hasPrev: pageNum > 1
+            }
+        }
+    });
+});
+
+/**
+ * @desc  Export all personal data of the logged-in user
+ * @route GET /api/users/me/export
+ * @access Private
+ */
+export const exportMyData = catchAsync(async (req, res, next) => {
+    const userId = req.user.id;
+
+    const user = await User.findById(userId)
+        .select("-password +availability.blackouts")
+        .populate('favoriteFighters', 'username');
+
+    if (!user) {
+        return next(new AppError(
+            'User not found',
+            404,
+            'USER_NOT_FOUND'
+        ));
+    }
+
+    const [challenges, challengeMessages, fights, ratingHistory, suspensions, logins] = await Promise.all([
+        Challenge.find({ $or: [{ challenger: userId }, { challenged: userId }] })
+            .populate('challenger', 'username')
+            .populate('challenged', 'username')
+            .sort({ createdAt: 1 }),
+        // Everything the user wrote, deleted messages included (lean keeps their text)
+        ChallengeMessage.find({ sender: userId, isSystemMessage: false })
+            .select('-sender')
+            .sort({ createdAt: 1 })
+            .lean(),
+        Fight.find({ 'fighters.user': userId })
+            .populate('fighters.user', 'username')
+            .populate('outcome.winner', 'username')
+            .sort({ 'details.scheduledDate': 1 }),
+        RatingHistory.find({ user: userId })
+            .select('-user')
+            .populate('opponent', 'username')
+            .sort({ createdAt: 1 }),
+        Suspension.find({ fighter: userId })
+            .select('-fighter -issuedBy -lifted.by')
+            .sort({ createdAt: 1 }),
+        LoginEvent.find({ user: userId })
+            .select('-user')
+            .sort({ createdAt: 1 })
+    ]);
+
+    const { bets, comments, ...profile } = user.toJSON({ includeLocationPoint: true });
+
+    res.set('Content-Disposition', `attachment; filename="lapointe-export-${userId}.json"`);
+    res.status(200).json({
+        success: true,
+        data: {
+            exportedAt: new Date().toISOString(),
+            profile,
+            bets,
+            comments,
+            challenges,
+            challengeMessages,
+            fights,
+            ratingHistory,
+            suspensions,
+            logins
+        }
+    });
+});
+
+/**
+ * @desc  Delete (anonymize) the logged-in user's account
+ * @route DELETE /api/users/me
+ * @access Private
+ * 
+ * NOTE: req.body is pre-validated by validateInput('deleteAccount') middleware
+ * The document is kept with all personal data removed so completed fights keep
+ * a valid opponent; it serializes as a "Deleted Fighter" placeholder.
+ */
+export const deleteMyAccount = catchAsync(async (req, res, next) => {
+    const userId = req.user.id;
+    const { password, code } = req.body;
+
+    const user = await checkPassword(userId, password);
+
+    if (!user) {
+        return next(new AppError(
+            'Current password is incorrect',
+            401,
+            'INVALID_CREDENTIALS'
+        ));
+    }
+
+    if (user.twoFactor.enabled && !(code && await checkTwoFactorCode(userId, code))) {
+        return next(new AppError(
+            'A valid two-factor authentication code is required',
+            401,
+            'INVALID_TWO_FACTOR_CODE'
+        ));
+    }
+
+    // Close everything still in motion - completed fights are left untouched
+    const activeChallenges = await Challenge.find({
+        $or: [{ challenger: userId }, { challenged: userId }],
+        status: { $in: ['pending', 'accepted'] }
+    });
+    for (const challenge of activeChallenges) {
+        await challenge.cancel('Fighter account deleted');
+    }
+
+    const upcomingFights = await Fight.find({
+        'fighters.user': userId,
+        status: { $in: ['scheduled', 'postponed', 'in-progress'] }
+    });
+    for (const fight of upcomingFights) {
+        await fight.cancel('Fighter account deleted');
+    }
+
+    // Messages stay in the conversations (as deleted) so the other fighter's thread still pages correctly
+    await ChallengeMessage.updateMany(
+        { sender: user._id, isSystemMessage: false },
+        { $set: { message: 'Message deleted', deletedAt: new Date() } }
+    );
+    await User.updateMany({ favoriteFighters: user._id }, { $pull: { favoriteFighters: user._id } });
+    await Gym.updateMany(
+        { $or: [{ 'members.user': user._id }, { coaches: user._id }] },
+        { $pull: { members: { user: user._id }, coaches: user._id } }
+    );
+    await AuthToken.deleteMany({ user: user._id });
+    await LoginEvent.deleteMany({ user: user._id });
+    await Session.revokeAllForUser(user._id, 'signout-all');
+
+    const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+    await user.anonymize(unusablePassword);
+
+    res.status(200).json({
+        success: true,
+        message: "Your account has been deleted"
+    });
+});
+
+/**
+ * @desc  Update fighter-specific details
+ * @route PATCH /api/users/me/fighter
+ * @access Private (Fighters only)
+ * 
+ * NOTE: req.body is pre-validated by validateInput('updateFighterProfile') middleware
+ */
+export const updateFighterProfile = catchAsync(async (req, res, next) => {
+    const userId = req.user.id;
+    const updates = req.body; // Already validated and sanitized
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+        return next(new AppError(
+            'User not found',
+            404,
+            'USER_NOT_FOUND'
+        ));
+    }
+
+    if (!user.isFighter) {
+        return next(new AppError(
+            'Only fighters can update fighter details',
+            403,
+            'NOT_FIGHTER'
+        ));
+    }
+
+    // Store coordinates for distance search
+    if (updates.location) {
+        updates.location = await resolveLocation(updates.location);
+    }
+
+    // Update fighter profile
+    const updatedFighter = await User.findByIdAndUpdate(
+        userId, 
+        updates, 
+        { 
+            new: true, 
+            runValidators: true,
+            select: "-password" 
         }
     );
 
@@ -308,6 +1130,180 @@ export const updateFighterProfile = catchAsync(async (req, res, next) => {
     });
 });
 
+// Blackouts cover whole UTC days: start at 00:00, end at 23:59:59.999
+const toWholeDays = ({ start, end, reason }) => {
+    const from = new Date(start);
+    const to = new Date(end);
+    from.setUTCHours(0, 0, 0, 0);
+    to.setUTCHours(23, 59, 59, 999);
+    return { start: from, end: to, ...(reason && { reason }) };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @desc  Get the logged-in fighter's availability calendar
+ * @route GET /api/users/me/availability
+ * @access Private (Fighters only)
+ */
+export const getMyAvailability = catchAsync(async (req, res, next) => {
+    const userId = req.user.id;
+
+    const user = await User.findById(userId).select('isFighter +availability.blackouts');
+
+    if (!user || !user.isFighter) {
+        return next(new AppError(
+            'Only fighters have an availability calendar',
+            403,
+            'NOT_FIGHTER'
+        ));
+    }
+
+    const [bookedFights, freeDates] = await Promise.all([
+        Fight.find({ 'fighters.user': userId, status: { $in: BOOKED_STATUSES } })
+            .select('fighters details.scheduledDate details.venue status')
+            .populate('fighters.user', 'username')
+            .sort({ 'details.scheduledDate': 1 }),
+        findFreeDates([userId], new Date(Date.now() + DAY_MS))
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            blackouts: user.availability?.blackouts || [],
+            bookedFights,
+            freeDates
+        }
+    });
+});
+
+/**
+ * @desc  Replace the logged-in fighter's blackout windows
+ * @route PUT /api/users/me/availability
+ * @access Private (Fighters only)
+ * 
+ * NOTE: req.body is pre-validated by validateInput('updateAvailability') middleware
+ * Blackouts that overlap an already booked fight are saved, but the fight is
+ * listed in `clashingFights` so it can be rescheduled.
+ */
+export const updateMyAvailability = catchAsync(async (req, res, next) => {
+    const userId = req.user.id;
+    const blackouts = req.body.blackouts
+        .map(toWholeDays)
+        .sort((a, b) => a.start - b.start);
+
+    const user = await User.findOneAndUpdate(
+        { _id: userId, isFighter: true },
+        { $set: { 'availability.blackouts': blackouts } },
+        { new: true, runValidators: true }
+    ).select('+availability.blackouts');
+
+    if (!user) {
+        return next(new AppError(
+            'Only fighters have an availability calendar',
+            403,
+            'NOT_FIGHTER'
+        ));
+    }
+
+    const clashingFights = blackouts.length === 0 ? [] : await Fight.find({
+        'fighters.user': userId,
+        status: { $in: BOOKED_STATUSES },
+        $or: blackouts.map(({ start, end }) => ({
+            'details.scheduledDate': { $gte: start, $lte: end }
+        }))
+    })
+        .select('details.scheduledDate status')
+        .sort({ 'details.scheduledDate': 1 });
+
+    res.status(200).json({
+        success: true,
+        message: "Availability updated successfully",
+        data: {
+            blackouts: user.availability.blackouts,
+            clashingFights
+        }
+    });
+});
+
+// { $gte, $lte } condition from optional bounds (null when neither is given)
+const rangeFilter = (min, max) => {
+    if (min === undefined && max === undefined) return null;
+    return {
+        ...(min !== undefined && { $gte: min }),
+        ...(max !== undefined && { $lte: max })
+    };
+};
+
+// Allowed fighter list sorts ("record" = most wins, then fewest losses)
+const FIGHTER_SORTS = {
+    'createdAt': { createdAt: 1 },
+    '-createdAt': { createdAt: -1 },
+    'username': { username: 1 },
+    '-username': { username: -1 },
+    'weight': { weight: 1 },
+    '-weight': { weight: -1 },
+    'rating': { 'rating.value': 1 },
+    '-rating': { 'rating.value': -1 },
+    'record': { 'record.wins': 1, 'record.losses': -1 },
+    '-record': { 'record.wins': -1, 'record.losses': 1 },
+    'wins': { 'record.wins': 1 },
+    '-wins': { 'record.wins': -1 },
+    'lastFightAt': { lastFightAt: 1 },
+    '-lastFightAt': { lastFightAt: -1 }
+};
+
+// Public fighter fields plus what the listing cards show
+const FIGHTER_LISTING_FIELDS = `${PUBLIC_FIELDS} isFighter openToChallenges lastFightAt challenges createdAt`;
+
+const METERS_PER_MILE = 1609.344;
+const EARTH_RADIUS_MILES = 3963.2;
+
+// One page of fighters within `radius` miles of { lat, lng }, nearest first,
+// each with its distance in miles
+const findFightersNear = async (query, { lat, lng }, radius, skip, limit) => {
+    const center = [lng, lat];
+
+    const nearest = await User.aggregate([
+        {
+            $geoNear: {
+                near: { type: 'Point', coordinates: center },
+                key: 'location.point',
+                distanceField: 'distance',
+                maxDistance: radius * METERS_PER_MILE,
+                spherical: true,
+                query
+            }
+        },
+        { $skip: skip },
+        { $limit: limit },
+        { $project: { distance: 1 } }
+    ]);
+
+    // Load the page through the model so selection, population and toJSON match the normal listing
+    const [docs, total] = await Promise.all([
+        User.find({ _id: { $in: nearest.map(result => result._id) } })
+            .select(FIGHTER_LISTING_FIELDS)
+            .populate('challenges', 'status createdAt')
+            .populate('gym', 'name'),
+        User.countDocuments({
+            ...query,
+            'location.point': { $geoWithin: { $centerSphere: [center, radius / EARTH_RADIUS_MILES] } }
+        })
+    ]);
+
+    const byId = new Map(docs.map(doc => [doc._id.toString(), doc]));
+    const fighters = nearest
+        .filter(result => byId.has(result._id.toString()))
+        .map(result => ({
+            ...byId.get(result._id.toString()).toJSON(),
+            // Whole miles, rounded up - finer distances would let anyone triangulate an address
+            distance: Math.ceil(result.distance / METERS_PER_MILE)
+        }));
+
+    return { fighters, total };
+};
+
 /**
  * @desc  Get all fighters with optional search filters
  * @route GET /api/users/fighters
@@ -322,11 +1318,25 @@ export const getAllFighters = catchAsync(async (req, res, next) => {
     // Extract validated query parameters
     const { 
         weight, 
+        minWeight,
+        maxWeight,
+        weightClass,
         height, 
+        minHeight,
+        maxHeight,
+        minAge,
+        maxAge,
+        minWins,
+        minWinRate,
+        activeWithinMonths,
+        openToChallenges,
+        gym,
         styles, 
         city, 
         state, 
         country,
+        near,
+        radius,
         page = 1,
         limit = 10,
         sort = '-createdAt'
@@ -337,25 +1347,74 @@ export const getAllFighters = catchAsync(async (req, res, next) => {
         query.weight = weight;
     }
 
+    if (weightClass) {
+        query.weightClass = weightClass;
+    }
+
     if (height) {
         query.height = height;
     }
 
+    // Ranges (an exact weight / height above takes precedence)
+    if (!weight && rangeFilter(minWeight, maxWeight)) {
+        query.weight = rangeFilter(minWeight, maxWeight);
+    }
+
+    if (!height && rangeFilter(minHeight, maxHeight)) {
+        query.height = rangeFilter(minHeight, maxHeight);
+    }
+
+    if (rangeFilter(minAge, maxAge)) {
+        query.age = rangeFilter(minAge, maxAge);
+    }
+
+    // Record
+    if (minWins !== undefined) {
+        query['record.wins'] = { $gte: minWins };
+    }
+
+    // Win rate = wins / (wins + losses + draws), given as a percentage; fighters without fights never match
+    if (minWinRate !== undefined) {
+        const totalFights = { $add: ['$record.wins', '$record.losses', '$record.draws'] };
+        query.$expr = {
+            $and: [
+                { $gt: [totalFights, 0] },
+                { $gte: [{ $divide: ['$record.wins', totalFights] }, minWinRate / 100] }
+            ]
+        };
+    }
+
+    // Activity
+    if (activeWithinMonths) {
+        const since = new Date();
+        since.setMonth(since.getMonth() - activeWithinMonths);
+        query.lastFightAt = { $gte: since };
+    }
+
+    if (openToChallenges !== undefined) {
+        query.openToChallenges = openToChallenges;
+    }
+
+    // ObjectId (not a string) because the distance search passes the query to an aggregation
+    if (gym) {
+        query.gym = new mongoose.Types.ObjectId(gym);
+    }
+
     if (styles) {
         const stylesArray = styles.split(',').map(s => s.trim());
         query.styles = { $in: stylesArray };
     }
 
     if (city) {
-        query["location.city"] = new RegExp(city, "i");
+        query["location.city"] = containsPattern(city);
     }
 
     if (state) {
-        query["location.state"] = new RegExp(state, "i");
+        query["location.state"] = containsPattern(state);
     }
 
     if (country) {
-        query["location.country"] = new RegExp(country, "i");
+        query["location.country"] = containsPattern(country);
     }
 
     // Pagination (validation middleware ensures these are valid numbers)
@@ -363,13 +1422,35 @@ export const getAllFighters = catchAsync(async (req, res, next) => {
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
+    // Distance search: sorted by distance, sort parameter is ignored
+    if (near) {
+        const { fighters, total } = await findFightersNear(query, near, radius, skip, limitNum);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                fighters,
+                search: { near, radius, unit: 'miles' },
+                pagination: {
+                    page: pageNum,
+                    limit: limitNum,
+                    total,
+                    pages: Math.ceil(total / limitNum),
+                    hasNext: pageNum < Math.ceil(total / limitNum),
+                    hasPrev: pageNum > 1
+                }
+            }
+        });
+    }
+
     // Execute query with pagination
     const fighters = await User.find(query)
-        .select("-password -email")
-        .sort(sort)
+        .select(FIGHTER_LISTING_FIELDS)
+        .sort(FIGHTER_SORTS[sort])
         .skip(skip)
         .limit(limitNum)
-        .populate('challenges', 'status createdAt');
+        .populate('challenges', 'status createdAt')
+        .populate('gym', 'name');
 
     // Get total count for pagination
     const total = await User.countDocuments(query);
@@ -390,6 +1471,505 @@ export const getAllFighters = catchAsync(async (req, res, next) => {
     });
 });
 
+/**
+ * @desc  Search fighters by name, style, custom style or location (best match first)
+ * @route GET /api/fighters/search
+ * @access Public
+ * 
+ * NOTE: req.query is pre-validated by validateInput('fighterSearchQuery', 'query') middleware
+ */
+export const searchFighters = catchAsync(async (req, res, next) => {
+    const { q, weightClass } = req.query;
+    const pageNum = parseInt(req.query.page) || 1;
+    const limitNum = parseInt(req.query.limit) || 10;
+
+    const { fighters, total } = await runFighterSearch(q, {
+        filters: weightClass ? { weightClass } : {},
+        page: pageNum,
+        limit: limitNum
+    });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            query: q,
+            fighters,
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total,
+                pages: Math.ceil(total / limitNum),
+                hasNext: pageNum < Math.ceil(total / limitNum),
+                hasPrev: pageNum > 1
+            }
+        }
+    });
+});
+
+/**
+ * @desc  Get a fighter's rating history, newest first
+ * @route GET /api/fighters/:id/rating-history
+ * @access Public
+ * 
+ * NOTE: req.query is pre-validated by validateInput('ratingHistoryQuery', 'query') middleware
+ */
+export const getFighterRatingHistory = catchAsync(async (req, res, next) => {
+    const fighter = await User.findOne({ _id: req.params.id, isFighter: true })
+        .select('username rating record deletedAt');
+
+    if (!fighter) {
+        return next(new AppError(
+            'Fighter not found',
+            404,
+            'FIGHTER_NOT_FOUND'
+        ));
+    }
+
+    const pageNum = parseInt(req.query.page) || 1;
+    const limitNum = parseInt(req.query.limit) || 20;
+    const query = { user: fighter._id };
+
+    const [history, total] = await Promise.all([
+        RatingHistory.find(query)
+            .sort({ createdAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .populate('opponent', 'username profilePicture')
+            .populate('fight', 'details.actualDate outcome.method'),
+        RatingHistory.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            fighter,
+            history,
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total,
+                pages: Math.ceil(total / limitNum),
+                hasNext: pageNum < Math.ceil(total / limitNum),
+                hasPrev: pageNum > 1
+            }
+        }
+    });
+});
+
+/**
+ * @desc  Get when a fighter is unavailable and their next free dates
+ * @route GET /api/fighters/:id/availability
+ * @access Public
+ * 
+ * NOTE: req.query is pre-validated by validateInput('availabilityQuery', 'query') middleware
+ * Pass `with` (another fighter's ID) to get dates that are free for both fighters.
+ * Blackout reasons are never shown.
+ */
+export const getFighterAvailability = catchAsync(async (req, res, next) => {
+    const fighterIds = [req.params.id, req.query.with].filter(Boolean);
+
+    const fighters = await User.find({ _id: { $in: fighterIds }, isFighter: true })
+        .select('username +availability.blackouts');
+
+    if (fighters.length !== new Set(fighterIds).size) {
+        return next(new AppError(
+            'Fighter not found',
+            404,
+            'FIGHTER_NOT_FOUND'
+        ));
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date(Date.now() + DAY_MS);
+
+    const [bookedFights, freeDates] = await Promise.all([
+        Fight.find({
+            'fighters.user': { $in: fighterIds },
+            status: { $in: BOOKED_STATUSES },
+            'details.scheduledDate': { $gte: new Date() }
+        })
+            .select('fighters.user details.scheduledDate')
+            .sort({ 'details.scheduledDate': 1 })
+            .lean(),
+        findFreeDates(fighterIds, from)
+    ]);
+
+    const now = new Date();
+    const unavailable = fighters.map(fighter => ({
+        fighter: fighter._id,
+        username: fighter.username,
+        bookedDates: bookedFights
+            .filter(fight => fight.fighters.some(f => f.user?.toString() === fighter._id.toString()))
+            .map(fight => fight.details.scheduledDate),
+        blackouts: (fighter.availability?.blackouts || [])
+            .filter(blackout => blackout.end >= now)
+            .map(({ start, end }) => ({ start, end }))
+    }));
+
+    res.status(200).json({
+        success: true,
+        data: {
+            unavailable,
+            freeDates
+        }
+    });
+});
+
+/**
+ * @desc  Get two-factor authentication status
+ * @route GET /api/users/me/2fa
+ * @access Private
+ */
+export const getTwoFactorStatus = catchAsync(async (req, res, next) => {
+    const user = await User.findById(req.user.id).select('role twoFactor.enabled twoFactor.enabledAt +twoFactor.recoveryCodes');
+
+    if (!user) {
+        return next(new AppError(
+            'User not found',
+            404,
+            'USER_NOT_FOUND'
+        ));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            enabled: user.twoFactor.enabled,
+            enabledAt: user.twoFactor.enabledAt,
+            recoveryCodesRemaining: user.twoFactor.recoveryCodes?.length || 0,
+            required: user.role === "admin"
+        }
+    });
+});
+
+/**
+ * @desc  Start 2FA enrollment - generates a secret to add to an authenticator app
+ * @route POST /api/users/me/2fa/setup
+ * @access Private
+ * 
+ * NOTE: req.body is pre-validated by validateInput('twoFactorSetup') middleware
+ */
+export const setupTwoFactor = catchAsync(async (req, res, next) => {
+    const user = await checkPassword(req.user.id, req.body.password);
+
+    if (!user) {
+        return next(new AppError(
+            'Current password is incorrect',
+            401,
+            'INVALID_CREDENTIALS'
+        ));
+    }
+
+    if (user.twoFactor.enabled) {
+        return next(new AppError(
+            'Two-factor authentication is already enabled',
+            400,
+            'TWO_FACTOR_ALREADY_ENABLED'
+        ));
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({
+        success: true,
+        message: "Add this secret to your authenticator app, then confirm with a code",
+        data: {
+            secret,
+            otpauthUrl: buildOtpAuthUrl(secret, user.username)
+        }
+    });
+});
+
+/**
+ * @desc  Finish 2FA enrollment by confirming a code from the authenticator app
+ * @route POST /api/users/me/2fa/enable
+ * @access Private
+ * 
+ * NOTE: req.body is pre-validated by validateInput('twoFactorEnable') middleware
+ */
+export const enableTwoFactor = catchAsync(async (req, res, next) => {
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+    if (!user) {
+        return next(new AppError(
+            'User not found',
+            404,
+            'USER_NOT_FOUND'
+        ));
+    }
+
+    if (user.twoFactor.enabled) {
+        return next(new AppError(
+            'Two-factor authentication is already enabled',
+            400,
+            'TWO_FACTOR_ALREADY_ENABLED'
+        ));
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+        return next(new AppError(
+            'Start two-factor setup first',
+            400,
+            'TWO_FACTOR_SETUP_REQUIRED'
+        ));
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+
+    if (step === null) {
+        return next(new AppError(
+            'Invalid two-factor authentication code',
+            400,
+            'INVALID_TWO_FACTOR_CODE'
+        ));
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.status(200).json({
+        success: true,
+        message: "Two-factor authentication enabled. Store your recovery codes somewhere safe - they will not be shown again.",
+        data: {
+            recoveryCodes: codes
+        }
+    });
+});
+
+/**
+ * @desc  Replace all recovery codes
+ * @route POST /api/users/me/2fa/recovery-codes
+ * @access Private
+ * 
+ * NOTE: req.body is pre-validated by validateInput('twoFactorConfirm') middleware
+ */
+export const regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+    const { password, code } = req.body;
+
+    const user = await checkPassword(req.user.id, password);
+
+    if (!user || !(await checkTwoFactorCode(req.user.id, code))) {
+        return next(new AppError(
+            'Password or two-factor code is incorrect',
+            401,
+            'INVALID_CREDENTIALS'
+        ));
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+    res.status(200).json({
+        success: true,
+        message: "New recovery codes generated. Previous codes no longer work.",
+        data: {
+            recoveryCodes: codes
+        }
+    });
+});
+
+/**
+ * @desc  Turn off two-factor authentication
+ * @route DELETE /api/users/me/2fa
+ * @access Private (not available to admins)
+ * 
+ * NOTE: req.body is pre-validated by validateInput('twoFactorConfirm') middleware
+ */
+export const disableTwoFactor = catchAsync(async (req, res, next) => {
+    const { password, code } = req.body;
+
+    const user = await checkPassword(req.user.id, password);
+
+    if (!user || !(await checkTwoFactorCode(req.user.id, code))) {
+        return next(new AppError(
+            'Password or two-factor code is incorrect',
+            401,
+            'INVALID_CREDENTIALS'
+        ));
+    }
+
+    if (user.role === "admin") {
+        return next(new AppError(
+            'Admins must keep two-factor authentication enabled',
+            403,
+            'TWO_FACTOR_REQUIRED'
+        ));
+    }
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: { 'twoFactor.enabled': false },
+            $unset: {
+                'twoFactor.enabledAt': 1,
+                'twoFactor.secret': 1,
+                'twoFactor.pendingSecret': 1,
+                'twoFactor.recoveryCodes': 1,
+                'twoFactor.lastUsedStep': 1
+            }
+        }
+    );
+
+    res.status(200).json({
+        success: true,
+        message: "Two-factor authentication disabled"
+    });
+});
+
+/**
+ * @desc  Grant a role to a user
+ * @route PATCH /api/users/:id/role
+ * @access Private (Admin only)
+ * 
+ * NOTE: req.body is pre-validated by validateInput('grantRole') middleware
+ */
+export const grantRole = catchAsync(async (req, res, next) => {
+    const targetId = req.params.id;
+    const { role } = req.body;
+
+    // Prevent admins from locking themselves out
+    if (targetId === req.user.id) {
+        return next(new AppError(
+            'You cannot change your own role',
+            400,
+            'CANNOT_CHANGE_OWN_ROLE'
+        ));
+    }
+
+    const user = await User.findById(targetId);
+
+    if (!user) {
+        return next(new AppError(
+            'User not found',
+            404,
+            'USER_NOT_FOUND'
+        ));
+    }
+
+    // Admin accounts must be protected by 2FA before they get admin powers
+    if (role === "admin" && !user.twoFactor.enabled) {
+        return next(new AppError(
+            'The user must enable two-factor authentication before becoming an admin',
+            400,
+            'TWO_FACTOR_REQUIRED'
+        ));
+    }
+
+    user.role = role;
+    // Staff keep isFighter either way; a demotion to fan also ends fighter permissions
+    if (role === "fighter") {
+        user.isFighter = true;
+    } else if (role === "fan") {
+        user.isFighter = false;
+    }
+    await user.save();
+
+    res.status(200).json({
+        success: true,
+        message: `Role updated to ${role}`,
+        data: {
+            user: {
+                _id: user._id,
+                username: user.username,
+                role: user.role,
+                isFighter: user.isFighter
+            }
+        }
+    });
+});
+
+// Load the user a moderator acts on - moderators may only act on fans and fighters
+const findModeratedUser = async (req, next) => {
+    const user = await User.findById(req.params.id).select('role');
+
+    if (!user) {
+        next(new AppError(
+            'User not found',
+            404,
+            'USER_NOT_FOUND'
+        ));
+        return null;
+    }
+
+    if (user._id.toString() === req.user.id) {
+        next(new AppError(
+            'You cannot do this to your own account',
+            400,
+            'CANNOT_MODERATE_SELF'
+        ));
+        return null;
+    }
+
+    if (['moderator', 'admin'].includes(user.role) && req.user.role !== 'admin') {
+        next(new AppError(
+            'Only admins can act on moderator and admin accounts',
+            403,
+            'NOT_AUTHORIZED'
+        ));
+        return null;
+    }
+
+    return user;
+};
+
+/**
+ * @desc  Revoke every session of a user (e.g. compromised account)
+ * @route POST /api/users/:id/sessions/revoke
+ * @access Private (Moderator or admin - moderators only for fans and fighters)
+ */
+export const revokeUserSessions = catchAsync(async (req, res, next) => {
+    const user = await findModeratedUser(req, next);
+    if (!user) return;
+
+    const result = await Session.revokeAllForUser(user._id, 'admin');
+
+    res.status(200).json({
+        success: true,
+        message: "User sessions revoked",
+        data: {
+            revokedSessions: result.modifiedCount
+        }
+    });
+});
+
+/**
+ * @desc  Disable (ban) or re-enable an account
+ * @route PATCH /api/users/:id/status
+ * @access Private (Moderator or admin - moderators only for fans and fighters)
+ * 
+ * NOTE: req.body is pre-validated by validateInput('setAccountStatus') middleware
+ * Disabling also revokes every session, so the ban applies at once.
+ */
+export const setAccountStatus = catchAsync(async (req, res, next) => {
+    const { disabled } = req.body;
+
+    const user = await findModeratedUser(req, next);
+    if (!user) return;
+
+    await User.updateOne({ _id: user._id }, { $set: { disabledAt: disabled ? new Date() : null } });
+
+    const result = disabled ?
+        await Session.revokeAllForUser(user._id, 'admin') :
+        { modifiedCount: 0 };
+
+    res.status(200).json({
+        success: true,
+        message: disabled ? "Account disabled" : "Account enabled",
+        data: {
+            disabled,
+            revokedSessions: result.modifiedCount
+        }
+    });
+});
+
 /**
  * FUTURE IMPLEMENTATIONS
  * These functions are ready for when betting and social features are added
@@ -0,0 +1,162 @@
+// middleware/authorize.js - Role-based authorization policies
+import User, { USER_ROLES } from "../models/userModel.js";
+import { AppError } from "./errorHandler.js";
+
+/**
+ * WHY WE NEED THIS:
+ * - verifyToken only proves WHO the caller is, not WHAT they may do
+ * - Keeps "who can call this route" declared next to the route itself
+ * - Roles are re-read from the database so grants/revocations apply immediately
+ *   (the role baked into a JWT can be stale for up to its lifetime)
+ * - Every rejection uses the same AppError codes so clients can handle them uniformly
+ * - Admin privileges only apply once the admin has two-factor authentication enabled
+ */
+
+/**
+ * Available roles, from least to most privileged
+ */
+export const ROLES = USER_ROLES;
+
+/**
+ * Policy table - maps an action name to the roles allowed to perform it.
+ * A user whose isFighter flag is set also holds the "fighter" role, so an
+ * admin who fights keeps their fighter permissions.
+ */
+export const policies = {
+    // ==================== USER POLICIES ====================
+    'user:self':            ["fan", "fighter", "moderator", "admin"],
+    'user:becomeFighter':   ["fan", "fighter", "moderator", "admin"],
+    'user:updateFighter':   ["fighter"],
+    'user:grantRole':       ["admin"],
+    'user:revokeSessions':  ["moderator", "admin"],
+    'user:disable':         ["moderator", "admin"],
+
+    // ==================== CHALLENGE POLICIES ====================
+    'challenge:create':     ["fighter"],
+    'challenge:participate': ["fighter", "moderator", "admin"],
+    'challenge:read':       ["fan", "fighter", "moderator", "admin"],
+
+    // ==================== FIGHT POLICIES ====================
+    'fight:create':         ["fighter", "moderator", "admin"],
+    'fight:update':         ["fighter", "moderator", "admin"],
+    'fight:start':          ["moderator", "admin"],
+    'fight:recordResult':   ["fighter", "moderator", "admin"],
+    'fight:cancel':         ["fighter", "moderator", "admin"],
+    'fight:postpone':       ["fighter", "moderator", "admin"],
+    'fight:addStats':       ["moderator", "admin"],
+    'fight:weighIn':        ["moderator", "admin"],
+    'fight:verify':         ["admin"],
+
+    // Act on a fight/challenge the caller is not a participant of
+    'fight:manageAny':      ["moderator", "admin"],
+
+    // ==================== GYM POLICIES ====================
+    'gym:create':           ["fan", "fighter", "moderator", "admin"],
+    'gym:join':             ["fighter"],
+
+    // Act as a coach of any gym
+    'gym:manageAny':        ["admin"],
+
+    // ==================== SUSPENSION POLICIES ====================
+    'suspension:read':      ["moderator", "admin"],
+    'suspension:manage':    ["admin"],
+
+    // ==================== RANKING POLICIES ====================
+    'ranking:recompute':    ["admin"]
+};
+
+/**
+ * Get every role a user effectively holds
+ */
+export const rolesOf = (user) => {
+    if (!user) return [];
+    const roles = [user.role || "fan"];
+    if (user.isFighter && !roles.includes("fighter")) {
+        roles.push("fighter");
+    }
+    return roles;
+};
+
+/**
+ * Check whether a user may perform an action
+ */
+export const can = (user, action) => {
+    const allowed = policies[action];
+    if (!allowed) {
+        throw new Error(`Unknown policy action: ${action}`);
+    }
+    return rolesOf(user).some(role => allowed.includes(role));
+};
+
+/**
+ * Admins without 2FA are treated as their non-admin self
+ */
+const withoutAdminRole = (user) => ({
+    ...user,
+    role: user.isFighter ? "fighter" : "fan"
+});
+
+/**
+ * Policy middleware factory
+ * Must run after verifyToken. Refreshes req.user.role / req.user.isFighter
+ * from the database, then checks the action against the policy table.
+ */
+export const authorize = (action) => {
+    if (!policies[action]) {
+        throw new Error(`Unknown policy action: ${action}`);
+    }
+
+    return async (req, res, next) => {
+        try {
+            if (!req.user?.id) {
+                return next(new AppError(
+                    'Authentication required',
+                    401,
+                    'AUTH_REQUIRED'
+                ));
+            }
+
+            const user = await User.findById(req.user.id).select('role isFighter twoFactor.enabled');
+
+            if (!user) {
+                return next(new AppError(
+                    'User not found',
+                    401,
+                    'AUTH_REQUIRED'
+                ));
+            }
+
+            req.user.role = user.role;
+            req.user.isFighter = user.isFighter;
+
+            // Admin powers require 2FA - until it is enabled the account acts as a regular user
+            if (user.role === "admin" && !user.twoFactor?.enabled) {
+                const unprivileged = withoutAdminRole(req.user);
+
+                if (!can(unprivileged, action) && can(req.user, action)) {
+                    return next(new AppError(
+                        'Admins must enable two-factor authentication to perform this action',
+                        403,
+                        'TWO_FACTOR_REQUIRED'
+                    ));
+                }
+
+                req.user.role = unprivileged.role;
+            }
+
+            if (!can(req.user, action)) {
+                return next(new AppError(
+                    'You do not have permission to perform this action',
+                    403,
+                    'NOT_AUTHORIZED'
+                ));
+            }
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+export default authorize;
@@ -13,10 +13,11 @@
  * Custom error class for application-specific errors
  */
 export class AppError extends Error {
-    constructor(message, statusCode, code = null) {
+    constructor(message, statusCode, code = null, details = null) {
         super(message);
         this.statusCode = statusCode;
         this.code = code;
+        this.details = details; // Optional machine-readable context (e.g. retryAfter)
         this.isOperational = true; // Mark as expected/operational error
         
         Error.captureStackTrace(this, this.constructor);
@@ -103,7 +104,8 @@ const sendErrorProd = (err, res) => {
             success: false,
             error: {
                 message: err.message,
-                code: err.code || 'CLIENT_ERROR'
+                code: err.code || 'CLIENT_ERROR',
+                ...(err.details && { details: err.details })
             },
             timestamp: new Date().toISOString()
         });
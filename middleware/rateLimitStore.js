@@ -0,0 +1,113 @@
+// middleware/rateLimitStore.js - Pluggable stores for express-rate-limit
+import config from "../config/config.js";
+import RateLimitHit from "../models/rateLimitModel.js";
+
+/**
+ * WHY WE NEED THIS:
+ * - The default MemoryStore forgets every counter on restart
+ * - With more than one server instance each keeps its own counters,
+ *   multiplying the real limit by the number of instances
+ *
+ * Stores follow the express-rate-limit Store interface
+ * (init, get, increment, decrement, resetKey).
+ */
+
+/**
+ * MongoDB-backed store - counters live in the RateLimitHit collection
+ */
+export class MongoRateLimitStore {
+    constructor(prefix = 'rl:') {
+        this.prefix = prefix;
+        this.localKeys = false; // Shared between instances
+        this.windowMs = 60 * 1000;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    prefixKey(key) {
+        return `${this.prefix}${key}`;
+    }
+
+    async get(key) {
+        const doc = await RateLimitHit.findOne({ key: this.prefixKey(key) });
+        if (!doc || doc.resetAt <= new Date()) {
+            return undefined;
+        }
+        return { totalHits: doc.hits, resetTime: doc.resetAt };
+    }
+
+    async increment(key, retried = false) {
+        const now = new Date();
+        const isCurrentWindow = { $gt: ['$resetAt', now] };
+
+        try {
+            // Single atomic update: increment inside the window, or start a new one
+            const doc = await RateLimitHit.findOneAndUpdate(
+                { key: this.prefixKey(key) },
+                [{
+                    $set: {
+                        hits: { $cond: [isCurrentWindow, { $add: ['$hits', 1] }, 1] },
+                        resetAt: { $cond: [isCurrentWindow, '$resetAt', new Date(now.getTime() + this.windowMs)] }
+                    }
+                }],
+                { upsert: true, new: true }
+            );
+
+            return { totalHits: doc.hits, resetTime: doc.resetAt };
+        } catch (error) {
+            // Two first hits raced to insert the same key - the retry finds the document
+            if (error.code === 11000 && !retried) {
+                return this.increment(key, true);
+            }
+            throw error;
+        }
+    }
+
+    async decrement(key) {
+        await RateLimitHit.updateOne(
+            { key: this.prefixKey(key), hits: { $gt: 0 } },
+            { $inc: { hits: -1 } }
+        );
+    }
+
+    async resetKey(key) {
+        await RateLimitHit.deleteOne({ key: this.prefixKey(key) });
+    }
+}
+
+/**
+ * Default store factory - picks the store named by RATE_LIMIT_STORE (memory | mongo)
+ * Returning undefined lets express-rate-limit use its own MemoryStore.
+ */
+const defaultStoreFactory = (name) => {
+    if (config.rateLimits.store === 'mongo') {
+        return new MongoRateLimitStore(`rl:${name}:`);
+    }
+    return undefined;
+};
+
+let storeFactory = defaultStoreFactory;
+
+/**
+ * Replace the store factory (e.g. with a Redis-backed store)
+ * Must be called before the limiters are created, i.e. before routes are imported.
+ */
+export const setRateLimitStoreFactory = (factory) => {
+    if (typeof factory !== 'function') {
+        throw new Error('Rate limit store factory must be a function');
+    }
+    storeFactory = factory;
+};
+
+/**
+ * Create the store for a named budget
+ */
+export const createRateLimitStore = (name) => storeFactory(name);
+
+export default {
+    MongoRateLimitStore,
+    createRateLimitStore,
+    setRateLimitStoreFactory
+};
@@ -1,6 +1,11 @@
 // middleware/security.js
+import express from "express";
+import cors from "cors";
 import rateLimit from "express-rate-limit";
 import helmet from "helmet";
+import config from "../config/config.js";
+import { AppError } from "./errorHandler.js";
+import { createRateLimitStore } from "./rateLimitStore.js";
 
 /**
  * WHY WE NEED THIS:
@@ -8,22 +13,59 @@ import helmet from "helmet";
  * - Adds security headers to protect against common vulnerabilities
  * - Controls request frequency to prevent server overload
  * - Protects against various web attacks (XSS, clickjacking, etc.)
+ *
+ * All limits, origins and CSP sources come from config/config.js
  */
 
+/**
+ * Rate-limit key for a request
+ * Authenticated requests are counted per user (so users behind one NAT do not
+ * share a budget, and one user cannot dodge limits by switching IPs);
+ * anonymous requests are counted per IP.
+ * Only req.user set by verifyToken is trusted, so this only keys by user in the
+ * per-route budgets that route files apply after verifyToken. generalLimiter and
+ * authLimiter are mounted by setupSecurity before any route and always key by IP.
+ */
+export const rateLimitKey = (req) => {
+    return req.user?.id ? `user:${req.user.id}` : `ip:${req.ip}`;
+};
+
+/**
+ * Rate limiter factory - one named budget per call
+ * Route files use this to declare their own budgets, e.g.
+ *   const messageBudget = createRateLimiter({ name: 'challenge-messages', windowMs, max });
+ * Each name gets its own counters in the configured store.
+ */
+export const createRateLimiter = ({ name, windowMs, max, message, code = "RATE_LIMIT_EXCEEDED", skip }) => {
+    if (!name) {
+        throw new Error('Rate limiter requires a name');
+    }
+
+    return rateLimit({
+        windowMs,
+        max,
+        message: {
+            error: message || "Too many requests, please try again later.",
+            code,
+            retryAfter: `${Math.ceil(windowMs / 60000)} minutes`
+        },
+        standardHeaders: true, // Return rate limit info in headers
+        legacyHeaders: false, // Disable legacy headers
+        keyGenerator: rateLimitKey,
+        store: createRateLimitStore(name),
+        ...(skip && { skip })
+    });
+};
+
 /**
  * General API rate limiting
  * Applies to all requests to prevent abuse
+ * Runs before verifyToken, so it is always counted per IP - even for signed-in users
  */
-export const generalLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // Limit each IP to 100 requests per windowMs
-    message: {
-        error: "Too many requests from this IP, please try again later.",
-        code: "RATE_LIMIT_EXCEEDED",
-        retryAfter: "15 minutes"
-    },
-    standardHeaders: true, // Return rate limit info in headers
-    legacyHeaders: false, // Disable legacy headers
+export const generalLimiter = createRateLimiter({
+    name: 'general',
+    ...config.rateLimits.general, // Default: 100 requests per 15 minutes
+    message: "Too many requests from this IP, please try again later.",
     // Skip successful requests to static files
     skip: (req) => {
         return req.url.startsWith('/static/') || 
@@ -32,41 +74,41 @@ export const generalLimiter = rateLimit({
     }
 });
 
+// Endpoints that accept credentials or tokens, or send account mail to an arbitrary address
+const AUTH_PATHS = [
+    '/signin',
+    '/signup',
+    '/refresh',
+    '/forgot-password',
+    '/reset-password',
+    '/verify-email',
+    '/me/email/confirm'
+];
+
 /**
  * Strict rate limiting for authentication endpoints
- * Prevents brute force login attacks
+ * Prevents brute force login attacks (counted per IP - these requests carry no session)
  */
-export const authLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 5, // Limit each IP to 5 login attempts per windowMs
-    message: {
-        error: "Too many login attempts, please try again in 15 minutes.",
-        code: "AUTH_RATE_LIMIT_EXCEEDED",
-        retryAfter: "15 minutes"
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-    // Only apply to auth endpoints
+export const authLimiter = createRateLimiter({
+    name: 'auth',
+    ...config.rateLimits.auth, // Default: 5 attempts per 15 minutes
+    message: "Too many login attempts, please try again later.",
+    code: "AUTH_RATE_LIMIT_EXCEEDED",
+    // Only apply to auth endpoints (originalUrl - req.path is relative to where the limiter is mounted)
     skip: (req) => {
-        const authPaths = ['/signin', '/signup', '/forgot-password', '/reset-password'];
-        return !authPaths.some(path => req.path.includes(path));
+        return !AUTH_PATHS.some(path => req.originalUrl.includes(path));
     }
 });
 
 /**
  * API creation rate limiting
- * Prevents spam creation of challenges, comments, etc.
+ * Generic budget for creation endpoints that do not declare their own
  */
-export const createLimiter = rateLimit({
-    windowMs: 5 * 60 * 1000, // 5 minutes
-    max: 10, // Limit each IP to 10 creation requests per 5 minutes
-    message: {
-        error: "Too many creation requests, please slow down.",
-        code: "CREATE_RATE_LIMIT_EXCEEDED",
-        retryAfter: "5 minutes"
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
+export const createLimiter = createRateLimiter({
+    name: 'create',
+    ...config.rateLimits.create, // Default: 10 creation requests per 5 minutes
+    message: "Too many creation requests, please slow down.",
+    code: "CREATE_RATE_LIMIT_EXCEEDED",
     // Apply to POST requests for creating resources
     skip: (req) => {
         return req.method !== 'POST' || 
@@ -75,23 +117,27 @@ export const createLimiter = rateLimit({
     }
 });
 
+/**
+ * Budget for sending challenges (direct, open and rematch requests)
+ * Exported so every route that creates a challenge shares the same counters
+ */
+export const challengeCreateBudget = createRateLimiter({
+    name: 'challenge-create',
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10, // 10 new challenges per hour
+    message: "Too many challenges sent, please slow down.",
+    code: "CREATE_RATE_LIMIT_EXCEEDED"
+});
+
 /**
  * Security headers configuration using Helmet
  * Protects against various web vulnerabilities
+ * CSP sources are the defaults in config/config.js plus any CSP_*_SRC extras
  */
 export const securityHeaders = helmet({
     // Content Security Policy
     contentSecurityPolicy: {
-        directives: {
-            defaultSrc: ["'self'"],
-            styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
-            fontSrc: ["'self'", "https://fonts.gstatic.com"],
-            imgSrc: ["'self'", "data:", "https://res.cloudinary.com"], // Allow Cloudinary for profile pics
-            scriptSrc: ["'self'"],
-            connectSrc: ["'self'", "https://api.stripe.com"], // Allow Stripe for payments
-            frameSrc: ["'none'"], // Prevent clickjacking
-            objectSrc: ["'none'"], // Prevent plugin exploitation
-        },
+        directives: config.csp
     },
     
     // HTTP Strict Transport Security
@@ -119,24 +165,17 @@ export const securityHeaders = helmet({
 
 /**
  * CORS configuration
- * Controls which domains can access your API
+ * Controls which domains can access your API (CORS_ORIGINS)
  */
 export const corsOptions = {
     origin: function (origin, callback) {
         // Allow requests with no origin (mobile apps, Postman, etc.)
         if (!origin) return callback(null, true);
         
-        const allowedOrigins = [
-            'http://localhost:3000', // React dev server
-            'http://localhost:5173', // Vite dev server
-            'https://your-frontend-domain.com', // Your production frontend
-            // Add more domains as needed
-        ];
-        
-        if (allowedOrigins.includes(origin)) {
+        if (config.cors.origins.includes(origin)) {
             callback(null, true);
         } else {
-            callback(new Error('Not allowed by CORS policy'));
+            callback(new AppError('Not allowed by CORS policy', 403, 'CORS_NOT_ALLOWED'));
         }
     },
     credentials: true, // Allow cookies and auth headers
@@ -150,7 +189,7 @@ export const corsOptions = {
         'Cache-Control',
         'X-CSRF-Token'
     ],
-    exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining'],
+    exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'Retry-After'],
     maxAge: 86400 // Cache preflight for 24 hours
 };
 
@@ -160,39 +199,49 @@ export const corsOptions = {
  */
 export const requestSizeLimit = {
     // JSON payload limit
-    jsonLimit: '10mb',
+    jsonLimit: config.bodyLimits.json,
     
     // URL-encoded payload limit
-    urlencodedLimit: '10mb',
-    
-    // File upload limit (when implemented)
-    fileUploadLimit: '50mb'
+    urlencodedLimit: config.bodyLimits.urlencoded
 };
 
 /**
  * Security middleware setup function
- * Call this in your main server file
+ * Call this in your main server file, before any routes
  */
 export const setupSecurity = (app) => {
-    // Security headers
+    // Number of proxies in front of the app - needed for correct req.ip in rate limits
+    app.set('trust proxy', config.trustProxy);
+
+    // Security headers (must be first)
     app.use(securityHeaders);
+
+    // CORS
+    app.use(cors(corsOptions));
     
     // Request size limiting
-    app.use(express.json({ limit: requestSizeLimit.jsonLimit }));
+    app.use(express.json({
+        limit: requestSizeLimit.jsonLimit,
+        verify: (req, res, buf) => {
+            // Store raw body for webhook verification if needed
+            req.rawBody = buf;
+        }
+    }));
     app.use(express.urlencoded({ 
         extended: true, 
         limit: requestSizeLimit.urlencodedLimit 
     }));
     
-    // Rate limiting
+    // Rate limiting - per IP here; per-user budgets are declared in the route files after verifyToken
     app.use('/api/', generalLimiter);
-    app.use('/api/users/signin', authLimiter);
-    app.use('/api/users/signup', authLimiter);
+    AUTH_PATHS.forEach(path => app.use(`/api/users${path}`, authLimiter));
     
     console.log('🔒 Security middleware configured');
 };
 
 export default {
+    rateLimitKey,
+    createRateLimiter,
     generalLimiter,
     authLimiter,
     createLimiter,
@@ -1,4 +1,125 @@
 import Joi from "joi";
+import { WEIGHT_CLASS_NAMES, DIVISION_NAMES, CATCHWEIGHT } from "../config/weightClasses.js";
+import config from "../config/config.js";
+
+// Password strength rule shared by signup and every password-setting endpoint
+const passwordRule = Joi.string()
+    .min(6)
+    .max(128)
+    .pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]'))
+    .messages({
+        'string.min': 'Password should have at least 6 characters',
+        'string.max': 'Password should have at most 128 characters',
+        'string.pattern.base': 'Password should contain at least one uppercase letter, one lowercase letter, one digit, and one special character (@$!%*?&)',
+        'any.required': 'Password is required'
+    });
+
+// Weight class rules shared by challenge and fight schemas (see config/weightClasses.js)
+const weightClassRule = Joi.string()
+    .valid(...WEIGHT_CLASS_NAMES)
+    .messages({
+        'any.only': 'Invalid weight class selected'
+    });
+
+// Agreed limit for Catchweight fights (lbs)
+const catchweightLimitRule = Joi.number()
+    .min(100)
+    .max(400)
+    .messages({
+        'number.min': 'Catchweight limit must be at least 100 lbs',
+        'number.max': 'Catchweight limit cannot exceed 400 lbs',
+        'any.required': 'Catchweight fights need an agreed weight limit',
+        'any.unknown': 'A weight limit can only be set for Catchweight fights'
+    });
+
+// Place shared by fighter profiles and gyms (coordinates, e.g. from browser geolocation, skip geocoding)
+const locationRule = Joi.object({
+    city: Joi.string().trim().max(100).optional(),
+    state: Joi.string().trim().max(100).optional(),
+    country: Joi.string().trim().max(100).optional(),
+    coordinates: Joi.object({
+        lat: Joi.number().min(-90).max(90).required(),
+        lng: Joi.number().min(-180).max(180).required()
+    }).optional()
+});
+
+// Response deadline a challenger may pick (bounds from config.challenges)
+const { minExpiryHours, maxExpiryDays } = config.challenges;
+const challengeExpiryRule = Joi.date()
+    .custom((value, helpers) => {
+        const hoursAhead = (value.getTime() - Date.now()) / (60 * 60 * 1000);
+        if (hoursAhead < minExpiryHours || hoursAhead > maxExpiryDays * 24) {
+            return helpers.error('date.expiryBounds');
+        }
+        return value;
+    })
+    .messages({
+        'date.expiryBounds': `Expiry must be between ${minExpiryHours} hours and ${maxExpiryDays} days from now`
+    });
+
+// Proposed fight details of a new challenge (all optional)
+const challengeFightDetailsRule = Joi.object({
+    proposedDate: Joi.date()
+        .min('now')
+        .optional()
+        .messages({
+            'date.min': 'Proposed date must be in the future'
+        }),
+    location: Joi.string()
+        .trim()
+        .max(200)
+        .optional()
+        .messages({
+            'string.max': 'Location cannot exceed 200 characters'
+        }),
+    rules: Joi.string()
+        .trim()
+        .max(1000)
+        .optional()
+        .messages({
+            'string.max': 'Rules cannot exceed 1000 characters'
+        }),
+    weightClass: weightClassRule.optional(),
+    catchweightLimit: catchweightLimitRule.when('weightClass', {
+        is: CATCHWEIGHT,
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+    }),
+    stakes: Joi.string()
+        .trim()
+        .max(500)
+        .optional()
+        .messages({
+            'string.max': 'Stakes description cannot exceed 500 characters'
+        })
+});
+
+// Opening message of a new challenge
+const challengeMessageRule = Joi.string()
+    .trim()
+    .min(10)
+    .max(1000)
+    .messages({
+        'string.min': 'Challenge message must be at least 10 characters',
+        'string.max': 'Challenge message cannot exceed 1000 characters',
+        'any.required': 'Challenge message is required'
+    });
+
+// Fighting styles (see userModel.js)
+const styleRule = Joi.string()
+    .valid(
+        'BJJ', 'Wrestling', 'Judo', 'Jiu-Jitsu', 'Boxing',
+        'Kickboxing', 'Muay Thai', 'Taekwondo', 'Karate', 'Krav Maga', 'Other'
+    )
+    .messages({
+        'any.only': 'Invalid fighting style selected'
+    });
+
+const objectIdRule = Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+        'string.pattern.base': 'Invalid ID format'
+    });
 
 // Enhanced validation schemas that sync with userController.js and userModel.js
 const schemas = {
@@ -22,17 +143,7 @@ const schemas = {
                 'string.email': 'Invalid email format',
                 'any.required': 'Email is required'
             }),
-        password: Joi.string()
-            .min(6)
-            .max(128)
-            .pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]'))
-            .required()
-            .messages({
-                'string.min': 'Password should have at least 6 characters',
-                'string.max': 'Password should have at most 128 characters',
-                'string.pattern.base': 'Password should contain at least one uppercase letter, one lowercase letter, one digit, and one special character (@$!%*?&)',
-                'any.required': 'Password is required'
-        })
+        password: passwordRule.required()
     }),
 
     // User login validation - matches signin controller expectations
@@ -49,6 +160,105 @@ const schemas = {
             })
     }),
 
+    // Second sign-in step for 2FA accounts - matches completeTwoFactorSignin controller
+    twoFactorSignin: Joi.object({
+        challengeToken: Joi.string()
+            .max(1000)
+            .required()
+            .messages({
+                'any.required': 'Challenge token is required'
+            }),
+        code: Joi.string()
+            .pattern(/^\d{6}$/)
+            .messages({
+                'string.pattern.base': 'Code must be 6 digits'
+            }),
+        recoveryCode: Joi.string()
+            .max(20)
+    }).xor('code', 'recoveryCode').messages({
+        'object.missing': 'Provide either a code or a recovery code',
+        'object.xor': 'Provide either a code or a recovery code, not both'
+    }),
+
+    // Start 2FA enrollment - matches setupTwoFactor controller
+    twoFactorSetup: Joi.object({
+        password: Joi.string()
+            .required()
+            .messages({
+                'any.required': 'Current password is required'
+            })
+    }),
+
+    // Confirm 2FA enrollment - matches enableTwoFactor controller
+    twoFactorEnable: Joi.object({
+        code: Joi.string()
+            .pattern(/^\d{6}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Code must be 6 digits',
+                'any.required': 'Code is required'
+            })
+    }),
+
+    // Password + current code for sensitive 2FA changes - matches disableTwoFactor/regenerateRecoveryCodes
+    twoFactorConfirm: Joi.object({
+        password: Joi.string()
+            .required()
+            .messages({
+                'any.required': 'Current password is required'
+            }),
+        code: Joi.string()
+            .pattern(/^\d{6}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Code must be 6 digits',
+                'any.required': 'Code is required'
+            })
+    }),
+
+    // Refresh token exchange - matches refreshSession controller
+    refreshToken: Joi.object({
+        refreshToken: Joi.string()
+            .max(200)
+            .required()
+            .messages({
+                'string.max': 'Invalid refresh token',
+                'any.required': 'Refresh token is required'
+            })
+    }),
+
+    // Email verification - matches verifyEmail controller
+    verifyEmail: Joi.object({
+        token: Joi.string()
+            .max(200)
+            .required()
+            .messages({
+                'any.required': 'Verification token is required'
+            })
+    }),
+
+    // Forgot password - matches forgotPassword controller
+    forgotPassword: Joi.object({
+        email: Joi.string()
+            .email()
+            .required()
+            .messages({
+                'string.email': 'Invalid email format',
+                'any.required': 'Email is required'
+            })
+    }),
+
+    // Reset password - matches resetPassword controller
+    resetPassword: Joi.object({
+        token: Joi.string()
+            .max(200)
+            .required()
+            .messages({
+                'any.required': 'Reset token is required'
+            }),
+        password: passwordRule.required()
+    }),
+
    // General profile update validation - matches updateMyProfile controller
     updateProfile: Joi.object({
         username: Joi.string()
@@ -61,12 +271,6 @@ const schemas = {
                 'string.min': 'Username should have at least 3 characters',
                 'string.max': 'Username should have at most 30 characters'
             }),
-        email: Joi.string()
-            .email()
-            .optional()
-            .messages({
-                'string.email': 'Invalid email format'
-            }),
         socialLinks: Joi.object({
             twitter: Joi.string().uri().allow('').optional(),
             instagram: Joi.string().uri().allow('').optional(),
@@ -74,6 +278,83 @@ const schemas = {
         }).optional()
     }),
 
+    // Role grant validation - matches grantRole controller (admin only)
+    grantRole: Joi.object({
+        role: Joi.string()
+            .valid('fan', 'fighter', 'moderator', 'admin')
+            .required()
+            .messages({
+                'any.only': 'Role must be fan, fighter, moderator, or admin',
+                'any.required': 'Role is required'
+            })
+    }),
+
+    // Ban or re-enable an account
+    setAccountStatus: Joi.object({
+        disabled: Joi.boolean()
+            .required()
+            .messages({
+                'any.required': 'disabled is required'
+            })
+    }),
+
+    // Change password - matches changePassword controller
+    changePassword: Joi.object({
+        currentPassword: Joi.string()
+            .required()
+            .messages({
+                'any.required': 'Current password is required'
+            }),
+        newPassword: passwordRule.required()
+    }),
+
+    // Request email change - matches requestEmailChange controller
+    changeEmail: Joi.object({
+        currentPassword: Joi.string()
+            .required()
+            .messages({
+                'any.required': 'Current password is required'
+            }),
+        newEmail: Joi.string()
+            .email()
+            .required()
+            .messages({
+                'string.email': 'Invalid email format',
+                'any.required': 'New email is required'
+            })
+    }),
+
+    // Confirm email change - matches confirmEmailChange controller
+    confirmEmailChange: Joi.object({
+        token: Joi.string()
+            .max(200)
+            .required()
+            .messages({
+                'any.required': 'Confirmation token is required'
+            })
+    }),
+
+    // Delete account - matches deleteMyAccount controller
+    deleteAccount: Joi.object({
+        password: Joi.string()
+            .required()
+            .messages({
+                'any.required': 'Current password is required'
+            }),
+        code: Joi.string()
+            .pattern(/^\d{6}$/)
+            .optional()
+            .messages({
+                'string.pattern.base': 'Code must be 6 digits'
+            })
+    }),
+
+    // Sign-in history query - matches getMyLogins controller
+    loginHistoryQuery: Joi.object({
+        page: Joi.number().min(1).default(1).optional(),
+        limit: Joi.number().min(1).max(50).default(20).optional()
+    }),
+
     // Enhanced fighter profile validation - matches ALL fighter fields in userModel.js
     updateFighterProfile: Joi.object({
         // Physical stats
@@ -107,10 +388,7 @@ const schemas = {
 
         // Fighting styles
         styles: Joi.array()
-            .items(Joi.string().valid(
-                'BJJ', 'Wrestling', 'Judo', 'Jiu-Jitsu', 'Boxing', 
-                'Kickboxing', 'Muay Thai', 'Taekwondo', 'Karate', 'Krav Maga', 'Other'
-            ))
+            .items(styleRule)
             .optional()
             .messages({
                 'array.includes': 'Invalid fighting style selected'
@@ -126,11 +404,10 @@ const schemas = {
         }),
 
         // Location information
-        location: Joi.object({
-            city: Joi.string().trim().max(100).optional(),
-            state: Joi.string().trim().max(100).optional(),
-            country: Joi.string().trim().max(100).optional()
-        }).optional(),
+        location: locationRule.optional(),
+
+        // Whether the fighter currently accepts new challenges
+        openToChallenges: Joi.boolean().optional(),
 
         // Profile picture URL (for when file upload is implemented)
         profilePicture: Joi.string().uri().optional().messages({
@@ -148,14 +425,120 @@ const schemas = {
     // New validation for fighter query parameters (for getAllFighters)
     fighterQuery: Joi.object({
         weight: Joi.number().min(100).max(400).optional(),
+        minWeight: Joi.number().min(100).max(400).optional(),
+        maxWeight: Joi.number().min(100).max(400).optional()
+            .when('minWeight', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minWeight')) })
+            .messages({ 'number.min': 'maxWeight must be at least minWeight' }),
+        weightClass: Joi.string().valid(...DIVISION_NAMES).optional(),
         height: Joi.number().min(48).max(84).optional(),
+        minHeight: Joi.number().min(48).max(84).optional(),
+        maxHeight: Joi.number().min(48).max(84).optional()
+            .when('minHeight', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minHeight')) })
+            .messages({ 'number.min': 'maxHeight must be at least minHeight' }),
+        minAge: Joi.number().integer().min(18).max(65).optional(),
+        maxAge: Joi.number().integer().min(18).max(65).optional()
+            .when('minAge', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minAge')) })
+            .messages({ 'number.min': 'maxAge must be at least minAge' }),
+        minWins: Joi.number().integer().min(0).optional(),
+        minWinRate: Joi.number().min(0).max(100).optional(), // Percentage
+        activeWithinMonths: Joi.number().integer().min(1).max(60).optional(),
+        openToChallenges: Joi.boolean().optional(),
+        gym: objectIdRule.optional(),
         styles: Joi.string().optional(), // Comma-separated string
         city: Joi.string().max(100).optional(),
         state: Joi.string().max(100).optional(),
         country: Joi.string().max(100).optional(),
+        // Distance search: near=lat,lng (parsed to { lat, lng }), radius in miles
+        near: Joi.string()
+            .custom((value, helpers) => {
+                const [lat, lng] = value.split(',').map(part => Number(part.trim()));
+                if (value.split(',').length !== 2 || !Number.isFinite(lat) || !Number.isFinite(lng) ||
+                    Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+                    return helpers.error('any.invalid');
+                }
+                return { lat, lng };
+            })
+            .optional()
+            .messages({
+                'any.invalid': 'near must be "lat,lng" with a latitude of -90..90 and a longitude of -180..180'
+            }),
+        radius: Joi.number().min(1).max(500).when('near', {
+            is: Joi.exist(),
+            then: Joi.optional().default(50),
+            otherwise: Joi.forbidden()
+        }).messages({
+            'any.unknown': 'radius can only be used together with near'
+        }),
         page: Joi.number().min(1).optional(),
         limit: Joi.number().min(1).max(50).optional(),
-        sort: Joi.string().valid('createdAt', '-createdAt', 'username', '-username', 'weight', '-weight').optional()
+        sort: Joi.string().valid(
+            'createdAt', '-createdAt', 'username', '-username', 'weight', '-weight',
+            'rating', '-rating', 'record', '-record', 'wins', '-wins', 'lastFightAt', '-lastFightAt'
+        ).optional()
+    }),
+
+    // Full-text fighter search
+    fighterSearchQuery: Joi.object({
+        q: Joi.string()
+            .trim()
+            .min(2)
+            .max(100)
+            .required()
+            .messages({
+                'string.min': 'Search must be at least 2 characters',
+                'string.max': 'Search cannot exceed 100 characters',
+                'any.required': 'Search text (q) is required'
+            }),
+        weightClass: Joi.string().valid(...DIVISION_NAMES).optional(),
+        page: Joi.number().min(1).default(1).optional(),
+        limit: Joi.number().min(1).max(50).default(10).optional()
+    }),
+
+    // Fighter rating history pagination
+    ratingHistoryQuery: Joi.object({
+        page: Joi.number().min(1).default(1).optional(),
+        limit: Joi.number().min(1).max(50).default(20).optional()
+    }),
+
+    // Replace the fighter's blackout calendar (dates are whole days)
+    updateAvailability: Joi.object({
+        blackouts: Joi.array()
+            .items(Joi.object({
+                start: Joi.date()
+                    .max(Joi.ref('end'))
+                    .required()
+                    .messages({
+                        'date.max': 'Blackout start cannot be after its end',
+                        'any.required': 'Blackout start date is required'
+                    }),
+                end: Joi.date()
+                    .min('now')
+                    .required()
+                    .messages({
+                        'date.min': 'Blackout end must be in the future',
+                        'any.required': 'Blackout end date is required'
+                    }),
+                reason: Joi.string().trim().max(200).allow('').optional()
+            }))
+            .max(50)
+            .required()
+            .messages({
+                'array.max': 'Cannot have more than 50 blackout windows',
+                'any.required': 'Blackouts are required'
+            })
+    }),
+
+    // Free dates lookup for a fighter
+    availabilityQuery: Joi.object({
+        from: Joi.date().min('now').optional().messages({
+            'date.min': 'Start date must be in the future'
+        }),
+        with: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .optional()
+            .messages({
+                'string.pattern.base': 'Invalid fighter ID format'
+            })
     }),
 
     // Validation for placing bets (for future betting system)
@@ -193,57 +576,42 @@ const schemas = {
             }),
         
         // Fight details (all optional for initial challenge)
-        fightDetails: Joi.object({
-            proposedDate: Joi.date()
-                .min('now')
-                .optional()
-                .messages({
-                    'date.min': 'Proposed date must be in the future'
-                }),
-            location: Joi.string()
-                .trim()
-                .max(200)
-                .optional()
-                .messages({
-                    'string.max': 'Location cannot exceed 200 characters'
-                }),
-            rules: Joi.string()
-                .trim()
-                .max(1000)
-                .optional()
-                .messages({
-                    'string.max': 'Rules cannot exceed 1000 characters'
-                }),
-            weightClass: Joi.string()
-                .valid(
-                    'Flyweight', 'Bantamweight', 'Featherweight', 'Lightweight',
-                    'Welterweight', 'Middleweight', 'Light Heavyweight', 'Heavyweight',
-                    'Catchweight', 'Open Weight'
-                )
-                .optional()
-                .messages({
-                    'any.only': 'Invalid weight class selected'
-                }),
-            stakes: Joi.string()
-                .trim()
-                .max(500)
-                .optional()
-                .messages({
-                    'string.max': 'Stakes description cannot exceed 500 characters'
-                })
-        }).optional(),
+        fightDetails: challengeFightDetailsRule.optional(),
 
         // Initial challenge message
-        message: Joi.string()
-            .trim()
-            .min(10)
-            .max(1000)
-            .required()
+        message: challengeMessageRule.required(),
+
+        // Deadline for a response (defaults to config.challenges.defaultExpiryDays)
+        expiresAt: challengeExpiryRule.optional()
+    }),
+
+    // Open challenge - no opponent, eligibility criteria instead
+    createOpenChallenge: Joi.object({
+        fightDetails: challengeFightDetailsRule.optional(),
+
+        eligibility: Joi.object({
+            // A fighter's own division - always a standard class
+            weightClass: Joi.string().valid(...DIVISION_NAMES).optional().messages({
+                'any.only': 'Eligibility is limited to standard weight classes'
+            }),
+            minRating: Joi.number().integer().min(0).optional(),
+            maxRating: Joi.number().integer().min(Joi.ref('minRating')).optional().messages({
+                'number.min': 'Maximum rating cannot be below the minimum rating'
+            }),
+            location: locationRule.optional(),
+            radiusMiles: Joi.number().min(1).max(500).optional(),
+            styles: Joi.array().items(styleRule).min(1).unique().optional()
+        })
+            .with('radiusMiles', 'location')
+            .optional()
             .messages({
-                'string.min': 'Challenge message must be at least 10 characters',
-                'string.max': 'Challenge message cannot exceed 1000 characters',
-                'any.required': 'Challenge message is required'
-            })
+                'object.with': 'A radius needs a location to measure from'
+            }),
+
+        message: challengeMessageRule.required(),
+
+        // Deadline for someone to claim it (defaults to config.challenges.defaultExpiryDays)
+        expiresAt: challengeExpiryRule.optional()
     }),
 
     // Accept challenge validation
@@ -254,7 +622,22 @@ const schemas = {
             .optional()
             .messages({
                 'string.max': 'Response message cannot exceed 500 characters'
-            })
+            }),
+        // Required to accept a teammate's challenge when their gym asks for confirmation
+        confirmTeammateChallenge: Joi.boolean().optional()
+    }),
+
+    // Claim an open challenge - accepting it on the claimant's behalf
+    claimOpenChallenge: Joi.object({
+        responseMessage: Joi.string()
+            .trim()
+            .max(500)
+            .optional()
+            .messages({
+                'string.max': 'Response message cannot exceed 500 characters'
+            }),
+        // Required to claim a teammate's challenge when their gym asks for confirmation
+        confirmTeammateChallenge: Joi.boolean().optional()
     }),
 
     // Decline challenge validation
@@ -304,16 +687,8 @@ const schemas = {
                 .messages({
                     'string.max': 'Rules cannot exceed 1000 characters'
                 }),
-            weightClass: Joi.string()
-                .valid(
-                    'Flyweight', 'Bantamweight', 'Featherweight', 'Lightweight',
-                    'Welterweight', 'Middleweight', 'Light Heavyweight', 'Heavyweight',
-                    'Catchweight', 'Open Weight'
-                )
-                .optional()
-                .messages({
-                    'any.only': 'Invalid weight class selected'
-                }),
+            weightClass: weightClassRule.optional(),
+            catchweightLimit: catchweightLimitRule.optional(), // Checked against the resulting weight class in the controller
             stakes: Joi.string()
                 .trim()
                 .max(500)
@@ -324,7 +699,28 @@ const schemas = {
         }).min(1).required().messages({
             'object.min': 'At least one fight detail must be provided',
             'any.required': 'Fight details are required'
-        })
+        }),
+
+        // Optional explanation shown with the counter-offer
+        note: Joi.string()
+            .trim()
+            .max(500)
+            .optional()
+            .messages({
+                'string.max': 'Note cannot exceed 500 characters'
+            })
+    }),
+
+    // Agree to a terms version
+    acceptTerms: Joi.object({
+        version: Joi.number()
+            .integer()
+            .min(1)
+            .required()
+            .messages({
+                'number.base': 'Terms version must be a number',
+                'any.required': 'Terms version is required'
+            })
     }),
 
     // Add message to challenge validation
@@ -341,10 +737,21 @@ const schemas = {
             })
     }),
 
+    // Conversation page - `before` is the nextCursor of the previous page
+    challengeMessagesQuery: Joi.object({
+        before: objectIdRule.optional(),
+        limit: Joi.number().integer().min(1).max(100).default(20).optional()
+    }),
+
+    // Last-read marker - up to a message, or everything so far when omitted
+    markMessagesRead: Joi.object({
+        messageId: objectIdRule.optional()
+    }),
+
     // Query validation for getting challenges
     challengeQuery: Joi.object({
         status: Joi.string()
-            .valid('pending', 'accepted', 'declined', 'completed', 'cancelled')
+            .valid('pending', 'accepted', 'declined', 'completed', 'cancelled', 'expired')
             .optional()
             .messages({
                 'any.only': 'Invalid status filter'
@@ -364,6 +771,16 @@ const schemas = {
             .optional()
     }),
 
+    // Open challenge browse query
+    openChallengeQuery: Joi.object({
+        weightClass: weightClassRule.optional(),
+        style: styleRule.optional(),
+        city: Joi.string().max(100).optional(),
+        country: Joi.string().max(100).optional(),
+        page: Joi.number().min(1).default(1).optional(),
+        limit: Joi.number().min(1).max(50).default(10).optional()
+    }),
+
     // ==================== FIGHT VALIDATION SCHEMAS ====================
 
     // Create fight from accepted challenge
@@ -398,6 +815,13 @@ const schemas = {
         }).optional()
     }),
 
+    // Rematch request - terms default to the original fight's
+    requestRematch: Joi.object({
+        fightDetails: challengeFightDetailsRule.optional(),
+        message: challengeMessageRule.optional(),
+        expiresAt: challengeExpiryRule.optional()
+    }),
+
     // Update fight details
     updateFightDetails: Joi.object({
         details: Joi.object({
@@ -414,13 +838,8 @@ const schemas = {
                 state: Joi.string().trim().max(100).optional(),
                 country: Joi.string().trim().max(100).optional()
             }).optional(),
-            weightClass: Joi.string()
-                .valid(
-                    'Flyweight', 'Bantamweight', 'Featherweight', 'Lightweight',
-                    'Welterweight', 'Middleweight', 'Light Heavyweight', 'Heavyweight',
-                    'Catchweight', 'Open Weight'
-                )
-                .optional(),
+            weightClass: weightClassRule.optional(),
+            catchweightLimit: catchweightLimitRule.optional(), // Checked against the resulting weight class in the controller
             rules: Joi.object({
                 rounds: Joi.number().min(1).max(12).optional(),
                 roundDuration: Joi.number().min(60).max(1800).optional(),
@@ -525,6 +944,43 @@ const schemas = {
             })
     }),
 
+    // Official weigh-in for one fighter
+    recordWeighIn: Joi.object({
+        fighterId: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Invalid fighter ID format',
+                'any.required': 'Fighter ID is required'
+            }),
+        weight: Joi.number()
+            .min(50)
+            .max(500)
+            .precision(1)
+            .required()
+            .messages({
+                'number.min': 'Measured weight must be at least 50 lbs',
+                'number.max': 'Measured weight cannot exceed 500 lbs',
+                'any.required': 'Measured weight is required'
+            }),
+        weighedAt: Joi.date()
+            .max('now')
+            .optional()
+            .messages({
+                'date.max': 'Weigh-in time cannot be in the future'
+            }),
+        official: Joi.string()
+            .trim()
+            .min(2)
+            .max(100)
+            .required()
+            .messages({
+                'string.min': 'Official name must be at least 2 characters',
+                'string.max': 'Official name cannot exceed 100 characters',
+                'any.required': 'The official who conducted the weigh-in is required'
+            })
+    }),
+
     // Verify fight result
     verifyFight: Joi.object({
         notes: Joi.string()
@@ -557,6 +1013,106 @@ const schemas = {
     // Recent results query
     recentResultsQuery: Joi.object({
         limit: Joi.number().min(1).max(50).default(10).optional()
+    }),
+
+    // ==================== GYM VALIDATION SCHEMAS ====================
+
+    // Create a gym (the creator becomes its owner and first coach)
+    createGym: Joi.object({
+        name: Joi.string()
+            .trim()
+            .min(2)
+            .max(100)
+            .required()
+            .messages({
+                'string.min': 'Gym name must be at least 2 characters',
+                'string.max': 'Gym name cannot exceed 100 characters',
+                'any.required': 'Gym name is required'
+            }),
+        description: Joi.string().trim().max(1000).allow('').optional(),
+        location: locationRule.optional(),
+        website: Joi.string().uri().allow('').optional().messages({
+            'string.uri': 'Website must be a valid URL'
+        }),
+        requireTeammateConfirmation: Joi.boolean().optional()
+    }),
+
+    // Update a gym (coaches only)
+    updateGym: Joi.object({
+        name: Joi.string().trim().min(2).max(100).optional(),
+        description: Joi.string().trim().max(1000).allow('').optional(),
+        location: locationRule.optional(),
+        website: Joi.string().uri().allow('').optional().messages({
+            'string.uri': 'Website must be a valid URL'
+        }),
+        coaches: Joi.array()
+            .items(objectIdRule)
+            .min(1)
+            .max(20)
+            .unique()
+            .optional()
+            .messages({
+                'array.min': 'A gym needs at least one coach',
+                'array.max': 'A gym cannot have more than 20 coaches'
+            }),
+        requireTeammateConfirmation: Joi.boolean().optional()
+    }).min(1).messages({
+        'object.min': 'Nothing to update'
+    }),
+
+    // Gym list query
+    gymQuery: Joi.object({
+        q: Joi.string().trim().max(100).optional(),
+        city: Joi.string().max(100).optional(),
+        country: Joi.string().max(100).optional(),
+        page: Joi.number().min(1).default(1).optional(),
+        limit: Joi.number().min(1).max(50).default(10).optional()
+    }),
+
+    // ==================== SUSPENSION VALIDATION SCHEMAS ====================
+
+    // Manual suspension - give either a length in days or an end date
+    createSuspension: Joi.object({
+        fighterId: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Invalid fighter ID format',
+                'any.required': 'Fighter ID is required'
+            }),
+        days: Joi.number().integer().min(1).max(365).optional(),
+        until: Joi.date().min('now').optional().messages({
+            'date.min': 'Suspension end date must be in the future'
+        }),
+        reason: Joi.string()
+            .trim()
+            .min(3)
+            .max(500)
+            .required()
+            .messages({
+                'any.required': 'A reason is required'
+            })
+    }).xor('days', 'until').messages({
+        'object.missing': 'Either days or until is required',
+        'object.xor': 'Give either days or until, not both'
+    }),
+
+    // Lift a suspension early
+    liftSuspension: Joi.object({
+        reason: Joi.string().trim().max(500).optional()
+    }),
+
+    // Suspension list query
+    suspensionQuery: Joi.object({
+        fighter: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .optional()
+            .messages({
+                'string.pattern.base': 'Invalid fighter ID format'
+            }),
+        active: Joi.boolean().optional(),
+        page: Joi.number().min(1).default(1).optional(),
+        limit: Joi.number().min(1).max(50).default(20).optional()
     })
 };
 
@@ -1,30 +1,75 @@
 import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
+import Session from "../models/sessionModel.js";
+import User from "../models/userModel.js";
+import { AppError } from "./errorHandler.js";
 
 dotenv.config();
 
 /**
  * Middleware to verify JWT and attach user info to 'req.user'
+ * The token must also belong to a session that has not been revoked, and to an
+ * account that has not been disabled, so signing out, an admin revocation or a
+ * ban takes effect immediately.
  */
 
-export const verifyToken = (req, res, next) => {
+// Error for a banned account (also used by sign-in and session refresh)
+export const accountDisabledError = () => new AppError(
+    'This account has been disabled',
+    403,
+    'ACCOUNT_DISABLED'
+);
+
+export const verifyToken = async (req, res, next) => {
+    let decoded;
+
     try {
         // Get token from the request headers (format: "Bearer <token>")
         const token = req.headers.authorization?.split(" ")[1];
         
         if (!token) {
-            return res.status(401).json({ error: "Access denied. No token provided" });
+            return next(new AppError(
+                'Access denied. No token provided',
+                401,
+                'AUTH_REQUIRED'
+            ));
         }
 
         // Verify the token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return next(new AppError(
+            error.name === 'TokenExpiredError' ? 'Your token has expired. Please log in again.' : 'Invalid token. Please log in again.',
+            401,
+            error.name === 'TokenExpiredError' ? 'EXPIRED_TOKEN' : 'INVALID_TOKEN'
+        ));
+    }
+
+    try {
+        // Reject tokens issued before sessions existed or whose session was revoked
+        const [session, user] = await Promise.all([
+            decoded.sid ? Session.findActive(decoded.sid) : null,
+            User.findById(decoded.id).select('disabledAt')
+        ]);
+
+        if (!session || !user || session.user.toString() !== decoded.id) {
+            return next(new AppError(
+                'Your session has ended. Please log in again.',
+                401,
+                'SESSION_REVOKED'
+            ));
+        }
+
+        if (user.disabledAt) {
+            return next(accountDisabledError());
+        }
 
-        // Attach the user data (id, role) to req.user (the request)
+        // Attach the user data (id, role, sid) to req.user (the request)
         req.user = decoded;
         next();
     } catch (error) {
-        return res.status(403).json({ error: "Invalid or expired token." });
+        next(error);
     }
 };
 
-export default verifyToken;
\ No newline at end of file
+export default verifyToken;
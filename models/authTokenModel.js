@@ -0,0 +1,94 @@
+// models/authTokenModel.js - Single-use tokens for emailed account actions
+import mongoose from "mongoose";
+import { generateToken, hashToken } from "../utils/tokens.js";
+
+/**
+ * AuthToken Schema - Hashed, expiring, single-use tokens
+ *
+ * WORKFLOW:
+ * 1. issue() stores the hash and returns the raw token (sent by email only)
+ * 2. Issuing a new token for the same purpose invalidates older unused ones
+ * 3. consume() atomically marks the token used, so it can only be redeemed once
+ * 4. Expired tokens are purged by the TTL index
+ */
+export const AUTH_TOKEN_PURPOSES = ["password-reset", "email-verification", "email-change"];
+
+const authTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    purpose: {
+        type: String,
+        enum: AUTH_TOKEN_PURPOSES,
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    // Purpose-specific payload
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    timestamps: true
+});
+
+// ==================== INDEXES ====================
+
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+authTokenSchema.index({ user: 1, purpose: 1, usedAt: 1 });
+
+// ==================== STATIC METHODS ====================
+
+// Issue a new token - returns the raw token, which is never stored
+authTokenSchema.statics.issue = async function(userId, purpose, ttlMs, data = {}) {
+    // Only the most recent token for a purpose is valid
+    await this.updateMany(
+        { user: userId, purpose, usedAt: null },
+        { $set: { usedAt: new Date() } }
+    );
+
+    const token = generateToken(32);
+    await this.create({
+        user: userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs),
+        data
+    });
+
+    return token;
+};
+
+// Redeem a token - returns the token document, or null if invalid/used/expired
+authTokenSchema.statics.consume = function(token, purpose) {
+    return this.findOneAndUpdate(
+        {
+            tokenHash: hashToken(String(token)),
+            purpose,
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+};
+
+// ==================== EXPORT ====================
+
+const AuthToken = mongoose.model("AuthToken", authTokenSchema);
+export default AuthToken;
@@ -0,0 +1,182 @@
+// models/challengeMessageModel.js - Messages in a challenge conversation
+import mongoose from "mongoose";
+import config from "../config/config.js";
+
+/**
+ * ChallengeMessage Schema - One message in the thread between two fighters
+ *
+ * - System messages (accepted, terms agreed, expired, ...) are stored here too,
+ *   with the fighter whose action caused them as sender
+ * - Senders can edit or delete their own messages for
+ *   config.challenges.messageEditMinutes after sending
+ * - Deleted messages stay in the thread (so paging is stable) but lose their text
+ * - Each participant's last-read marker lives on the challenge (readMarkers)
+ *
+ * Threads are paged newest first with the message _id as cursor.
+ */
+const challengeMessageSchema = new mongoose.Schema({
+    challenge: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Challenge",
+        required: true
+    },
+    sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null // null only for messages the platform sends on its own
+    },
+    message: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [1000, "Message cannot exceed 1000 characters"]
+    },
+    isSystemMessage: {
+        type: Boolean,
+        default: false
+    },
+    editedAt: { type: Date },
+    deletedAt: { type: Date }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// ==================== INDEXES ====================
+
+// Paging through a thread (newest first, _id as cursor)
+challengeMessageSchema.index({ challenge: 1, _id: -1 });
+// Unread counts and data export
+challengeMessageSchema.index({ challenge: 1, createdAt: 1 });
+challengeMessageSchema.index({ sender: 1, createdAt: 1 });
+
+// ==================== VIRTUAL FIELDS ====================
+
+// Same name as the old embedded messages used
+challengeMessageSchema.virtual('timestamp').get(function() {
+    return this.createdAt;
+});
+
+// Virtual for checking if the sender can still edit / delete it
+challengeMessageSchema.virtual('isEditable').get(function() {
+    const windowMs = config.challenges.messageEditMinutes * 60 * 1000;
+    return !this.isSystemMessage && !this.deletedAt &&
+        Boolean(this.createdAt) && Date.now() - this.createdAt.getTime() <= windowMs;
+});
+
+// ==================== SERIALIZATION ====================
+
+// Deleted messages keep their place in the thread but not their text
+challengeMessageSchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        if (ret.deletedAt) {
+            ret.message = null;
+        }
+        return ret;
+    }
+});
+
+// ==================== INSTANCE METHODS ====================
+
+const assertEditableBy = (message, userId) => {
+    if ((message.sender?._id ?? message.sender)?.toString() !== userId.toString() || message.isSystemMessage) {
+        throw new Error('You can only change your own messages');
+    }
+    if (message.deletedAt) {
+        throw new Error('This message has been deleted');
+    }
+    if (!message.isEditable) {
+        throw new Error(`Messages can only be changed within ${config.challenges.messageEditMinutes} minutes of sending`);
+    }
+};
+
+// Method to edit the text
+challengeMessageSchema.methods.edit = function(userId, text) {
+    assertEditableBy(this, userId);
+
+    this.message = text;
+    this.editedAt = new Date();
+    return this.save();
+};
+
+// Method to delete the message (text is hidden, the entry stays)
+challengeMessageSchema.methods.softDelete = function(userId) {
+    assertEditableBy(this, userId);
+
+    this.deletedAt = new Date();
+    return this.save();
+};
+
+// ==================== STATIC METHODS ====================
+
+// Add messages to a challenge thread and mark the challenge as recently active
+// entries: [{ sender, message, isSystemMessage? }]
+challengeMessageSchema.statics.post = async function(challengeId, entries) {
+    const messages = await this.insertMany(entries.map(entry => ({ ...entry, challenge: challengeId })));
+
+    await mongoose.model('Challenge').updateOne(
+        { _id: challengeId },
+        { $set: { lastMessageAt: messages[messages.length - 1].createdAt } }
+    );
+
+    return messages;
+};
+
+// One page of a thread, newest first
+// `before` is the _id of the last message of the previous page
+challengeMessageSchema.statics.getPage = async function(challengeId, { before, limit = 20 } = {}) {
+    const query = { challenge: challengeId };
+    if (before) {
+        query._id = { $lt: before };
+    }
+
+    // One extra to know whether there is another page
+    const messages = await this.find(query)
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .populate('sender', 'username profilePicture');
+
+    const hasMore = messages.length > limit;
+    const page = hasMore ? messages.slice(0, limit) : messages;
+
+    return {
+        messages: page,
+        nextCursor: hasMore ? page[page.length - 1]._id : null,
+        hasMore
+    };
+};
+
+// Unread messages per challenge for one user - messages from the other side
+// (or the platform) sent after the user's last-read marker
+// Returns a Map of challenge id -> count (challenges without unread messages are left out)
+challengeMessageSchema.statics.unreadCounts = async function(challenges, userId) {
+    if (challenges.length === 0) {
+        return new Map();
+    }
+
+    const user = new mongoose.Types.ObjectId(userId);
+    const counts = await this.aggregate([
+        {
+            $match: {
+                sender: { $ne: user },
+                deletedAt: { $exists: false },
+                $or: challenges.map(challenge => {
+                    const marker = challenge.readMarkers?.find(entry => entry.user.toString() === userId.toString());
+                    return marker ?
+                        { challenge: challenge._id, createdAt: { $gt: marker.lastReadAt } } :
+                        { challenge: challenge._id };
+                })
+            }
+        },
+        { $group: { _id: '$challenge', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+};
+
+// ==================== EXPORT ====================
+
+const ChallengeMessage = mongoose.model("ChallengeMessage", challengeMessageSchema);
+export default ChallengeMessage;
@@ -1,5 +1,8 @@
 // models/challengeModel.js - Challenge system for fight proposals
 import mongoose from "mongoose";
+import { WEIGHT_CLASS_NAMES, DIVISION_NAMES } from "../config/weightClasses.js";
+import config from "../config/config.js";
+import ChallengeMessage from "./challengeMessageModel.js";
 
 /**
  * Challenge Schema - Represents fight proposals between fighters
@@ -10,7 +13,26 @@ import mongoose from "mongoose";
  * 3. If accepted, fight details can be negotiated
  * 4. Challenge can be completed when fight happens (status: "completed")
  * 5. Challenge can be cancelled anytime (status: "cancelled")
+ * 6. A pending challenge nobody answers before expiresAt becomes "expired"
+ *    (services/challengeExpiry.js runs the sweep and sends reminders)
+ *
+ * OPEN CHALLENGES:
+ * - Posted without an opponent (`isOpen`, `challenged` empty) and with
+ *   eligibility criteria - see services/openChallenges.js
+ * - The first eligible fighter to claim it becomes `challenged` and the
+ *   challenge continues as a normal, accepted one-on-one challenge
+ *
+ * TERMS NEGOTIATION:
+ * - The fight terms (TERM_FIELDS of fightDetails) are versioned in `terms`.
+ *   Version 1 is the challenger's original proposal.
+ * - Either side can counter with a new version; the open version is then
+ *   marked "countered". fightDetails always holds the latest version.
+ * - Only the side that did not propose a version can accept it ("agreed").
+ *   A fight can only be created once the latest version is agreed.
  */
+
+// Negotiable fight terms (the rest of fightDetails is derived, e.g. weightWarnings)
+export const TERM_FIELDS = ["proposedDate", "location", "rules", "weightClass", "catchweightLimit", "stakes"];
 const challengeSchema = new mongoose.Schema({
     // Core challenge participants
     challenger: { 
@@ -22,18 +44,62 @@ const challengeSchema = new mongoose.Schema({
     challenged: { 
         type: mongoose.Schema.Types.ObjectId, 
         ref: "User", 
-        required: true,
+        required: function() {
+            return !this.isOpen; // Open challenges have no opponent until one claims them
+        },
+        default: null,
         index: true // Index for faster queries
     },
 
+    // Open challenge: any fighter meeting `eligibility` can claim it
+    isOpen: { type: Boolean, default: false },
+    eligibility: {
+        weightClass: { type: String, enum: DIVISION_NAMES },
+        minRating: { type: Number },
+        maxRating: { type: Number },
+        // Where the fight is (point set by services/geocoder.js) and how far away claimants may live
+        location: {
+            city: { type: String, trim: true },
+            state: { type: String, trim: true },
+            country: { type: String, trim: true },
+            point: {
+                type: { type: String, enum: ["Point"] },
+                coordinates: { type: [Number], default: undefined } // [lng, lat]
+            }
+        },
+        radiusMiles: { type: Number, min: 1 },
+        styles: { type: [String], default: undefined }
+    },
+    claimedAt: { type: Date },
+
+    // Completed fight this challenge asks to rematch (see POST /api/fights/:id/rematch)
+    rematchOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Fight",
+        default: null,
+        index: true
+    },
+
+    // Both fighters were members of the same gym when the challenge was sent
+    isTeammateChallenge: { type: Boolean, default: false },
+
     // Challenge status tracking
     status: { 
         type: String, 
-        enum: ["pending", "accepted", "declined", "completed", "cancelled"],
+        enum: ["pending", "accepted", "declined", "completed", "cancelled", "expired"],
         default: "pending",
         index: true // Index for status-based queries
     },
 
+    // Deadline for the challenged fighter to respond (set on creation, see config.challenges)
+    expiresAt: { type: Date },
+    // Reminders sent to the challenged fighter, one per configured "hours before expiry" step
+    reminders: [{
+        _id: false,
+        hoursBefore: { type: Number, required: true },
+        sentAt: { type: Date, default: Date.now }
+    }],
+
     // Fight proposal details
     fightDetails: {
         proposedDate: { 
@@ -57,12 +123,19 @@ const challengeSchema = new mongoose.Schema({
         },
         weightClass: { 
             type: String,
-            enum: [
-                "Flyweight", "Bantamweight", "Featherweight", "Lightweight", 
-                "Welterweight", "Middleweight", "Light Heavyweight", "Heavyweight",
-                "Catchweight", "Open Weight"
-            ]
+            enum: WEIGHT_CLASS_NAMES
         },
+        // Agreed limit (lbs) - required for Catchweight, see services/weightCheck.js
+        catchweightLimit: { type: Number, min: 100, max: 400 },
+        // Weight mismatches that were allowed but flagged
+        weightWarnings: [{
+            _id: false,
+            fighter: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+            code: { type: String },
+            message: { type: String },
+            weight: { type: Number },
+            limit: { type: Number }
+        }],
         stakes: {
             type: String,
             trim: true,
@@ -70,27 +143,40 @@ const challengeSchema = new mongoose.Schema({
         }
     },
 
-    // Communication between fighters
-    messages: [{
-        sender: { 
-            type: mongoose.Schema.Types.ObjectId, 
-            ref: "User", 
-            required: true 
-        },
-        message: { 
-            type: String, 
-            required: true,
-            trim: true,
-            maxlength: [1000, "Message cannot exceed 1000 characters"]
+    // Every version of the fight terms, oldest first (see TERMS NEGOTIATION above)
+    terms: [{
+        _id: false,
+        version: { type: Number, required: true },
+        proposedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        details: {
+            proposedDate: Date,
+            location: String,
+            rules: String,
+            weightClass: String,
+            catchweightLimit: Number,
+            stakes: String
         },
-        timestamp: { 
-            type: Date, 
-            default: Date.now 
-        },
-        isSystemMessage: { 
-            type: Boolean, 
-            default: false 
-        }
+        // What changed compared with the previous version
+        changes: [{
+            _id: false,
+            field: { type: String, enum: TERM_FIELDS },
+            from: mongoose.Schema.Types.Mixed,
+            to: mongoose.Schema.Types.Mixed
+        }],
+        note: { type: String, trim: true, maxlength: [500, "Note cannot exceed 500 characters"] },
+        status: { type: String, enum: ["proposed", "countered", "agreed"], default: "proposed" },
+        proposedAt: { type: Date, default: Date.now },
+        respondedAt: Date,
+        respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+    }],
+
+    // Conversation lives in its own collection (see models/challengeMessageModel.js)
+    lastMessageAt: { type: Date },
+    // Each participant's last-read point in the conversation
+    readMarkers: [{
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        lastReadAt: { type: Date, required: true }
     }],
 
     // Challenge response details
@@ -114,7 +200,7 @@ const challengeSchema = new mongoose.Schema({
         default: Date.now 
     },
 
-    // Related fight record (when challenge is completed)
+    // Related fight record (set when the fight is created; terms are settled from then on)
     relatedFight: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "Fight" // For future Fight model integration
@@ -131,6 +217,31 @@ const challengeSchema = new mongoose.Schema({
 challengeSchema.index({ challenger: 1, status: 1 });
 challengeSchema.index({ challenged: 1, status: 1 });
 challengeSchema.index({ status: 1, createdAt: -1 });
+challengeSchema.index({ status: 1, expiresAt: 1 });
+// Browsing unclaimed open challenges
+challengeSchema.index({ isOpen: 1, status: 1, 'eligibility.weightClass': 1, createdAt: -1 });
+
+// ==================== TERMS HELPERS ====================
+
+const sameId = (a, b) => (a?._id ?? a)?.toString() === (b?._id ?? b)?.toString();
+
+// Comparable form of a term value (dates by time, empty values as null)
+const termValue = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    return value instanceof Date ? value.toISOString() : value;
+};
+
+// Only the negotiable fields of a fightDetails-like object
+const pickTerms = (details = {}) => Object.fromEntries(
+    TERM_FIELDS
+        .filter(field => termValue(details[field]) !== null)
+        .map(field => [field, details[field]])
+);
+
+// Field-by-field differences between two sets of terms
+export const diffTerms = (before = {}, after = {}) => TERM_FIELDS
+    .filter(field => termValue(before[field]) !== termValue(after[field]))
+    .map(field => ({ field, from: termValue(before[field]), to: termValue(after[field]) }));
 
 // ==================== VIRTUAL FIELDS ====================
 
@@ -144,9 +255,42 @@ challengeSchema.virtual('isActive').get(function() {
     return ['pending', 'accepted'].includes(this.status);
 });
 
+// Virtual for checking if a pending challenge is past its deadline (the sweep may not have run yet)
+challengeSchema.virtual('isExpired').get(function() {
+    return this.status === 'expired' ||
+        (this.status === 'pending' && Boolean(this.expiresAt) && this.expiresAt <= new Date());
+});
+
+// Virtual for the latest terms version (null for challenges created before versioning)
+challengeSchema.virtual('currentTerms').get(function() {
+    return this.terms?.length ? this.terms[this.terms.length - 1] : null;
+});
+
+// Virtual for checking if both sides agreed to the latest terms
+// (challenges accepted before versioning existed count as agreed)
+challengeSchema.virtual('termsAgreed').get(function() {
+    const current = this.currentTerms;
+    return current ? current.status === 'agreed' : this.status === 'accepted';
+});
+
+// Virtual for the terms both sides last agreed to (null when nothing was agreed yet)
+// Later proposals change fightDetails, never these
+challengeSchema.virtual('agreedTerms').get(function() {
+    const agreed = this.terms?.findLast(version => version.status === 'agreed');
+    if (agreed) {
+        return agreed.details;
+    }
+    return !this.terms?.length && ['accepted', 'completed'].includes(this.status) ? this.fightDetails : null;
+});
+
+// Virtual for checking if an open challenge is still waiting for an opponent
+challengeSchema.virtual('isClaimable').get(function() {
+    return this.isOpen && !this.challenged && this.status === 'pending' && !this.isExpired;
+});
+
 // Virtual for checking if challenge needs response
 challengeSchema.virtual('needsResponse').get(function() {
-    return this.status === 'pending';
+    return this.status === 'pending' && !this.isExpired && Boolean(this.challenged);
 });
 
 // ==================== MIDDLEWARE ====================
@@ -157,9 +301,29 @@ challengeSchema.pre('save', function(next) {
     next();
 });
 
+// Pre-save: new challenges get the default response deadline
+challengeSchema.pre('save', function(next) {
+    if (this.isNew && !this.expiresAt) {
+        this.expiresAt = new Date(Date.now() + config.challenges.defaultExpiryDays * 24 * 60 * 60 * 1000);
+    }
+    next();
+});
+
+// Pre-save: the original proposal becomes terms version 1
+challengeSchema.pre('save', function(next) {
+    if (this.isNew && this.terms.length === 0) {
+        this.terms.push({
+            version: 1,
+            proposedBy: this.challenger,
+            details: pickTerms(this.fightDetails)
+        });
+    }
+    next();
+});
+
 // Pre-save validation: prevent self-challenges
 challengeSchema.pre('save', function(next) {
-    if (this.challenger.toString() === this.challenged.toString()) {
+    if (this.challenged && this.challenger.toString() === this.challenged.toString()) {
         const error = new Error('A fighter cannot challenge themselves');
         error.name = 'ValidationError';
         return next(error);
@@ -181,6 +345,10 @@ challengeSchema.post('save', async function(doc) {
             { $addToSet: { challenges: doc._id } }
         );
         
+        if (!doc.challenged) {
+            return; // Unclaimed open challenge
+        }
+
         await User.updateOne(
             { 
                 _id: doc.challenged,
@@ -193,16 +361,150 @@ challengeSchema.post('save', async function(doc) {
     }
 });
 
+// Post-save middleware: write queued messages (see queueMessage)
+// The challenge is already saved here, so a failure is logged rather than
+// turning a stored status change into an error response
+challengeSchema.post('save', async function(doc) {
+    const pending = doc.$locals.pendingMessages;
+    if (pending?.length) {
+        doc.$locals.pendingMessages = [];
+        try {
+            await ChallengeMessage.post(doc._id, pending);
+        } catch (error) {
+            console.error(`Error writing messages for challenge ${doc._id}:`, error);
+        }
+    }
+});
+
 // ==================== INSTANCE METHODS ====================
 
-// Method to add a message to the challenge
-challengeSchema.methods.addMessage = function(senderId, messageText, isSystemMessage = false) {
-    this.messages.push({
+// Method to add a message to the conversation right away
+challengeSchema.methods.addMessage = async function(senderId, messageText, isSystemMessage = false) {
+    const [message] = await ChallengeMessage.post(this._id, [{
         sender: senderId,
         message: messageText,
         isSystemMessage
+    }]);
+    this.lastMessageAt = message.createdAt;
+    return message;
+};
+
+// Method to add a message that is written to the conversation once the challenge is saved
+// (nothing is written if the save fails; the write itself is not atomic with the save)
+challengeSchema.methods.queueMessage = function({ sender = null, message, isSystemMessage = false }) {
+    this.$locals.pendingMessages = [...(this.$locals.pendingMessages || []), { sender, message, isSystemMessage }];
+    this.lastMessageAt = new Date();
+};
+
+// Method to move a participant's last-read marker forward (never back)
+challengeSchema.methods.markRead = async function(userId, readAt = new Date()) {
+    const { matchedCount } = await this.constructor.updateOne(
+        { _id: this._id, 'readMarkers.user': userId },
+        { $max: { 'readMarkers.$.lastReadAt': readAt } }
+    );
+    if (matchedCount === 0) {
+        await this.constructor.updateOne(
+            { _id: this._id, 'readMarkers.user': { $ne: userId } },
+            { $push: { readMarkers: { user: userId, lastReadAt: readAt } } }
+        );
+    }
+};
+
+// Method to counter with a new terms version (merged over the current terms)
+// Returns the new version entry
+challengeSchema.methods.proposeTerms = function(userId, changes, note = '') {
+    if (!this.challenged) {
+        throw new Error('Open challenges can only be negotiated once a fighter has claimed them');
+    }
+    if (!this.isActive || this.isExpired) {
+        throw new Error('Terms can only be negotiated on pending or accepted challenges');
+    }
+    if (this.relatedFight) {
+        throw new Error('A fight has already been created for this challenge - its terms can no longer be changed');
+    }
+
+    // Challenges from before versioning start from their current details
+    if (this.terms.length === 0) {
+        this.terms.push({ version: 1, proposedBy: this.challenger, details: pickTerms(this.fightDetails) });
+    }
+
+    const current = this.currentTerms;
+    const previous = current.details.toObject ? current.details.toObject() : current.details;
+    const details = pickTerms({ ...previous, ...changes });
+    const diff = diffTerms(previous, details);
+
+    if (diff.length === 0) {
+        throw new Error('The new terms are the same as the current terms');
+    }
+
+    if (current.status === 'proposed') {
+        current.status = 'countered';
+        current.respondedAt = new Date();
+        current.respondedBy = userId;
+    }
+
+    this.terms.push({
+        version: current.version + 1,
+        proposedBy: userId,
+        details,
+        changes: diff,
+        note
     });
-    return this.save();
+
+    // fightDetails mirrors the latest version (cleared fields are removed)
+    for (const field of TERM_FIELDS) {
+        this.fightDetails[field] = details[field];
+    }
+
+    return this.currentTerms;
+};
+
+// Method to agree to a terms version - only the latest one, and never your own
+challengeSchema.methods.acceptTerms = function(userId, version) {
+    const current = this.currentTerms;
+    if (!this.challenged) {
+        throw new Error('Open challenges can only be negotiated once a fighter has claimed them');
+    }
+
+    if (!this.isActive || this.isExpired) {
+        throw new Error('Terms can only be agreed on pending or accepted challenges');
+    }
+    if (!current || current.version !== version) {
+        throw new Error(`Version ${version} is not the latest terms version`);
+    }
+    if (current.status !== 'proposed') {
+        throw new Error(`Version ${version} has already been ${current.status}`);
+    }
+    if (sameId(current.proposedBy, userId)) {
+        throw new Error('You cannot accept your own proposal');
+    }
+
+    current.status = 'agreed';
+    current.respondedAt = new Date();
+    current.respondedBy = userId;
+
+    return current;
+};
+
+// Save a change that answers a pending challenge - written only while the stored
+// challenge is still pending and unexpired, so a decline, a cancellation or the
+// expiry job that got there first wins (throws instead)
+challengeSchema.methods.saveIfStillPending = async function(action) {
+    this.$where = {
+        status: 'pending',
+        $or: [{ expiresAt: { $gt: new Date() } }, { expiresAt: { $exists: false } }]
+    };
+
+    try {
+        return await this.save();
+    } catch (error) {
+        if (error instanceof mongoose.Error.DocumentNotFoundError) {
+            throw new Error(`Challenge cannot be ${action} - it was answered or expired in the meantime`);
+        }
+        throw error;
+    } finally {
+        this.$where = undefined;
+    }
 };
 
 // Method to accept challenge
@@ -210,21 +512,31 @@ challengeSchema.methods.accept = function(responseMessage = '') {
     if (this.status !== 'pending') {
         throw new Error('Challenge cannot be accepted - current status: ' + this.status);
     }
+    if (this.isExpired) {
+        throw new Error('Challenge cannot be accepted - it has expired');
+    }
     
     this.status = 'accepted';
     this.responseDetails = {
         respondedAt: new Date(),
         responseMessage
     };
+
+    // Accepting the challenge agrees to the challenger's terms on the table
+    // (a counter-offer from the challenged fighter still needs the challenger's answer)
+    const current = this.currentTerms;
+    if (current && current.status === 'proposed' && sameId(current.proposedBy, this.challenger)) {
+        this.acceptTerms(this.challenged, current.version);
+    }
     
     // Add system message
-    this.messages.push({
+    this.queueMessage({
         sender: this.challenged,
         message: `Challenge accepted! ${responseMessage}`.trim(),
         isSystemMessage: true
     });
     
-    return this.save();
+    return this.saveIfStillPending('accepted');
 };
 
 // Method to decline challenge
@@ -232,6 +544,9 @@ challengeSchema.methods.decline = function(responseMessage = '') {
     if (this.status !== 'pending') {
         throw new Error('Challenge cannot be declined - current status: ' + this.status);
     }
+    if (this.isExpired) {
+        throw new Error('Challenge cannot be declined - it has expired');
+    }
     
     this.status = 'declined';
     this.responseDetails = {
@@ -240,7 +555,7 @@ challengeSchema.methods.decline = function(responseMessage = '') {
     };
     
     // Add system message
-    this.messages.push({
+    this.queueMessage({
         sender: this.challenged,
         message: `Challenge declined. ${responseMessage}`.trim(),
         isSystemMessage: true
@@ -258,7 +573,7 @@ challengeSchema.methods.cancel = function(reason = '') {
     this.status = 'cancelled';
     
     // Add system message
-    this.messages.push({
+    this.queueMessage({
         sender: this.challenger,
         message: `Challenge cancelled. ${reason}`.trim(),
         isSystemMessage: true
@@ -279,8 +594,8 @@ challengeSchema.methods.complete = function(fightId = null) {
     }
     
     // Add system message
-    this.messages.push({
-        sender: null, // System message
+    this.queueMessage({
+        sender: null, // Platform message - nobody in particular completed it
         message: 'Challenge completed - fight has taken place!',
         isSystemMessage: true
     });
@@ -304,9 +619,8 @@ challengeSchema.statics.getUserChallenges = function(userId, status = null) {
     }
     
     return this.find(query)
-        .populate('challenger', 'username profilePicture record location')
-        .populate('challenged', 'username profilePicture record location')
-        .populate('messages.sender', 'username')
+        .populate('challenger', 'username profilePicture record location.city location.state location.country')
+        .populate('challenged', 'username profilePicture record location.city location.state location.country')
         .sort({ updatedAt: -1 });
 };
 
@@ -314,24 +628,62 @@ challengeSchema.statics.getUserChallenges = function(userId, status = null) {
 challengeSchema.statics.getPendingChallengesForUser = function(userId) {
     return this.find({
         challenged: userId,
-        status: 'pending'
+        status: 'pending',
+        expiresAt: { $not: { $lte: new Date() } } // Past the deadline but not swept yet
     })
-    .populate('challenger', 'username profilePicture record location')
-    .populate('challenged', 'username profilePicture record location')
+    .populate('challenger', 'username profilePicture record location.city location.state location.country')
+    .populate('challenged', 'username profilePicture record location.city location.state location.country')
     .sort({ createdAt: -1 });
 };
 
 // Check if a challenge already exists between two users
+// (a pending challenge past its deadline no longer counts, even before the sweep expires it)
 challengeSchema.statics.existsBetweenUsers = function(user1Id, user2Id) {
     return this.findOne({
-        $or: [
-            { challenger: user1Id, challenged: user2Id },
-            { challenger: user2Id, challenged: user1Id }
-        ],
-        status: { $in: ['pending', 'accepted'] }
+        $and: [
+            {
+                $or: [
+                    { challenger: user1Id, challenged: user2Id },
+                    { challenger: user2Id, challenged: user1Id }
+                ]
+            },
+            {
+                $or: [
+                    { status: 'accepted' },
+                    { status: 'pending', expiresAt: { $not: { $lte: new Date() } } }
+                ]
+            }
+        ]
     });
 };
 
+// Atomically bind a fighter to an unclaimed open challenge, storing the
+// teammate flag and weight warnings for the pairing in the same update
+// Resolves to the claimed challenge, or null when someone else got there first
+// (or it was cancelled / expired in the meantime)
+challengeSchema.statics.claimOpen = function(challengeId, userId, { isTeammateChallenge = false, weightWarnings = [] } = {}) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        {
+            _id: challengeId,
+            isOpen: true,
+            challenged: null,
+            status: 'pending',
+            challenger: { $ne: userId },
+            expiresAt: { $not: { $lte: now } }
+        },
+        {
+            $set: {
+                challenged: userId,
+                claimedAt: now,
+                isTeammateChallenge,
+                'fightDetails.weightWarnings': weightWarnings
+            }
+        },
+        { new: true }
+    );
+};
+
 // ==================== EXPORT ====================
 
 const Challenge = mongoose.model("Challenge", challengeSchema);
@@ -1,6 +1,15 @@
 // models/fightModel.js - Fight/Match system for recording actual fights
 import mongoose from "mongoose";
-
+import {
+    WEIGHT_CLASS_NAMES,
+    CATCHWEIGHT,
+    OPEN_WEIGHT,
+    WEIGH_IN_TOLERANCE,
+    limitFor
+} from "../config/weightClasses.js";
+import { applyFightRatings } from "../services/rating.js";
+import { scheduleRankingsRecompute } from "../services/rankings.js";
+import { applyFightSuspensions } from "../services/suspensions.js";
 /**
  * Fight Schema - Represents actual fights between fighters
  * 
@@ -8,8 +17,13 @@ import mongoose from "mongoose";
  * 1. Fight is created from an accepted challenge
  * 2. Fight is scheduled with date/location/rules
  * 3. Fight happens and results are recorded
- * 4. User records are updated automatically
+ * 4. User records and ratings are updated automatically
+ *    (rankings are recomputed when a result is recorded or verified)
  * 5. Bets are resolved based on outcome
+ *
+ * REMATCHES: a completed fight can be followed by a rematch challenge
+ * (POST /api/fights/:id/rematch). The fight booked from it points back through
+ * `rematchOf`, so the fights between two fighters form a chain.
  */
 const fightSchema = new mongoose.Schema({
     // Fight participants
@@ -27,6 +41,7 @@ const fightSchema = new mongoose.Schema({
         // Pre-fight stats snapshot (for historical record)
         preStats: {
             weight: Number,
+            rating: Number,
             record: {
                 wins: { type: Number, default: 0 },
                 losses: { type: Number, default: 0 },
@@ -49,6 +64,14 @@ const fightSchema = new mongoose.Schema({
         index: true
     },
 
+    // Earlier fight between the same two fighters that this one is a rematch of
+    rematchOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Fight",
+        default: null,
+        index: true
+    },
+
     // Fight status
     status: { 
         type: String, 
@@ -83,13 +106,20 @@ const fightSchema = new mongoose.Schema({
         },
         weightClass: { 
             type: String,
-            enum: [
-                "Flyweight", "Bantamweight", "Featherweight", "Lightweight", 
-                "Welterweight", "Middleweight", "Light Heavyweight", "Heavyweight",
-                "Catchweight", "Open Weight"
-            ],
+            enum: WEIGHT_CLASS_NAMES,
             required: true
         },
+        // Agreed limit (lbs) - required for Catchweight, see services/weightCheck.js
+        catchweightLimit: { type: Number, min: 100, max: 400 },
+        // Weight mismatches that were allowed but flagged
+        weightWarnings: [{
+            _id: false,
+            fighter: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+            code: { type: String },
+            message: { type: String },
+            weight: { type: Number },
+            limit: { type: Number }
+        }],
         rules: {
             rounds: { type: Number, default: 3, min: 1, max: 12 },
             roundDuration: { type: Number, default: 300 }, // seconds (5 minutes default)
@@ -102,6 +132,28 @@ const fightSchema = new mongoose.Schema({
         }
     },
 
+    // Official weigh-ins - one per fighter, a re-weigh replaces the earlier one
+    weighIns: [{
+        fighter: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        weight: { type: Number, required: true, min: 50, max: 500 },
+        weighedAt: { type: Date, default: Date.now },
+        official: {
+            type: String,
+            trim: true,
+            required: true,
+            maxlength: [100, "Official name cannot exceed 100 characters"]
+        },
+        recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        limit: { type: Number, default: null }, // Limit that applied (null for Open Weight)
+        missedWeight: { type: Boolean, default: false },
+        overBy: { type: Number, default: 0 }, // lbs over the limit when weight was missed
+        attempt: { type: Number, default: 1 }
+    }],
+
     // Fight outcome
     outcome: {
         winner: { 
@@ -111,7 +163,7 @@ const fightSchema = new mongoose.Schema({
         },
         method: { 
             type: String, 
-            enum: ["KO", "TKO", "Submission", "Decision", "DQ", "No Contest", null],
+            enum: ["KO", "TKO", "Submission", "Decision", "DQ", "Draw", "No Contest", null],
             default: null
         },
         methodDetails: {
@@ -230,6 +282,25 @@ fightSchema.virtual('canEdit').get(function() {
     return ['scheduled', 'postponed'].includes(this.status);
 });
 
+// Virtual for the weight limit that applies at the weigh-in (null = no limit)
+fightSchema.virtual('weightLimit').get(function() {
+    if (this.details?.weightClass === CATCHWEIGHT) {
+        return this.details.catchweightLimit ?? null;
+    }
+    return limitFor(this.details?.weightClass);
+});
+
+// Virtual for the weigh-in summary shown with the fight
+fightSchema.virtual('weighInStatus').get(function() {
+    if (!this.weighIns) return undefined;
+
+    const weighedIn = new Set(this.weighIns.map(w => (w.fighter?._id ?? w.fighter).toString()));
+    return {
+        complete: this.fighters.every(f => weighedIn.has((f.user?._id ?? f.user).toString())),
+        missedWeight: this.weighIns.filter(w => w.missedWeight).map(w => w.fighter)
+    };
+});
+
 // Virtual for getting participant IDs
 fightSchema.virtual('participantIds').get(function() {
     return this.fighters.map(f => f.user);
@@ -260,12 +331,17 @@ fightSchema.pre('save', async function(next) {
         this.details.actualDate = new Date();
     }
 
+    // Remember whether this save completes the fight, so later saves
+    // (verification, stats) do not count the result again
+    this.$locals.justCompleted = this.isModified('status') && this.status === 'completed';
+    this.$locals.justVerified = this.isModified('verification.isVerified') && this.verification.isVerified;
+
     next();
 });
 
-// Post-save middleware: Update fighter records
+// Post-save middleware: Update fighter records, ratings and medical suspensions
 fightSchema.post('save', async function(doc) {
-    if (doc.status === 'completed' && doc.outcome.winner) {
+    if (doc.$locals.justCompleted) {
         try {
             const User = mongoose.model('User');
             
@@ -281,12 +357,13 @@ fightSchema.post('save', async function(doc) {
                     update['record.draws'] = 1;
                 }
                 
-                if (Object.keys(update).length > 0) {
-                    await User.findByIdAndUpdate(
-                        fighter.user,
-                        { $inc: update }
-                    );
-                }
+                await User.findByIdAndUpdate(
+                    fighter.user,
+                    {
+                        ...(Object.keys(update).length > 0 && { $inc: update }),
+                        $max: { lastFightAt: doc.details.actualDate || new Date() }
+                    }
+                );
             }
 
             // Update the related challenge
@@ -302,6 +379,28 @@ fightSchema.post('save', async function(doc) {
         } catch (error) {
             console.error('Error updating fighter records:', error);
         }
+
+        try {
+            await applyFightRatings(doc);
+        } catch (error) {
+            console.error('Error updating fighter ratings:', error);
+        }
+
+        try {
+            await applyFightSuspensions(doc);
+        } catch (error) {
+            console.error('Error creating medical suspension:', error);
+        }
+    }
+
+    // Rankings only count verified fights; recomputing on every recorded result
+    // as well keeps the activity adjustment current between verifications.
+    // The recompute runs in the background - this save does not wait for it.
+    if (doc.status === 'completed' && (doc.$locals.justCompleted || doc.$locals.justVerified)) {
+        scheduleRankingsRecompute({
+            reason: doc.$locals.justVerified ? 'fight-verified' : 'result-recorded',
+            fight: doc._id
+        });
     }
 });
 
@@ -314,16 +413,17 @@ fightSchema.methods.recordResult = async function(winnerId, method, details = {}
     }
 
     // Validate winner is a participant
-    const winnerIndex = this.fighters.findIndex(f => 
-        f.user.toString() === winnerId.toString()
-    );
+    const isDecisive = !['No Contest', 'Draw'].includes(method) && !(method === 'Decision' && !winnerId);
+    const winnerIndex = winnerId ?
+        this.fighters.findIndex(f => f.user.toString() === winnerId.toString()) :
+        -1;
     
-    if (winnerIndex === -1 && method !== 'No Contest') {
+    if (winnerIndex === -1 && isDecisive) {
         throw new Error('Winner must be one of the fight participants');
     }
 
     // Set outcome
-    this.outcome.winner = winnerId;
+    this.outcome.winner = isDecisive ? winnerId : null;
     this.outcome.method = method;
     this.outcome.methodDetails = details.methodDetails || '';
     this.outcome.round = details.round || null;
@@ -347,6 +447,40 @@ fightSchema.methods.recordResult = async function(winnerId, method, details = {}
     return this.save();
 };
 
+// Method to record an official weigh-in for one fighter
+fightSchema.methods.recordWeighIn = function(fighterId, { weight, weighedAt, official, recordedBy }) {
+    if (!['scheduled', 'postponed'].includes(this.status)) {
+        throw new Error('Weigh-ins can only be recorded for scheduled or postponed fights');
+    }
+
+    const isParticipant = this.fighters.some(f => (f.user._id ?? f.user).toString() === fighterId.toString());
+    if (!isParticipant) {
+        throw new Error('Weigh-ins can only be recorded for fighters in this fight');
+    }
+
+    const limit = this.weightLimit;
+    const allowed = limit === null ? Infinity : limit + WEIGH_IN_TOLERANCE;
+    const isSameFighter = (w) => (w.fighter._id ?? w.fighter).toString() === fighterId.toString();
+    const previous = this.weighIns.find(isSameFighter);
+
+    this.weighIns = [
+        ...this.weighIns.filter(w => !isSameFighter(w)),
+        {
+            fighter: fighterId,
+            weight,
+            weighedAt: weighedAt || new Date(),
+            official,
+            recordedBy,
+            limit,
+            missedWeight: weight > allowed,
+            overBy: weight > allowed ? Math.round((weight - limit) * 10) / 10 : 0,
+            attempt: previous ? previous.attempt + 1 : 1
+        }
+    ];
+
+    return this.save();
+};
+
 // Method to start fight
 fightSchema.methods.start = function() {
     if (this.status !== 'scheduled') {
@@ -427,6 +561,7 @@ fightSchema.statics.createFromChallenge = async function(challengeId) {
                 corner: 'red',
                 preStats: {
                     weight: challenger.weight,
+                    rating: challenger.rating?.value,
                     record: { ...challenger.record }
                 }
             },
@@ -435,24 +570,30 @@ fightSchema.statics.createFromChallenge = async function(challengeId) {
                 corner: 'blue',
                 preStats: {
                     weight: challenged.weight,
+                    rating: challenged.rating?.value,
                     record: { ...challenged.record }
                 }
             }
         ],
         fromChallenge: challengeId,
+        rematchOf: challenge.rematchOf || null,
         details: {
             scheduledDate: challenge.fightDetails.proposedDate || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // Default 1 week
             venue: {
                 city: challenge.fightDetails.location
             },
-            weightClass: challenge.fightDetails.weightClass || 'Open Weight',
+            weightClass: challenge.fightDetails.weightClass || OPEN_WEIGHT,
+            catchweightLimit: challenge.fightDetails.catchweightLimit,
             rules: {
                 customRules: challenge.fightDetails.rules
             }
         }
     });
 
-    return fight.save();
+    await fight.save();
+    // Link the challenge right away so its terms cannot be renegotiated under the fight
+    await Challenge.updateOne({ _id: challengeId }, { $set: { relatedFight: fight._id } });
+    return fight;
 };
 
 // Get user's fight history
@@ -470,13 +611,104 @@ fightSchema.statics.getUserFights = function(userId, options = {}) {
         .sort({ 'details.scheduledDate': -1 });
 };
 
+// Query filter for the fights `viewerId` may see - private fights only for their own fighters
+const visibleTo = (viewerId) => (viewerId ?
+    { $or: [{ visibility: { $ne: 'private' } }, { 'fighters.user': viewerId }] } :
+    { visibility: { $ne: 'private' } });
+
+// Head-to-head scores between a fighter and each of `opponentIds` (completed fights only)
+// Returns a Map of opponent id -> { fights, wins, losses, draws, noContests } from the fighter's side
+// Private fights only count when `viewerId` fought in them
+fightSchema.statics.getSeriesScores = async function(userId, opponentIds, viewerId = null) {
+    const scores = new Map(opponentIds.map(id => [
+        id.toString(),
+        { fights: 0, wins: 0, losses: 0, draws: 0, noContests: 0 }
+    ]));
+    if (scores.size === 0) {
+        return scores;
+    }
+
+    const fights = await this.find({
+        status: 'completed',
+        $and: [
+            { 'fighters.user': userId },
+            { 'fighters.user': { $in: opponentIds } },
+            visibleTo(viewerId)
+        ]
+    }).select('fighters.user fighters.result');
+
+    const resultKeys = { win: 'wins', loss: 'losses', draw: 'draws', 'no-contest': 'noContests' };
+    for (const fight of fights) {
+        const own = fight.fighters.find(f => f.user.toString() === userId.toString());
+        const opponent = fight.fighters.find(f => f !== own);
+        const score = scores.get(opponent.user.toString());
+        score.fights++;
+        if (resultKeys[own.result]) {
+            score[resultKeys[own.result]]++;
+        }
+    }
+
+    return scores;
+};
+
+// Every fight in the rematch chain of `fight`, first fight first
+// Follows rematchOf back to the original fight, then the rematches that followed it
+// (cancelled rematches are skipped going forward). Private fights are left out
+// unless `viewerId` fought in them
+fightSchema.statics.getRematchChain = async function(fight, viewerId = null, maxLength = 20) {
+    const fields = 'rematchOf status visibility fighters.user details.scheduledDate details.actualDate outcome.winner outcome.method outcome.round';
+    const isVisible = (entry) => entry.visibility !== 'private' ||
+        Boolean(viewerId) && entry.fighters.some(f => f.user.toString() === viewerId.toString());
+
+    const earlier = [];
+    let previousId = fight.rematchOf?._id ?? fight.rematchOf;
+    while (previousId && earlier.length < maxLength) {
+        const previous = await this.findById(previousId).select(fields);
+        if (!previous) break;
+        earlier.unshift(previous);
+        previousId = previous.rematchOf;
+    }
+
+    const later = [];
+    let current = fight._id;
+    while (later.length < maxLength) {
+        const next = await this.findOne({ rematchOf: current, status: { $ne: 'cancelled' } })
+            .select(fields)
+            .sort({ createdAt: 1 });
+        if (!next) break;
+        later.push(next);
+        current = next._id;
+    }
+
+    if (earlier.length === 0 && later.length === 0) {
+        return [];
+    }
+
+    const self = await this.findById(fight._id).select(fields);
+    const chain = [...earlier, self, ...later].filter(isVisible);
+    if (chain.length < 2) {
+        return [];
+    }
+
+    return chain.map((entry, index) => ({
+        fightNumber: index + 1,
+        _id: entry._id,
+        status: entry.status,
+        scheduledDate: entry.details.scheduledDate,
+        actualDate: entry.details.actualDate,
+        winner: entry.outcome.winner,
+        method: entry.outcome.method,
+        round: entry.outcome.round
+    }));
+};
+
 // Get upcoming fights
 fightSchema.statics.getUpcomingFights = function(limit = 10) {
     return this.find({
         status: 'scheduled',
         'details.scheduledDate': { $gte: new Date() }
     })
-    .populate('fighters.user', 'username profilePicture record location')
+    .populate('fighters.user', 'username profilePicture record location.city location.state location.country')
     .sort({ 'details.scheduledDate': 1 })
     .limit(limit);
 };
@@ -486,7 +718,7 @@ fightSchema.statics.getRecentResults = function(limit = 10) {
     return this.find({
         status: 'completed'
     })
-    .populate('fighters.user', 'username profilePicture record location')
+    .populate('fighters.user', 'username profilePicture record location.city location.state location.country')
     .populate('outcome.winner', 'username')
     .sort({ 'details.actualDate': -1 })
     .limit(limit);
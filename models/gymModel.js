@@ -0,0 +1,171 @@
+// models/gymModel.js - Gyms / teams that fighters train with
+import mongoose from "mongoose";
+
+/**
+ * Gym Schema - A gym or fight team
+ *
+ * MEMBERSHIP:
+ * 1. A fighter asks to join (member status: "pending")
+ * 2. A coach approves the request (status: "active") and the fighter's
+ *    profile `gym` is set - a fighter belongs to one gym at a time
+ * 3. Members can leave at any time; coaches can decline or remove members
+ *
+ * Whoever creates the gym becomes its owner and first coach.
+ * Coaches do not need to be fighters. Other coaches are invited by a coach
+ * and only join the coaching staff once they accept.
+ */
+const gymSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, "Gym name is required"],
+        trim: true,
+        maxlength: [100, "Gym name cannot exceed 100 characters"]
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Description cannot exceed 1000 characters"]
+    },
+    location: {
+        city: { type: String, trim: true },
+        state: { type: String, trim: true },
+        country: { type: String, trim: true },
+        // GeoJSON point set by services/geocoder.js
+        point: {
+            type: { type: String, enum: ["Point"] },
+            coordinates: { type: [Number], default: undefined } // [lng, lat]
+        }
+    },
+    website: { type: String, trim: true },
+
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    coaches: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    coachInvites: [{
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        invitedAt: { type: Date, default: Date.now }
+    }],
+    members: [{
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        status: { type: String, enum: ["pending", "active"], default: "pending" },
+        requestedAt: { type: Date, default: Date.now },
+        joinedAt: { type: Date },
+        approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+    }],
+
+    // Challenges between two members need explicit confirmation from the challenged fighter
+    requireTeammateConfirmation: { type: Boolean, default: true }
+}, {
+    timestamps: true
+});
+
+// ==================== INDEXES ====================
+
+// Case-insensitive unique names
+gymSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+gymSchema.index({ 'members.user': 1 });
+gymSchema.index({ 'location.point': '2dsphere' });
+
+// ==================== VIRTUAL FIELDS ====================
+
+gymSchema.virtual('activeMemberIds').get(function() {
+    return this.members
+        .filter(member => member.status === 'active')
+        .map(member => member.user._id ?? member.user);
+});
+
+// ==================== INSTANCE METHODS ====================
+
+const sameId = (a, b) => (a?._id ?? a)?.toString() === (b?._id ?? b)?.toString();
+
+// Whether a user coaches this gym
+gymSchema.methods.isCoach = function(userId) {
+    return this.coaches.some(coach => sameId(coach, userId));
+};
+
+// Membership entry of a user (undefined when they are not a member or applicant)
+gymSchema.methods.memberOf = function(userId) {
+    return this.members.find(member => sameId(member.user, userId));
+};
+
+// Open coaching invitation of a user (undefined when they have none)
+gymSchema.methods.coachInviteOf = function(userId) {
+    return this.coachInvites.find(invite => sameId(invite.user, userId));
+};
+
+// Replace the open coaching invitations (invitations that stay keep their date)
+gymSchema.methods.setCoachInvites = function(userIds, invitedBy) {
+    this.coachInvites = userIds.map(userId =>
+        this.coachInviteOf(userId)?.toObject() ?? { user: userId, invitedBy, invitedAt: new Date() }
+    );
+};
+
+// Accept a coaching invitation
+gymSchema.methods.acceptCoachInvite = function(userId) {
+    if (!this.coachInviteOf(userId)) {
+        throw new Error('You have not been invited to coach this gym');
+    }
+
+    this.coachInvites = this.coachInvites.filter(invite => !sameId(invite.user, userId));
+    if (!this.isCoach(userId)) {
+        this.coaches.push(userId);
+    }
+    return this.save();
+};
+
+// Decline a coaching invitation
+gymSchema.methods.declineCoachInvite = function(userId) {
+    if (!this.coachInviteOf(userId)) {
+        throw new Error('You have not been invited to coach this gym');
+    }
+
+    this.coachInvites = this.coachInvites.filter(invite => !sameId(invite.user, userId));
+    return this.save();
+};
+
+// Ask to join
+gymSchema.methods.requestToJoin = function(userId) {
+    const existing = this.memberOf(userId);
+    if (existing) {
+        throw new Error(existing.status === 'active' ?
+            'You are already a member of this gym' :
+            'You have already asked to join this gym');
+    }
+
+    this.members.push({ user: userId, status: 'pending' });
+    return this.save();
+};
+
+// Approve a pending request
+gymSchema.methods.approve = function(userId, approvedBy) {
+    const member = this.memberOf(userId);
+    if (!member || member.status !== 'pending') {
+        throw new Error('There is no pending request from this fighter');
+    }
+
+    member.status = 'active';
+    member.joinedAt = new Date();
+    member.approvedBy = approvedBy;
+    return this.save();
+};
+
+// Remove a member or pending request
+gymSchema.methods.removeMember = function(userId) {
+    if (!this.memberOf(userId)) {
+        throw new Error('This fighter is not a member of this gym');
+    }
+
+    this.members = this.members.filter(member => !sameId(member.user, userId));
+    return this.save();
+};
+
+// ==================== EXPORT ====================
+
+const Gym = mongoose.model("Gym", gymSchema);
+export default Gym;
@@ -0,0 +1,53 @@
+// models/jobLockModel.js - Leases that keep background jobs to one server at a time
+import mongoose from "mongoose";
+
+/**
+ * JobLock Schema - One document per job name while some server holds the lease
+ * Leases expire on their own, so a server that dies mid-run never blocks the job for good.
+ */
+const jobLockSchema = new mongoose.Schema({
+    _id: { type: String }, // Job name
+    owner: {
+        type: String,
+        required: true
+    },
+    lockedUntil: {
+        type: Date,
+        required: true
+    }
+}, {
+    versionKey: false
+});
+
+// ==================== STATIC METHODS ====================
+
+// Take the lease for `ttlMs` - returns an owner token, or null while another run holds it
+jobLockSchema.statics.acquire = async function(name, ttlMs) {
+    const now = new Date();
+    const owner = new mongoose.Types.ObjectId().toString();
+
+    try {
+        await this.findOneAndUpdate(
+            { _id: name, lockedUntil: { $lte: now } },
+            { $set: { owner, lockedUntil: new Date(now.getTime() + ttlMs) } },
+            { upsert: true }
+        );
+        return owner;
+    } catch (error) {
+        // The upsert collides with the live lease of another run
+        if (error.code === 11000) {
+            return null;
+        }
+        throw error;
+    }
+};
+
+// Give the lease back (only when `owner` still holds it)
+jobLockSchema.statics.release = function(name, owner) {
+    return this.deleteOne({ _id: name, owner });
+};
+
+// ==================== EXPORT ====================
+
+const JobLock = mongoose.model("JobLock", jobLockSchema);
+export default JobLock;
@@ -0,0 +1,64 @@
+// models/loginEventModel.js - Sign-in history per account
+import mongoose from "mongoose";
+
+/**
+ * LoginEvent Schema - One document per sign-in attempt on an existing account
+ *
+ * Used to show users where their account was accessed from and to flag
+ * sign-ins from a device/network the account has not used before.
+ */
+const loginEventSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    success: {
+        type: Boolean,
+        required: true
+    },
+    failureReason: {
+        type: String,
+        enum: ["invalid-password", "invalid-2fa", "throttled", "locked", null],
+        default: null
+    },
+    ip: { type: String, trim: true },
+    userAgent: { type: String, trim: true, maxlength: 500 },
+
+    // Successful sign-in from an IP + user agent not seen in recent history
+    suspicious: { type: Boolean, default: false },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// ==================== INDEXES ====================
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+
+// Keep history for 180 days
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+// ==================== STATIC METHODS ====================
+
+// Check whether this IP + user agent pair appears in the user's recent successful sign-ins.
+// Returns null when there is no history yet (first sign-in is never suspicious).
+loginEventSchema.statics.isKnownDevice = async function(userId, ip, userAgent, historySize = 20) {
+    const recent = await this.find({ user: userId, success: true })
+        .sort({ createdAt: -1 })
+        .limit(historySize)
+        .select('ip userAgent');
+
+    if (recent.length === 0) {
+        return null;
+    }
+
+    return recent.some(event => event.ip === ip && event.userAgent === userAgent);
+};
+
+// ==================== EXPORT ====================
+
+const LoginEvent = mongoose.model("LoginEvent", loginEventSchema);
+export default LoginEvent;
@@ -0,0 +1,70 @@
+// models/rankingModel.js - Ranking snapshots per division
+import mongoose from "mongoose";
+
+/**
+ * Ranking Schema - One document per computed ranking of a division
+ *
+ * A new snapshot is stored only when the order of the ranking changes, so
+ * the latest snapshot's movement always compares against the previous
+ * different ranking ("up 3", "new", ...). Built by services/rankings.js.
+ */
+const rankingEntrySchema = new mongoose.Schema({
+    rank: { type: Number, required: true, min: 1 },
+    fighter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    score: { type: Number, required: true }, // Verified rating adjusted for activity
+    rating: { type: Number, required: true }, // Rating from verified fights only
+    verifiedFights: { type: Number, required: true },
+    lastFightAt: { type: Date },
+
+    // Compared with the previous snapshot of the same division
+    previousRank: { type: Number, default: null }, // null = newly ranked
+    movement: { type: Number, default: 0 } // Positive = moved up
+}, { _id: false });
+
+const rankingSchema = new mongoose.Schema({
+    // A weight class name, or "p4p" for pound-for-pound
+    division: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    entries: [rankingEntrySchema],
+
+    // What caused the recompute
+    trigger: {
+        reason: {
+            type: String,
+            enum: ["result-recorded", "fight-verified", "on-demand", "manual"],
+            default: "manual"
+        },
+        fight: { type: mongoose.Schema.Types.ObjectId, ref: "Fight", default: null }
+    },
+
+    computedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// ==================== INDEXES ====================
+
+rankingSchema.index({ division: 1, computedAt: -1 });
+
+// ==================== STATIC METHODS ====================
+
+// Most recent snapshot of a division
+rankingSchema.statics.latest = function(division) {
+    return this.findOne({ division }).sort({ computedAt: -1 });
+};
+
+// ==================== EXPORT ====================
+
+const Ranking = mongoose.model("Ranking", rankingSchema);
+export default Ranking;
@@ -0,0 +1,30 @@
+// models/rateLimitModel.js - Hit counters for the MongoDB rate-limit store
+import mongoose from "mongoose";
+
+/**
+ * RateLimitHit Schema - One document per rate-limit key and window
+ * Shared by every server instance, so limits survive restarts and scale out.
+ */
+const rateLimitHitSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    hits: {
+        type: Number,
+        default: 0
+    },
+    resetAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    versionKey: false
+});
+
+// Let MongoDB remove counters once their window has passed
+rateLimitHitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitHit = mongoose.model("RateLimitHit", rateLimitHitSchema);
+export default RateLimitHit;
@@ -0,0 +1,57 @@
+// models/ratingHistoryModel.js - Per-fight rating changes
+import mongoose from "mongoose";
+
+/**
+ * RatingHistory Schema - One document per fighter per completed fight
+ *
+ * Written by services/rating.js when a fight result is recorded.
+ * The unique (user, fight) index makes rating updates idempotent:
+ * a fight can only ever move a fighter's rating once.
+ */
+const ratingHistorySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    fight: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Fight",
+        required: true
+    },
+    opponent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    result: {
+        type: String,
+        enum: ["win", "loss", "draw", "no-contest"],
+        required: true
+    },
+
+    ratingBefore: { type: Number, required: true },
+    ratingAfter: { type: Number, required: true },
+    change: { type: Number, required: true },
+    opponentRatingBefore: { type: Number, required: true },
+
+    // Inputs used for the calculation (null for no-contests, which are not rated)
+    expectedScore: { type: Number, default: null },
+    kFactor: { type: Number, default: null },
+    provisional: { type: Boolean, default: false },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// ==================== INDEXES ====================
+
+ratingHistorySchema.index({ user: 1, fight: 1 }, { unique: true });
+ratingHistorySchema.index({ user: 1, createdAt: -1 });
+
+// ==================== EXPORT ====================
+
+const RatingHistory = mongoose.model("RatingHistory", ratingHistorySchema);
+export default RatingHistory;
@@ -0,0 +1,203 @@
+// models/sessionModel.js - Server-side sessions backing refresh tokens
+import mongoose from "mongoose";
+import { generateToken, hashToken } from "../utils/tokens.js";
+
+/**
+ * Session Schema - One document per signed-in device
+ *
+ * WORKFLOW:
+ * 1. signin creates a session and hands out an access token (JWT carrying the
+ *    session id) plus an opaque refresh token ("<sessionId>.<secret>")
+ * 2. verifyToken rejects access tokens whose session is revoked or expired
+ * 3. /refresh rotates the refresh token; presenting an already-rotated token
+ *    is treated as theft and revokes the session
+ * 4. signout / signout-all / admin revocation set revokedAt
+ */
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+
+    // Only hashes are stored - never the refresh token itself
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    previousTokenHash: {
+        type: String,
+        select: false
+    },
+
+    // Client metadata (shown to the user, helps spot unknown devices)
+    userAgent: { type: String, trim: true, maxlength: 500 },
+    ip: { type: String, trim: true },
+    lastUsedAt: { type: Date, default: Date.now },
+
+    // Lifetime and revocation
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ["signout", "signout-all", "refresh-token-reuse", "password-change", "admin", null],
+        default: null
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// ==================== INDEXES ====================
+
+// Let MongoDB purge sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// ==================== VIRTUAL FIELDS ====================
+
+// Virtual for checking if the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// ==================== HELPERS ====================
+
+const refreshTokenTtlMs = () => {
+    const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+    return days * 24 * 60 * 60 * 1000;
+};
+
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+/**
+ * Split a refresh token into its session id and secret
+ * Returns null for anything malformed
+ */
+const parseRefreshToken = (refreshToken) => {
+    const [sessionId, secret] = String(refreshToken).split('.');
+    if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+        return null;
+    }
+    return { sessionId, secret };
+};
+
+// ==================== INSTANCE METHODS ====================
+
+// Method to revoke this session
+sessionSchema.methods.revoke = function(reason = 'signout') {
+    if (!this.revokedAt) {
+        this.revokedAt = new Date();
+        this.revokedReason = reason;
+    }
+    return this.save();
+};
+
+// ==================== STATIC METHODS ====================
+
+// Create a session for a user and return it with its refresh token
+sessionSchema.statics.createForUser = async function(userId, meta = {}) {
+    const secret = generateToken(48);
+    const session = new this({
+        user: userId,
+        userAgent: meta.userAgent?.slice(0, 500),
+        ip: meta.ip,
+        expiresAt: new Date(Date.now() + refreshTokenTtlMs())
+    });
+    session.refreshTokenHash = hashToken(secret);
+    await session.save();
+
+    return {
+        session,
+        refreshToken: buildRefreshToken(session._id, secret)
+    };
+};
+
+// Rotate a refresh token - returns the session and a new refresh token
+sessionSchema.statics.rotate = async function(refreshToken, meta = {}) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        throw Object.assign(new Error('Invalid refresh token'), { code: 'INVALID_REFRESH_TOKEN' });
+    }
+
+    const presentedHash = hashToken(parsed.secret);
+    const newSecret = generateToken(48);
+
+    // Atomic swap: only succeeds if the presented token is the current one
+    const session = await this.findOneAndUpdate(
+        {
+            _id: parsed.sessionId,
+            refreshTokenHash: presentedHash,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        {
+            $set: {
+                refreshTokenHash: hashToken(newSecret),
+                previousTokenHash: presentedHash,
+                lastUsedAt: new Date(),
+                ...(meta.ip && { ip: meta.ip }),
+                ...(meta.userAgent && { userAgent: meta.userAgent.slice(0, 500) })
+            }
+        },
+        { new: true }
+    );
+
+    if (session) {
+        return {
+            session,
+            refreshToken: buildRefreshToken(session._id, newSecret)
+        };
+    }
+
+    // A token that was already rotated away is being replayed - assume it was stolen
+    const replayed = await this.findOne({
+        _id: parsed.sessionId,
+        previousTokenHash: presentedHash,
+        revokedAt: null
+    });
+
+    if (replayed) {
+        await replayed.revoke('refresh-token-reuse');
+        throw Object.assign(new Error('Refresh token reuse detected - session revoked'), { code: 'REFRESH_TOKEN_REUSED' });
+    }
+
+    throw Object.assign(new Error('Invalid or expired refresh token'), { code: 'INVALID_REFRESH_TOKEN' });
+};
+
+// Revoke every active session of a user (optionally keeping one)
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'signout-all', exceptSessionId = null) {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+        query._id = { $ne: exceptSessionId };
+    }
+    return this.updateMany(query, {
+        $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+};
+
+// Find an active session by id (used by verifyToken on every request)
+sessionSchema.statics.findActive = function(sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+        return null;
+    }
+    return this.findOne({
+        _id: sessionId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+// ==================== EXPORT ====================
+
+const Session = mongoose.model("Session", sessionSchema);
+export default Session;
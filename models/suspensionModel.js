@@ -0,0 +1,109 @@
+// models/suspensionModel.js - Medical and administrative fighter suspensions
+import mongoose from "mongoose";
+
+/**
+ * Suspension Schema - A period in which a fighter may not be booked
+ *
+ * Automatic suspensions are created by services/suspensions.js when a fight
+ * ends by KO / TKO (one per losing fighter per fight, enforced by a unique
+ * index). Manual suspensions are issued by admins.
+ * A suspension is active from startsAt until `until`, unless it is lifted early.
+ */
+const suspensionSchema = new mongoose.Schema({
+    fighter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ["automatic", "manual"],
+        required: true
+    },
+    reason: {
+        type: String,
+        trim: true,
+        required: true,
+        maxlength: [500, "Reason cannot exceed 500 characters"]
+    },
+
+    // Fight that caused an automatic suspension (optional for manual ones)
+    fight: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Fight",
+        default: null
+    },
+    method: { type: String, enum: ["KO", "TKO", null], default: null },
+    round: { type: Number, default: null },
+
+    startsAt: {
+        type: Date,
+        default: Date.now
+    },
+    until: {
+        type: Date,
+        required: true,
+        validate: {
+            validator: function(date) {
+                return date > this.startsAt;
+            },
+            message: "Suspension must end after it starts"
+        }
+    },
+
+    issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null for automatic
+    lifted: {
+        at: { type: Date },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        reason: { type: String, trim: true, maxlength: 500 }
+    }
+}, {
+    timestamps: true
+});
+
+// ==================== INDEXES ====================
+
+suspensionSchema.index({ fighter: 1, until: -1 });
+suspensionSchema.index(
+    { fighter: 1, fight: 1 },
+    { unique: true, partialFilterExpression: { type: "automatic" } }
+);
+
+// ==================== VIRTUAL FIELDS ====================
+
+suspensionSchema.virtual('isActive').get(function() {
+    const now = new Date();
+    return !this.lifted?.at && this.startsAt <= now && this.until > now;
+});
+
+suspensionSchema.set('toJSON', { virtuals: true });
+
+// ==================== INSTANCE METHODS ====================
+
+// Lift the suspension before it runs out
+suspensionSchema.methods.lift = function(liftedBy, reason = '') {
+    if (!this.isActive) {
+        throw new Error('Only active suspensions can be lifted');
+    }
+
+    this.lifted = { at: new Date(), by: liftedBy, reason };
+    return this.save();
+};
+
+// ==================== STATIC METHODS ====================
+
+// Query for the suspensions currently in force for one or more fighters
+suspensionSchema.statics.activeFor = function(fighterIds) {
+    const now = new Date();
+    return this.find({
+        fighter: { $in: [].concat(fighterIds) },
+        startsAt: { $lte: now },
+        until: { $gt: now },
+        'lifted.at': { $exists: false }
+    }).sort({ until: -1 });
+};
+
+// ==================== EXPORT ====================
+
+const Suspension = mongoose.model("Suspension", suspensionSchema);
+export default Suspension;
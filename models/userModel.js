@@ -1,14 +1,50 @@
 import mongoose from "mongoose";
+import { weightClassFor } from "../config/weightClasses.js";
+
+// Roles from least to most privileged (see middleware/authorize.js for what each may do)
+export const USER_ROLES = ["fan", "fighter", "moderator", "admin"];
+
+// Starting skill rating (see services/rating.js)
+export const DEFAULT_RATING = 1500;
+
+// Shown in place of accounts that have been deleted (anonymized)
+export const DELETED_USER_NAME = "Deleted Fighter";
+const DELETED_USERNAME_PREFIX = "deleted_"; // Signup only allows alphanumeric usernames, so this cannot collide
 
 const userSchema = new mongoose.Schema({
     username: { type: String, required: true, unique: true, trim: true },
     email: { type: String, required: true, unique: true, trim: true },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date },
     password: { type: String, required: true },
+    passwordChangedAt: { type: Date },
+    // Per-account brute-force protection (see services/loginProtection.js)
+    // Never selected by default - it would show attackers how close an account is to a lockout
+    loginSecurity: {
+        type: new mongoose.Schema({
+            failedAttempts: { type: Number, default: 0 },
+            lastFailedAt: { type: Date },
+            lockedUntil: { type: Date }
+        }, { _id: false }),
+        select: false,
+        default: () => ({})
+    },
+    // TOTP two-factor authentication (secrets never leave the server)
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        enabledAt: { type: Date },
+        secret: { type: String, select: false },
+        pendingSecret: { type: String, select: false }, // Set during enrollment until the first code is confirmed
+        recoveryCodes: { type: [String], select: false }, // SHA-256 hashes of unused recovery codes
+        lastUsedStep: { type: Number, select: false } // Blocks replay of an already used code
+    },
     role: { 
         type: String, 
-        enum: ["fan", "fighter"], 
+        enum: USER_ROLES, 
         default: "fan" 
     },
+    // Set when a moderator or admin bans the account - it can neither sign in nor use existing sessions
+    disabledAt: { type: Date, default: null },
     favoriteFighters: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // Fans can follow fighters
     bets: [
         {
@@ -29,17 +65,49 @@ const userSchema = new mongoose.Schema({
     profilePicture: { type: String, required: false }, // Image URL
     age: { type: Number, min: 18 }, // Fighters must be 18+
     weight: { type: Number },
+    // Derived from weight (see config/weightClasses.js) - never set directly
+    weightClass: { type: String, default: null },
     height: { type: Number },
     record: {
         wins: { type: Number, default: 0, min: 0 },
         losses: { type: Number, default: 0, min: 0 },
         draws: { type: Number, default: 0, min: 0 },
     },
+    // Elo skill rating, updated when a fight result is recorded (see services/rating.js)
+    rating: {
+        value: { type: Number, default: DEFAULT_RATING },
+        fights: { type: Number, default: 0, min: 0 }, // Rated fights - no-contests excluded
+        peak: { type: Number, default: DEFAULT_RATING },
+        updatedAt: { type: Date }
+    },
     challenges: [{ type: mongoose.Schema.Types.ObjectId, ref: "Challenge" }],
+    // Gym the fighter trains with - set when a coach approves their request (see models/gymModel.js)
+    gym: { type: mongoose.Schema.Types.ObjectId, ref: "Gym", default: null },
+    // Fighter can switch this off to stop receiving new challenges
+    openToChallenges: { type: Boolean, default: true },
+    // Date of the fighter's most recent completed fight (set when a result is recorded)
+    lastFightAt: { type: Date },
+    // Days the fighter cannot fight - whole UTC days, checked by services/scheduling.js.
+    // Private: other users only ever see when a fighter is unavailable, never why.
+    availability: {
+        blackouts: {
+            type: [{
+                start: { type: Date, required: true },
+                end: { type: Date, required: true },
+                reason: { type: String, trim: true, maxlength: 200 }
+            }],
+            select: false
+        }
+    },
     location: {
         city: { type: String, trim: true },
         state: { type: String, trim: true },
         country: { type: String, trim: true },
+        // GeoJSON point for distance search, set from the fields above by services/geocoder.js
+        point: {
+            type: { type: String, enum: ["Point"] },
+            coordinates: { type: [Number], default: undefined } // [lng, lat]
+        }
     },
     styles: {
         type: [String], // List of fighting styles
@@ -56,9 +124,115 @@ const userSchema = new mongoose.Schema({
         twitter: { type: String, trim: true },
         instagram: { type: String, trim: true },
         youtube: { type: String, trim: true },
+    },
+
+    // Set when the account is deleted - the document stays so fight history keeps a valid ref
+    deletedAt: { type: Date }
+});
+
+// ==================== INDEXES ====================
+
+userSchema.index({ isFighter: 1, 'rating.value': -1 });
+userSchema.index({ isFighter: 1, weightClass: 1 });
+userSchema.index({ isFighter: 1, gym: 1 });
+userSchema.index({ 'location.point': '2dsphere' });
+
+// Full-text fighter search (see services/fighterSearch.js) - MongoDB allows one text index per collection
+userSchema.index(
+    {
+        username: 'text',
+        styles: 'text',
+        customStyle: 'text',
+        'location.city': 'text',
+        'location.state': 'text',
+        'location.country': 'text'
+    },
+    {
+        name: 'fighter_text_search',
+        weights: {
+            username: 10,
+            customStyle: 5,
+            styles: 5,
+            'location.city': 3,
+            'location.state': 2,
+            'location.country': 1
+        }
     }
+);
+
+// ==================== MIDDLEWARE ====================
+
+// Keep weightClass in step with weight
+userSchema.pre('save', function(next) {
+    if (this.isModified('weight') || this.isNew) {
+        this.weightClass = weightClassFor(this.weight);
+    }
+    next();
+});
+
+// Same for findByIdAndUpdate / findOneAndUpdate (e.g. updateFighterProfile)
+userSchema.pre('findOneAndUpdate', function(next) {
+    const update = this.getUpdate() || {};
+    const set = update.$set || {};
+
+    if ('weight' in update || 'weight' in set) {
+        const weight = 'weight' in set ? set.weight : update.weight;
+        this.set('weightClass', weightClassFor(weight));
+    } else if (update.$unset && 'weight' in update.$unset) {
+        this.set('weightClass', null);
+    }
+    next();
 });
 
+// ==================== SERIALIZATION ====================
+
+// Deleted accounts serialize as a placeholder everywhere they are populated
+// (fight history, challenges, ...), whatever fields the query selected
+const replaceDeletedUser = (doc, ret, options) => {
+    if (ret.deletedAt || ret.username?.startsWith(DELETED_USERNAME_PREFIX)) {
+        return { _id: ret._id, username: DELETED_USER_NAME, isDeleted: true };
+    }
+    // Exact coordinates could lead to a fighter's home - only the data export includes them
+    if (ret.location && !options.includeLocationPoint) {
+        delete ret.location.point;
+    }
+    return ret;
+};
+
+userSchema.set('toJSON', { transform: replaceDeletedUser });
+
+// ==================== INSTANCE METHODS ====================
+
+// Strip all personal data from the account while keeping the document (and its _id)
+userSchema.methods.anonymize = function(unusablePasswordHash) {
+    const id = this._id.toString();
+
+    this.username = `${DELETED_USERNAME_PREFIX}${id}`;
+    this.email = `${DELETED_USERNAME_PREFIX}${id}@deleted.invalid`;
+    this.password = unusablePasswordHash;
+    this.role = "fan";
+    this.isFighter = false;
+    this.emailVerified = false;
+    this.emailVerifiedAt = undefined;
+    this.twoFactor = { enabled: false };
+    this.favoriteFighters = [];
+    this.bets = [];
+    this.comments = [];
+    this.profilePicture = undefined;
+    this.age = undefined;
+    this.weight = undefined;
+    this.height = undefined;
+    this.location = undefined;
+    this.availability = { blackouts: [] };
+    this.gym = null;
+    this.styles = [];
+    this.customStyle = undefined;
+    this.socialLinks = undefined;
+    this.deletedAt = new Date();
+
+    return this.save();
+};
+
 // Create the User model
 const User = mongoose.model("User", userSchema);
 export default User;
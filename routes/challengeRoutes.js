@@ -2,24 +2,59 @@
 import { Router } from "express";
 import {
     createChallenge,
+    createOpenChallenge,
+    getOpenChallenges,
+    claimOpenChallenge,
     acceptChallenge,
     declineChallenge,
     cancelChallenge,
     updateChallengeDetails,
+    acceptTerms,
     addMessageToChallenge,
+    getChallengeMessages,
+    editChallengeMessage,
+    deleteChallengeMessage,
+    markMessagesRead,
     getMyChallenges,
     getPendingChallenges,
     getChallengeById
 } from "../controllers/challengeController.js";
 import verifyToken from "../middleware/verifyToken.js";
+import { authorize } from "../middleware/authorize.js";
 import { validateInput, validateObjectId } from "../middleware/validation.js";
-import { createLimiter } from "../middleware/security.js";
+import { createRateLimiter, challengeCreateBudget } from "../middleware/security.js";
 
 const router = Router();
 
 /**
- * ALL CHALLENGE ROUTES REQUIRE AUTHENTICATION
- * Apply JWT verification to all routes
+ * RATE LIMIT BUDGETS
+ * Counted per user (all routes below run after verifyToken)
+ * challengeCreateBudget lives in middleware/security.js - rematches share it
+ */
+const challengeMessageBudget = createRateLimiter({
+    name: 'challenge-messages',
+    windowMs: 5 * 60 * 1000, // 5 minutes
+    max: 30, // 30 messages per 5 minutes
+    message: "Too many messages, please slow down.",
+    code: "MESSAGE_RATE_LIMIT_EXCEEDED"
+});
+
+/**
+ * PUBLIC ROUTES
+ */
+
+// @route   GET /api/challenges/open
+// @desc    Browse open challenges waiting for an opponent
+// @access  Public
+// @query   { weightClass?, style?, city?, country?, page?, limit? }
+router.get("/open",
+    validateInput('openChallengeQuery', 'query'), // Validate query parameters
+    getOpenChallenges                       // Handle browsing open challenges
+);
+
+/**
+ * ALL OTHER CHALLENGE ROUTES REQUIRE AUTHENTICATION
+ * Apply JWT verification to all routes below
  */
 router.use(verifyToken);
 
@@ -32,16 +67,29 @@ router.use(verifyToken);
 // @access  Private (Fighters only)
 // @body    { challengedId, fightDetails?, message }
 router.post("/",
-    createLimiter,                          // Rate limit challenge creation to prevent spam
+    authorize('challenge:create'),          // Fighters only
+    challengeCreateBudget,                  // Rate limit challenge creation to prevent spam
     validateInput('createChallenge'),       // Validate challenge creation data
     createChallenge                         // Handle challenge creation
 );
 
+// @route   POST /api/challenges/open
+// @desc    Post an open challenge any eligible fighter can claim
+// @access  Private (Fighters only)
+// @body    { fightDetails?, eligibility?: { weightClass?, minRating?, maxRating?, location?, radiusMiles?, styles? }, message, expiresAt? }
+router.post("/open",
+    authorize('challenge:create'),          // Fighters only
+    challengeCreateBudget,                  // Shares the challenge creation budget
+    validateInput('createOpenChallenge'),   // Validate open challenge data
+    createOpenChallenge                     // Handle posting the open challenge
+);
+
 // @route   GET /api/challenges/my
 // @desc    Get all challenges for the current user (sent and received)
 // @access  Private
 // @query   status?, role?, page?, limit?, sort?
 router.get("/my",
+    authorize('challenge:read'),            // Any authenticated user
     validateInput('challengeQuery', 'query'), // Validate query parameters
     getMyChallenges                         // Handle getting user's challenges
 );
@@ -50,6 +98,7 @@ router.get("/my",
 // @desc    Get pending challenges that need user's response
 // @access  Private
 router.get("/pending",
+    authorize('challenge:read'),            // Any authenticated user
     getPendingChallenges                    // Handle getting pending challenges (no validation needed)
 );
 
@@ -57,6 +106,7 @@ router.get("/pending",
 // @desc    Get a specific challenge by ID
 // @access  Private (Participants only)
 router.get("/:id",
+    authorize('challenge:read'),            // Any authenticated user (participant check in controller)
     validateObjectId('id'),                 // Validate challenge ID format
     getChallengeById                        // Handle getting specific challenge
 );
@@ -65,11 +115,23 @@ router.get("/:id",
  * CHALLENGE RESPONSE ROUTES
  */
 
+// @route   POST /api/challenges/:id/claim
+// @desc    Claim an open challenge (first eligible fighter wins)
+// @access  Private (Eligible fighters)
+// @body    { responseMessage?, confirmTeammateChallenge? }
+router.post("/:id/claim",
+    authorize('challenge:create'),          // Fighters only
+    validateObjectId('id'),                 // Validate challenge ID format
+    validateInput('claimOpenChallenge'),    // Validate claim data
+    claimOpenChallenge                      // Handle claiming the challenge
+);
+
 // @route   PATCH /api/challenges/:id/accept
 // @desc    Accept a challenge
 // @access  Private (Challenged fighter only)
-// @body    { responseMessage? }
+// @body    { responseMessage?, confirmTeammateChallenge? }
 router.patch("/:id/accept",
+    authorize('challenge:participate'),     // Fighters, moderators and admins
     validateObjectId('id'),                 // Validate challenge ID format
     validateInput('acceptChallenge'),       // Validate accept challenge data
     acceptChallenge                         // Handle accepting challenge
@@ -80,6 +142,7 @@ router.patch("/:id/accept",
 // @access  Private (Challenged fighter only)
 // @body    { responseMessage? }
 router.patch("/:id/decline",
+    authorize('challenge:participate'),     // Fighters, moderators and admins
     validateObjectId('id'),                 // Validate challenge ID format
     validateInput('declineChallenge'),      // Validate decline challenge data
     declineChallenge                        // Handle declining challenge
@@ -90,6 +153,7 @@ router.patch("/:id/decline",
 // @access  Private (Challenger only)
 // @body    { reason? }
 router.delete("/:id",
+    authorize('challenge:participate'),     // Fighters, moderators and admins
     validateObjectId('id'),                 // Validate challenge ID format
     validateInput('cancelChallenge'),       // Validate cancellation data
     cancelChallenge                         // Handle cancelling challenge
@@ -99,11 +163,34 @@ router.delete("/:id",
  * CHALLENGE INTERACTION ROUTES
  */
 
+// @route   POST /api/challenges/:id/terms
+// @desc    Counter-offer: propose a new version of the fight terms
+// @access  Private (Both participants)
+// @body    { fightDetails: { proposedDate?, location?, rules?, weightClass?, catchweightLimit?, stakes? }, note? }
+router.post("/:id/terms",
+    authorize('challenge:participate'),     // Fighters, moderators and admins
+    validateObjectId('id'),                 // Validate challenge ID format
+    validateInput('updateChallengeDetails'), // Validate the changed terms
+    updateChallengeDetails                  // Handle the counter-offer
+);
+
+// @route   POST /api/challenges/:id/terms/accept
+// @desc    Agree to the latest terms version
+// @access  Private (The participant who did not propose it)
+// @body    { version }
+router.post("/:id/terms/accept",
+    authorize('challenge:participate'),     // Fighters, moderators and admins
+    validateObjectId('id'),                 // Validate challenge ID format
+    validateInput('acceptTerms'),           // Validate the version number
+    acceptTerms                             // Handle agreeing to the terms
+);
+
 // @route   PATCH /api/challenges/:id/details
-// @desc    Update challenge fight details
+// @desc    Update challenge fight details (kept for older clients - same as POST /:id/terms)
 // @access  Private (Both participants)
-// @body    { fightDetails: { proposedDate?, location?, rules?, weightClass?, stakes? } }
+// @body    { fightDetails: { proposedDate?, location?, rules?, weightClass?, catchweightLimit?, stakes? }, note? }
 router.patch("/:id/details",
+    authorize('challenge:participate'),     // Fighters, moderators and admins
     validateObjectId('id'),                 // Validate challenge ID format
     validateInput('updateChallengeDetails'), // Validate fight details update
     updateChallengeDetails                  // Handle updating challenge details
@@ -114,12 +201,57 @@ router.patch("/:id/details",
 // @access  Private (Both participants)
 // @body    { message }
 router.post("/:id/messages",
-    createLimiter,                          // Rate limit message creation to prevent spam
+    authorize('challenge:participate'),     // Fighters, moderators and admins
+    challengeMessageBudget,                 // Rate limit message creation to prevent spam
     validateObjectId('id'),                 // Validate challenge ID format
     validateInput('addChallengeMessage'),   // Validate message data
     addMessageToChallenge                   // Handle adding message to challenge
 );
 
+// @route   GET /api/challenges/:id/messages
+// @desc    Get a page of the conversation, newest first
+// @access  Private (Both participants)
+// @query   { before?, limit? }
+router.get("/:id/messages",
+    authorize('challenge:read'),            // Any authenticated user (participant check in controller)
+    validateObjectId('id'),                 // Validate challenge ID format
+    validateInput('challengeMessagesQuery', 'query'), // Validate cursor and page size
+    getChallengeMessages                    // Handle getting the conversation page
+);
+
+// @route   POST /api/challenges/:id/messages/read
+// @desc    Mark the conversation as read
+// @access  Private (Both participants)
+// @body    { messageId? }
+router.post("/:id/messages/read",
+    authorize('challenge:read'),            // Any authenticated user (participant check in controller)
+    validateObjectId('id'),                 // Validate challenge ID format
+    validateInput('markMessagesRead'),      // Validate the optional message ID
+    markMessagesRead                        // Handle moving the last-read marker
+);
+
+// @route   PATCH /api/challenges/:id/messages/:messageId
+// @desc    Edit one of your messages (within the edit window)
+// @access  Private (Sender)
+// @body    { message }
+router.patch("/:id/messages/:messageId",
+    authorize('challenge:participate'),     // Fighters, moderators and admins
+    validateObjectId('id'),                 // Validate challenge ID format
+    validateObjectId('messageId'),          // Validate message ID format
+    validateInput('addChallengeMessage'),   // Same rules as a new message
+    editChallengeMessage                    // Handle editing the message
+);
+
+// @route   DELETE /api/challenges/:id/messages/:messageId
+// @desc    Delete one of your messages (within the edit window)
+// @access  Private (Sender)
+router.delete("/:id/messages/:messageId",
+    authorize('challenge:participate'),     // Fighters, moderators and admins
+    validateObjectId('id'),                 // Validate challenge ID format
+    validateObjectId('messageId'),          // Validate message ID format
+    deleteChallengeMessage                  // Handle deleting the message
+);
+
 /**
  * FUTURE ROUTES
  * These routes are ready for implementation when fight system is built
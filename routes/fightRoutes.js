@@ -8,6 +8,8 @@ import {
     cancelFight,
     postponeFight,
     addFightStats,
+    recordWeighIn,
+    requestRematch,
     getFightById,
     getUserFights,
     getUpcomingFights,
@@ -15,11 +17,24 @@ import {
     verifyFight
 } from "../controllers/fightController.js";
 import verifyToken from "../middleware/verifyToken.js";
+import { authorize } from "../middleware/authorize.js";
 import { validateInput, validateObjectId } from "../middleware/validation.js";
-import { createLimiter } from "../middleware/security.js";
+import { createRateLimiter, challengeCreateBudget } from "../middleware/security.js";
 
 const router = Router();
 
+/**
+ * RATE LIMIT BUDGETS
+ * Counted per user (applied after verifyToken)
+ */
+const fightCreateBudget = createRateLimiter({
+    name: 'fight-create',
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10, // 10 fights created per hour
+    message: "Too many fights created, please slow down.",
+    code: "CREATE_RATE_LIMIT_EXCEEDED"
+});
+
 /**
  * PUBLIC ROUTES
  * These routes are accessible without authentication
@@ -76,16 +91,30 @@ router.use(verifyToken);
 // @access  Private (Challenge participants or admin)
 // @body    { challengeId, fightDetails? }
 router.post("/from-challenge",
-    createLimiter,                                  // Rate limit fight creation
+    authorize('fight:create'),                      // Fighters, moderators and admins
+    fightCreateBudget,                              // Rate limit fight creation
     validateInput('createFightFromChallenge'),      // Validate fight creation data
     createFightFromChallenge                        // Handle fight creation
 );
 
+// @route   POST /api/fights/:id/rematch
+// @desc    Request a rematch of a completed fight (sends a prefilled challenge)
+// @access  Private (Losing fighter, or either fighter after a draw / no contest)
+// @body    { fightDetails?, message?, expiresAt? }
+router.post("/:id/rematch",
+    authorize('challenge:create'),                  // Fighters only - this sends a challenge
+    challengeCreateBudget,                          // Counts against the challenge creation budget
+    validateObjectId('id'),                         // Validate fight ID format
+    validateInput('requestRematch'),                // Validate rematch terms
+    requestRematch                                  // Handle the rematch request
+);
+
 // @route   PATCH /api/fights/:id/details
 // @desc    Update fight details (before fight happens)
 // @access  Private (Fight participants or admin)
 // @body    { details: { scheduledDate?, venue?, weightClass?, rules? } }
 router.patch("/:id/details",
+    authorize('fight:update'),                      // Fighters, moderators and admins
     validateObjectId('id'),                         // Validate fight ID format
     validateInput('updateFightDetails'),            // Validate fight details update
     updateFightDetails                              // Handle updating fight details
@@ -97,8 +126,9 @@ router.patch("/:id/details",
 
 // @route   PATCH /api/fights/:id/start
 // @desc    Start a fight (change status to in-progress)
-// @access  Private (Admin or referee)
+// @access  Private (Moderator or admin)
 router.patch("/:id/start",
+    authorize('fight:start'),                       // Moderators and admins
     validateObjectId('id'),                         // Validate fight ID format
     startFight                                      // Handle starting fight (no body validation)
 );
@@ -108,6 +138,7 @@ router.patch("/:id/start",
 // @access  Private (Admin or participants after fight)
 // @body    { winnerId?, method, details? }
 router.patch("/:id/result",
+    authorize('fight:recordResult'),                // Fighters, moderators and admins
     validateObjectId('id'),                         // Validate fight ID format
     validateInput('recordFightResult'),             // Validate result data
     recordFightResult                               // Handle recording result
@@ -118,6 +149,7 @@ router.patch("/:id/result",
 // @access  Private (Admin or both participants)
 // @body    { reason }
 router.patch("/:id/cancel",
+    authorize('fight:cancel'),                      // Fighters, moderators and admins
     validateObjectId('id'),                         // Validate fight ID format
     validateInput('cancelFight'),                   // Validate cancellation data
     cancelFight                                     // Handle cancelling fight
@@ -128,6 +160,7 @@ router.patch("/:id/cancel",
 // @access  Private (Admin or both participants)
 // @body    { newDate, reason? }
 router.patch("/:id/postpone",
+    authorize('fight:postpone'),                    // Fighters, moderators and admins
     validateObjectId('id'),                         // Validate fight ID format
     validateInput('postponeFight'),                 // Validate postpone data
     postponeFight                                   // Handle postponing fight
@@ -139,19 +172,32 @@ router.patch("/:id/postpone",
 
 // @route   PATCH /api/fights/:id/stats
 // @desc    Add fight statistics
-// @access  Private (Admin only)
+// @access  Private (Moderator or admin)
 // @body    { stats: [{ fighter, strikes?, takedowns?, submissions?, controlTime? }] }
 router.patch("/:id/stats",
+    authorize('fight:addStats'),                    // Moderators and admins
     validateObjectId('id'),                         // Validate fight ID format
     validateInput('addFightStats'),                 // Validate stats data
     addFightStats                                   // Handle adding fight stats
 );
 
+// @route   POST /api/fights/:id/weigh-in
+// @desc    Record an official weigh-in for one fighter (flags missed weight)
+// @access  Private (Moderator or admin)
+// @body    { fighterId, weight, official, weighedAt? }
+router.post("/:id/weigh-in",
+    authorize('fight:weighIn'),                     // Moderators and admins
+    validateObjectId('id'),                         // Validate fight ID format
+    validateInput('recordWeighIn'),                 // Validate weigh-in data
+    recordWeighIn                                   // Handle recording the weigh-in
+);
+
 // @route   PATCH /api/fights/:id/verify
 // @desc    Verify fight result (admin function)
 // @access  Private (Admin only)
 // @body    { notes? }
 router.patch("/:id/verify",
+    authorize('fight:verify'),                      // Admins only
     validateObjectId('id'),                         // Validate fight ID format
     validateInput('verifyFight'),                   // Validate verification data
     verifyFight                                     // Handle verifying fight
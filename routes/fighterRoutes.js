@@ -1,10 +1,29 @@
 // routes/fighterRoutes.js - Enhanced with proper validation and separation of concerns
 import { Router } from "express";
-import { getAllFighters } from "../controllers/userController.js";
-import { validateInput } from "../middleware/validation.js";
+import {
+    getAllFighters,
+    searchFighters,
+    getFighterRatingHistory,
+    getFighterAvailability
+} from "../controllers/userController.js";
+import { getFighterSuspension } from "../controllers/suspensionController.js";
+import { validateInput, validateObjectId } from "../middleware/validation.js";
+import { createRateLimiter } from "../middleware/security.js";
 
 const router = Router();
 
+/**
+ * RATE LIMIT BUDGETS
+ * These routes are public, so anonymous callers are counted per IP
+ */
+const fighterSearchBudget = createRateLimiter({
+    name: 'fighter-search',
+    windowMs: 60 * 1000, // 1 minute
+    max: 30, // 30 searches per minute
+    message: "Too many searches, please slow down.",
+    code: "SEARCH_RATE_LIMIT_EXCEEDED"
+});
+
 /**
  * PUBLIC FIGHTER ROUTES
  * These routes are accessible without authentication
@@ -13,12 +32,52 @@ const router = Router();
 // @route   GET /api/fighters
 // @desc    Get all fighters with optional filters and pagination
 // @access  Public
-// @query   weight, height, styles, city, state, country, page, limit, sort
+// @query   weight, minWeight, maxWeight, weightClass, height, minHeight, maxHeight, minAge, maxAge,
+//          minWins, minWinRate (%), activeWithinMonths, openToChallenges, gym, styles, city, state, country,
+//          near (lat,lng), radius (miles), page, limit, sort
 router.get("/", 
     validateInput('fighterQuery', 'query'), // Validate query parameters
     getAllFighters                          // Handle getting filtered fighters
 );
 
+// @route   GET /api/fighters/search
+// @desc    Full-text fighter search with relevance ranking and typo tolerance
+// @access  Public
+// @query   q, weightClass?, page?, limit?
+router.get("/search",
+    fighterSearchBudget,                            // Pattern matching is costly - limit how often it runs
+    validateInput('fighterSearchQuery', 'query'),   // Validate search parameters
+    searchFighters                                  // Handle searching fighters
+);
+
+// @route   GET /api/fighters/:id/rating-history
+// @desc    Get a fighter's rating change for each rated fight, newest first
+// @access  Public
+// @query   page, limit
+router.get("/:id/rating-history",
+    validateObjectId('id'),                         // Validate fighter ID format
+    validateInput('ratingHistoryQuery', 'query'),   // Validate pagination
+    getFighterRatingHistory                         // Handle getting rating history
+);
+
+// @route   GET /api/fighters/:id/availability
+// @desc    Get when a fighter is booked or blacked out, and their next free dates
+// @access  Public
+// @query   from?, with? (second fighter ID - dates free for both)
+router.get("/:id/availability",
+    validateObjectId('id'),                         // Validate fighter ID format
+    validateInput('availabilityQuery', 'query'),    // Validate start date and second fighter
+    getFighterAvailability                          // Handle getting availability
+);
+
+// @route   GET /api/fighters/:id/suspension
+// @desc    Get whether a fighter is suspended and their clearance date
+// @access  Public
+router.get("/:id/suspension",
+    validateObjectId('id'),                         // Validate fighter ID format
+    getFighterSuspension                            // Handle getting suspension status
+);
+
 /**
  * FUTURE FIGHTER-SPECIFIC ROUTES
  * These would be implemented as the app grows
@@ -0,0 +1,135 @@
+// routes/gymRoutes.js - Gyms / teams and their memberships
+import { Router } from "express";
+import {
+    createGym,
+    getGyms,
+    getGymById,
+    getJoinRequests,
+    updateGym,
+    getGymRecord,
+    joinGym,
+    leaveGym,
+    approveMember,
+    removeMember,
+    acceptCoachInvite,
+    declineCoachInvite
+} from "../controllers/gymController.js";
+import verifyToken from "../middleware/verifyToken.js";
+import { authorize } from "../middleware/authorize.js";
+import { validateInput, validateObjectId } from "../middleware/validation.js";
+
+const router = Router();
+
+/**
+ * PUBLIC ROUTES
+ */
+
+// @route   GET /api/gyms
+// @desc    List gyms with member counts
+// @access  Public
+// @query   q?, city?, country?, page?, limit?
+router.get("/",
+    validateInput('gymQuery', 'query'),             // Validate filters and pagination
+    getGyms                                         // Handle listing gyms
+);
+
+// @route   GET /api/gyms/:id
+// @desc    Get a gym with its coaches and active members
+// @access  Public
+router.get("/:id",
+    validateObjectId('id'),                         // Validate gym ID format
+    getGymById                                      // Handle getting the gym
+);
+
+// @route   GET /api/gyms/:id/record
+// @desc    Get the combined record of the gym's current members
+// @access  Public
+router.get("/:id/record",
+    validateObjectId('id'),                         // Validate gym ID format
+    getGymRecord                                    // Handle getting the gym record
+);
+
+/**
+ * PROTECTED ROUTES
+ * Coach checks happen in the controller (coaches do not need a special role)
+ */
+router.use(verifyToken);
+
+// @route   POST /api/gyms
+// @desc    Create a gym - the creator becomes owner and first coach
+// @access  Private
+router.post("/",
+    authorize('gym:create'),                        // Any authenticated user
+    validateInput('createGym'),                     // Validate gym details
+    createGym                                       // Handle creating the gym
+);
+
+// @route   PATCH /api/gyms/:id
+// @desc    Update gym details and coaches (new coaches are invited)
+// @access  Private (Coaches of the gym or admin)
+router.patch("/:id",
+    validateObjectId('id'),                         // Validate gym ID format
+    validateInput('updateGym'),                     // Validate gym details
+    updateGym                                       // Handle updating the gym
+);
+
+// @route   GET /api/gyms/:id/requests
+// @desc    Get pending requests to join
+// @access  Private (Coaches of the gym or admin)
+router.get("/:id/requests",
+    validateObjectId('id'),                         // Validate gym ID format
+    getJoinRequests                                 // Handle getting join requests
+);
+
+// @route   POST /api/gyms/:id/join
+// @desc    Ask to join a gym
+// @access  Private (Fighters only)
+router.post("/:id/join",
+    authorize('gym:join'),                          // Fighters only
+    validateObjectId('id'),                         // Validate gym ID format
+    joinGym                                         // Handle the join request
+);
+
+// @route   POST /api/gyms/:id/leave
+// @desc    Leave a gym or withdraw a pending request
+// @access  Private (Members)
+router.post("/:id/leave",
+    validateObjectId('id'),                         // Validate gym ID format
+    leaveGym                                        // Handle leaving
+);
+
+// @route   PATCH /api/gyms/:id/members/:userId/approve
+// @desc    Approve a request to join
+// @access  Private (Coaches of the gym or admin)
+router.patch("/:id/members/:userId/approve",
+    validateObjectId('id'),                         // Validate gym ID format
+    validateObjectId('userId'),                     // Validate fighter ID format
+    approveMember                                   // Handle approval
+);
+
+// @route   DELETE /api/gyms/:id/members/:userId
+// @desc    Decline a request to join or remove a member
+// @access  Private (Coaches of the gym or admin)
+router.delete("/:id/members/:userId",
+    validateObjectId('id'),                         // Validate gym ID format
+    validateObjectId('userId'),                     // Validate fighter ID format
+    removeMember                                    // Handle removal
+);
+
+// @route   POST /api/gyms/:id/coach-invite/accept
+// @desc    Accept an invitation to coach the gym
+// @access  Private (Invited users)
+router.post("/:id/coach-invite/accept",
+    validateObjectId('id'),                         // Validate gym ID format
+    acceptCoachInvite                               // Handle joining the coaching staff
+);
+
+// @route   DELETE /api/gyms/:id/coach-invite
+// @desc    Decline an invitation to coach the gym
+// @access  Private (Invited users)
+router.delete("/:id/coach-invite",
+    validateObjectId('id'),                         // Validate gym ID format
+    declineCoachInvite                              // Handle declining
+);
+
+export default router;
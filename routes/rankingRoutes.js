@@ -0,0 +1,46 @@
+// routes/rankingRoutes.js - Divisional and pound-for-pound rankings
+import { Router } from "express";
+import {
+    getPoundForPoundRanking,
+    getDivisionRanking,
+    recomputeAllRankings
+} from "../controllers/rankingController.js";
+import verifyToken from "../middleware/verifyToken.js";
+import { authorize } from "../middleware/authorize.js";
+
+const router = Router();
+
+/**
+ * PUBLIC ROUTES
+ * Rankings are built from completed, verified fights (see services/rankings.js)
+ */
+
+// @route   GET /api/rankings/p4p
+// @desc    Get the pound-for-pound ranking with movement since the previous snapshot
+// @access  Public
+// NOTE: declared before /:weightClass so "p4p" is not treated as a weight class
+router.get("/p4p",
+    getPoundForPoundRanking                         // Handle getting the P4P ranking
+);
+
+// @route   GET /api/rankings/:weightClass
+// @desc    Get a weight class ranking with movement since the previous snapshot
+// @access  Public
+router.get("/:weightClass",
+    getDivisionRanking                              // Handle getting a division ranking
+);
+
+/**
+ * PROTECTED ROUTES
+ */
+
+// @route   POST /api/rankings/recompute
+// @desc    Recompute every ranking now
+// @access  Private (Admin only)
+router.post("/recompute",
+    verifyToken,                                    // Verify user is authenticated
+    authorize('ranking:recompute'),                 // Admins only
+    recomputeAllRankings                            // Handle recomputing rankings
+);
+
+export default router;
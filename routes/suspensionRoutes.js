@@ -0,0 +1,51 @@
+// routes/suspensionRoutes.js - Medical and administrative suspensions
+import { Router } from "express";
+import {
+    createSuspension,
+    getSuspensions,
+    liftSuspension
+} from "../controllers/suspensionController.js";
+import verifyToken from "../middleware/verifyToken.js";
+import { authorize } from "../middleware/authorize.js";
+import { validateInput, validateObjectId } from "../middleware/validation.js";
+
+const router = Router();
+
+/**
+ * PROTECTED ROUTES
+ * Automatic suspensions are created when a KO / TKO result is recorded
+ * (see services/suspensions.js); these routes manage them by hand.
+ * A fighter's own status is public at GET /api/fighters/:id/suspension.
+ */
+router.use(verifyToken);
+
+// @route   GET /api/suspensions
+// @desc    List suspensions, newest first
+// @access  Private (Moderators and admins)
+// @query   fighter?, active?, page?, limit?
+router.get("/",
+    authorize('suspension:read'),                   // Moderators and admins
+    validateInput('suspensionQuery', 'query'),      // Validate filters and pagination
+    getSuspensions                                  // Handle listing suspensions
+);
+
+// @route   POST /api/suspensions
+// @desc    Suspend a fighter manually
+// @access  Private (Admin only)
+router.post("/",
+    authorize('suspension:manage'),                 // Admins only
+    validateInput('createSuspension'),              // Validate fighter, length and reason
+    createSuspension                                // Handle creating the suspension
+);
+
+// @route   PATCH /api/suspensions/:id/lift
+// @desc    Lift a suspension before it runs out
+// @access  Private (Admin only)
+router.patch("/:id/lift",
+    authorize('suspension:manage'),                 // Admins only
+    validateObjectId('id'),                         // Validate suspension ID format
+    validateInput('liftSuspension'),                // Validate reason
+    liftSuspension                                  // Handle lifting the suspension
+);
+
+export default router;
@@ -7,14 +7,51 @@ import {
     getMyProfile, 
     updateMyProfile, 
     updateFighterProfile,
-    getAllFighters 
+    getMyAvailability,
+    updateMyAvailability,
+    getAllFighters,
+    grantRole,
+    refreshSession,
+    signout,
+    signoutAll,
+    revokeUserSessions,
+    setAccountStatus,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerificationEmail,
+    completeTwoFactorSignin,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    changePassword,
+    requestEmailChange,
+    confirmEmailChange,
+    exportMyData,
+    deleteMyAccount,
+    getMyLogins
 } from "../controllers/userController.js";
 import verifyToken from "../middleware/verifyToken.js";
+import { authorize } from "../middleware/authorize.js";
 import { validateInput, validateObjectId } from "../middleware/validation.js";
-import { createLimiter } from "../middleware/security.js";
+import { createLimiter, createRateLimiter } from "../middleware/security.js";
 
 const router = Router();
 
+/**
+ * RATE LIMIT BUDGETS
+ * Endpoints that send email get their own small budget (counted per user)
+ */
+const accountMailBudget = createRateLimiter({
+    name: 'account-mail',
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5, // 5 emails per hour
+    message: "Too many emails requested, please try again later.",
+    code: "MAIL_RATE_LIMIT_EXCEEDED"
+});
+
 /**
  * PUBLIC ROUTES
  * These routes don't require authentication
@@ -33,6 +70,42 @@ router.post("/signin",
     signin                           // Handle signin logic
 );
 
+// Second sign-in step when 2FA is enabled
+router.post("/signin/2fa", 
+    validateInput('twoFactorSignin'), // Validate challenge token and code
+    completeTwoFactorSignin          // Handle code check and session creation
+);
+
+// Exchange a refresh token for a new access token
+router.post("/refresh", 
+    validateInput('refreshToken'),    // Validate refresh token presence
+    refreshSession                   // Handle token rotation
+);
+
+// Verify email address
+router.post("/verify-email", 
+    validateInput('verifyEmail'),     // Validate token
+    verifyEmail                      // Handle verification
+);
+
+// Confirm an email change (link from the email sent to the new address)
+router.post("/me/email/confirm", 
+    validateInput('confirmEmailChange'), // Validate token
+    confirmEmailChange               // Handle email swap
+);
+
+// Request a password reset email
+router.post("/forgot-password", 
+    validateInput('forgotPassword'),  // Validate email
+    forgotPassword                   // Handle reset request
+);
+
+// Set a new password with a reset token
+router.post("/reset-password", 
+    validateInput('resetPassword'),   // Validate token and new password
+    resetPassword                    // Handle password reset
+);
+
 // Get all fighters (public endpoint for browsing)
 router.get("/fighters", 
     validateInput('fighterQuery', 'query'), // Validate query parameters
@@ -45,36 +118,173 @@ router.get("/fighters",
  */
 router.use(verifyToken);
 
+/**
+ * SESSION ROUTES
+ */
+
+// Sign out of the current session
+router.post("/signout", 
+    signout                          // Revoke the session behind this token
+);
+
+// Sign out everywhere
+router.post("/signout-all", 
+    signoutAll                       // Revoke every session of this user
+);
+
+// Resend the email verification link
+router.post("/verify-email/resend", 
+    accountMailBudget,               // Rate limit to prevent mail spam
+    resendVerificationEmail          // Handle resend
+);
+
 /**
  * USER PROFILE ROUTES
  */
 
 // Get current user's profile
 router.get("/me", 
+    authorize('user:self'),          // Any authenticated user
     getMyProfile                     // No validation needed for GET request
 );
 
 // Update current user's general profile
 router.patch("/me", 
+    authorize('user:self'),          // Any authenticated user
     validateInput('updateProfile'),   // Validate profile update data
     updateMyProfile                  // Handle profile update
 );
 
+// Sign-in history (time, IP, user agent)
+router.get("/me/logins", 
+    authorize('user:self'),          // Any authenticated user
+    validateInput('loginHistoryQuery', 'query'), // Validate pagination
+    getMyLogins                      // Handle getting sign-in history
+);
+
+// Download a copy of all personal data
+router.get("/me/export", 
+    authorize('user:self'),          // Any authenticated user
+    exportMyData                     // No validation needed for GET request
+);
+
+// Delete (anonymize) the account
+router.delete("/me", 
+    authorize('user:self'),          // Any authenticated user
+    validateInput('deleteAccount'),   // Validate password (and 2FA code)
+    deleteMyAccount                  // Handle anonymization
+);
+
+// Change password (requires current password)
+router.patch("/me/password", 
+    authorize('user:self'),          // Any authenticated user
+    validateInput('changePassword'),  // Validate current and new password
+    changePassword                   // Handle password change
+);
+
+// Request an email change (requires current password)
+router.post("/me/email", 
+    authorize('user:self'),          // Any authenticated user
+    accountMailBudget,               // Rate limit to prevent mail spam
+    validateInput('changeEmail'),     // Validate current password and new email
+    requestEmailChange               // Send confirmation link to new address
+);
+
 // Transition from fan to fighter ("Step Into The Cage")
 router.post("/become-fighter", 
+    authorize('user:becomeFighter'), // Any authenticated user
     stepIntoTheCage                  // No body validation needed, just auth
 );
 
+/**
+ * TWO-FACTOR AUTHENTICATION ROUTES
+ */
+
+// Get 2FA status
+router.get("/me/2fa", 
+    authorize('user:self'),          // Any authenticated user
+    getTwoFactorStatus               // No validation needed for GET request
+);
+
+// Start 2FA enrollment
+router.post("/me/2fa/setup", 
+    authorize('user:self'),          // Any authenticated user
+    validateInput('twoFactorSetup'),  // Validate current password
+    setupTwoFactor                   // Generate pending secret
+);
+
+// Confirm enrollment with the first code
+router.post("/me/2fa/enable", 
+    authorize('user:self'),          // Any authenticated user
+    validateInput('twoFactorEnable'), // Validate code
+    enableTwoFactor                  // Activate 2FA and issue recovery codes
+);
+
+// Replace recovery codes
+router.post("/me/2fa/recovery-codes", 
+    authorize('user:self'),          // Any authenticated user
+    validateInput('twoFactorConfirm'), // Validate password and code
+    regenerateRecoveryCodes          // Issue new recovery codes
+);
+
+// Turn off 2FA
+router.delete("/me/2fa", 
+    authorize('user:self'),          // Any authenticated user (admins are refused)
+    validateInput('twoFactorConfirm'), // Validate password and code
+    disableTwoFactor                 // Handle disabling
+);
+
 /**
  * FIGHTER-SPECIFIC ROUTES
  */
 
 // Update fighter-specific profile details
 router.patch("/me/fighter", 
+    authorize('user:updateFighter'), // Fighters only
     validateInput('updateFighterProfile'), // Validate fighter-specific data
     updateFighterProfile             // Handle fighter profile update
 );
 
+// Get blackout windows, booked fights and next free dates
+router.get("/me/availability", 
+    authorize('user:updateFighter'), // Fighters only
+    getMyAvailability                // No validation needed for GET request
+);
+
+// Replace blackout windows
+router.put("/me/availability", 
+    authorize('user:updateFighter'), // Fighters only
+    validateInput('updateAvailability'), // Validate blackout windows
+    updateMyAvailability             // Handle availability update
+);
+
+/**
+ * ADMIN ROUTES
+ */
+
+// Grant a role (fan, fighter, moderator, admin) to a user
+router.patch("/:id/role", 
+    authorize('user:grantRole'),     // Admins only
+    validateObjectId('id'),          // Validate user ID format
+    validateInput('grantRole'),      // Validate role
+    grantRole                        // Handle role change
+);
+
+// Revoke every session of a user (compromised accounts)
+router.post("/:id/sessions/revoke", 
+    authorize('user:revokeSessions'), // Moderators and admins
+    validateObjectId('id'),          // Validate user ID format
+    revokeUserSessions               // Handle revocation
+);
+
+// Ban (disable) or re-enable an account - disabling also revokes its sessions
+router.patch("/:id/status", 
+    authorize('user:disable'),       // Moderators and admins
+    validateObjectId('id'),          // Validate user ID format
+    validateInput('setAccountStatus'), // Validate new status
+    setAccountStatus                 // Handle status change
+);
+
 /**
  * BETTING ROUTES (Future implementation)
  * Commented out for now, but validation is ready
@@ -0,0 +1,31 @@
+// scripts/backfillEmailVerified.js - Mark accounts created before email verification as verified
+//
+// Accounts saved before emailVerified existed have no such field, and would
+// otherwise be treated as unverified and locked out of challenges. They signed
+// up under the old rules, so they are grandfathered in (verified as of their
+// sign-up date). New and deleted accounts always store the field and are left
+// alone, so this is safe to run again.
+//
+// Usage: npm run backfill-email-verified
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import User from "../models/userModel.js";
+
+dotenv.config();
+
+try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // Raw collection: the schema default would otherwise hide the missing field
+    const { modifiedCount } = await User.collection.updateMany(
+        { emailVerified: { $exists: false } },
+        [{ $set: { emailVerified: true, emailVerifiedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }]
+    );
+
+    console.log(`✅ Marked ${modifiedCount} existing accounts as verified`);
+} catch (error) {
+    console.error('❌ Failed to backfill email verification:', error);
+    process.exitCode = 1;
+} finally {
+    await mongoose.disconnect();
+}
@@ -0,0 +1,48 @@
+// scripts/backfillLastFightAt.js - Set lastFightAt on fighters whose fights predate it
+//
+// lastFightAt is set when a fight is completed; this fills it in from each
+// fighter's latest completed fight (its actual date, or when it was last
+// updated if none was recorded). Only ever moves the date forward, so it is
+// safe to run again.
+//
+// Usage: npm run backfill-last-fight-at
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Fight from "../models/fightModel.js";
+import User from "../models/userModel.js";
+
+dotenv.config();
+
+try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const latest = await Fight.aggregate([
+        { $match: { status: 'completed' } },
+        { $unwind: '$fighters' },
+        {
+            $group: {
+                _id: '$fighters.user',
+                lastFightAt: { $max: { $ifNull: ['$details.actualDate', '$updatedAt'] } }
+            }
+        }
+    ]);
+
+    const updates = latest
+        .filter(entry => entry.lastFightAt)
+        .map(entry => ({
+            updateOne: {
+                filter: { _id: entry._id },
+                update: { $max: { lastFightAt: entry.lastFightAt } }
+            }
+        }));
+
+    const { modifiedCount } = updates.length > 0 ?
+        await User.bulkWrite(updates) :
+        { modifiedCount: 0 };
+    console.log(`✅ Updated lastFightAt on ${modifiedCount} of ${latest.length} fighters`);
+} catch (error) {
+    console.error('❌ Failed to backfill lastFightAt:', error);
+    process.exitCode = 1;
+} finally {
+    await mongoose.disconnect();
+}
@@ -0,0 +1,36 @@
+// scripts/backfillWeightClasses.js - Set weightClass on users saved before it existed
+//
+// weightClass is derived from weight whenever a user is saved or updated; this
+// fills it in for older documents (and fixes any that drifted).
+//
+// Usage: npm run backfill-weight-classes
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import User from "../models/userModel.js";
+import { weightClassFor } from "../config/weightClasses.js";
+
+dotenv.config();
+
+try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const users = await User.find({}).select('weight weightClass').lean();
+    const updates = users
+        .filter(user => (user.weightClass ?? null) !== weightClassFor(user.weight))
+        .map(user => ({
+            updateOne: {
+                filter: { _id: user._id },
+                update: { $set: { weightClass: weightClassFor(user.weight) } }
+            }
+        }));
+
+    if (updates.length > 0) {
+        await User.bulkWrite(updates);
+    }
+    console.log(`✅ Updated weight class on ${updates.length} of ${users.length} users`);
+} catch (error) {
+    console.error('❌ Failed to backfill weight classes:', error);
+    process.exitCode = 1;
+} finally {
+    await mongoose.disconnect();
+}
@@ -0,0 +1,39 @@
+// scripts/geocodeFighters.js - Add map points to fighters saved before distance search existed
+//
+// New locations are geocoded when a fighter updates their profile; this fills
+// in location.point for older profiles that have a city but no point.
+//
+// Usage: npm run geocode-fighters
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import User from "../models/userModel.js";
+import { geocodeLocation } from "../services/geocoder.js";
+
+dotenv.config();
+
+try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const fighters = await User.find({
+        isFighter: true,
+        'location.city': { $exists: true, $ne: '' },
+        'location.point': { $exists: false }
+    }).select('username location').lean();
+
+    let located = 0;
+    for (const fighter of fighters) {
+        const point = await geocodeLocation(fighter.location);
+        if (point) {
+            await User.updateOne({ _id: fighter._id }, { $set: { 'location.point': point } });
+            located += 1;
+        } else {
+            console.log(`⚠️  Could not geocode ${fighter.username}: ${fighter.location.city}`);
+        }
+    }
+    console.log(`✅ Geocoded ${located} of ${fighters.length} fighters`);
+} catch (error) {
+    console.error('❌ Failed to geocode fighters:', error);
+    process.exitCode = 1;
+} finally {
+    await mongoose.disconnect();
+}
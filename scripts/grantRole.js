@@ -0,0 +1,46 @@
+// scripts/grantRole.js - Grant a role from the command line
+//
+// The PATCH /api/users/:id/role endpoint needs an existing admin, so the very
+// first admin has to be created here.
+//
+// Usage: npm run grant-role -- <username> <fan|fighter|moderator|admin>
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import User, { USER_ROLES } from "../models/userModel.js";
+
+dotenv.config();
+
+const [username, role] = process.argv.slice(2);
+
+if (!username || !USER_ROLES.includes(role)) {
+    console.error(`Usage: npm run grant-role -- <username> <${USER_ROLES.join('|')}>`);
+    process.exit(1);
+}
+
+try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const user = await User.findOne({ username });
+    if (!user) {
+        console.error(`❌ User '${username}' not found`);
+        process.exitCode = 1;
+    } else {
+        user.role = role;
+        // Staff keep isFighter either way; a demotion to fan also ends fighter permissions
+        if (role === "fighter") {
+            user.isFighter = true;
+        } else if (role === "fan") {
+            user.isFighter = false;
+        }
+        await user.save();
+        console.log(`✅ ${username} is now ${role}`);
+        if (role === "admin" && !user.twoFactor?.enabled) {
+            console.log('⚠️  Admin powers stay inactive until this user enables 2FA (POST /api/users/me/2fa/setup)');
+        }
+    }
+} catch (error) {
+    console.error('❌ Failed to grant role:', error);
+    process.exitCode = 1;
+} finally {
+    await mongoose.disconnect();
+}
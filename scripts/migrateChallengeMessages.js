@@ -0,0 +1,68 @@
+// scripts/migrateChallengeMessages.js - Move embedded challenge messages to their own collection
+//
+// Challenge messages used to be an array inside each challenge document. They
+// now live in the challengemessages collection (models/challengeMessageModel.js).
+// This copies every embedded message across, keeping its _id and timestamp,
+// then removes the array. Safe to run again: copied messages are skipped.
+//
+// Usage: npm run migrate-challenge-messages
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Challenge from "../models/challengeModel.js";
+import ChallengeMessage from "../models/challengeMessageModel.js";
+
+dotenv.config();
+
+try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // The messages field is no longer in the schema, so read the raw documents
+    const challenges = Challenge.collection.find(
+        { messages: { $exists: true } },
+        { projection: { messages: 1 } }
+    );
+
+    let migratedChallenges = 0;
+    let migratedMessages = 0;
+
+    for await (const challenge of challenges) {
+        const messages = (challenge.messages || []).filter(entry => entry.message);
+
+        if (messages.length > 0) {
+            const { upsertedCount } = await ChallengeMessage.bulkWrite(messages.map(entry => ({
+                updateOne: {
+                    filter: { _id: entry._id },
+                    update: {
+                        $setOnInsert: {
+                            challenge: challenge._id,
+                            sender: entry.sender ?? null,
+                            message: entry.message,
+                            isSystemMessage: Boolean(entry.isSystemMessage),
+                            createdAt: entry.timestamp,
+                            updatedAt: entry.timestamp
+                        }
+                    },
+                    upsert: true
+                }
+            })), { timestamps: false });
+            migratedMessages += upsertedCount;
+        }
+
+        const lastMessageAt = messages.reduce(
+            (latest, entry) => (!latest || entry.timestamp > latest ? entry.timestamp : latest),
+            null
+        );
+        await Challenge.collection.updateOne(
+            { _id: challenge._id },
+            { $unset: { messages: '' }, ...(lastMessageAt && { $max: { lastMessageAt } }) }
+        );
+        migratedChallenges++;
+    }
+
+    console.log(`✅ Moved ${migratedMessages} messages from ${migratedChallenges} challenges`);
+} catch (error) {
+    console.error('❌ Failed to migrate challenge messages:', error);
+    process.exitCode = 1;
+} finally {
+    await mongoose.disconnect();
+}
@@ -2,78 +2,49 @@
 import express from "express";
 import logger from "morgan";
 import mongoose from "mongoose";
-import cors from "cors";
 import compression from "compression";
-import dotenv from "dotenv";
+
+// Validated configuration (loads .env) - imported first so nothing reads an unchecked environment
+import config, { configErrors } from "./config/config.js";
 
 // Import route files
 import userRoutes from "./routes/userRoutes.js";
 import fighterRouter from "./routes/fighterRoutes.js";
 import challengeRoutes from "./routes/challengeRoutes.js"; // NEW: Challenge routes
 import fightRoutes from "./routes/fightRoutes.js"; // NEW: Fight routes
+import rankingRoutes from "./routes/rankingRoutes.js";
+import suspensionRoutes from "./routes/suspensionRoutes.js";
+import gymRoutes from "./routes/gymRoutes.js";
 
 // Import security middleware
-import { corsOptions, generalLimiter, authLimiter } from "./middleware/security.js";
+import { setupSecurity } from "./middleware/security.js";
 import { globalErrorHandler, notFoundHandler } from "./middleware/errorHandler.js";
 import { sanitizeInput } from "./middleware/validation.js";
-import helmet from "helmet";
+import { startChallengeExpiryJob, stopChallengeExpiryJob } from "./services/challengeExpiry.js";
 
-// Load environment variables (from .env file)
-// dotenv.config() reads the .env file and merges variables into process.env.
-// You can then access them in your code with process.env.JWT_SECRET, for example, to sign or verify JWTs.
-dotenv.config();
+// Refuse to boot with an invalid configuration
+if (configErrors) {
+    console.error('❌ Invalid configuration:');
+    configErrors.forEach(message => console.error(`   - ${message}`));
+    process.exit(1);
+}
 
 const app = express();
-const PORT = process.env.PORT || 5000;
+const PORT = config.port;
 
 // ==================== SECURITY MIDDLEWARE ====================
 console.log('🔒 Setting up security middleware...');
 
-// Security headers (must be first)
-app.use(helmet({
-    contentSecurityPolicy: {
-        directives: {
-            defaultSrc: ["'self'"],
-            styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
-            fontSrc: ["'self'", "https://fonts.gstatic.com"],
-            imgSrc: ["'self'", "data:", "https://res.cloudinary.com"],
-            scriptSrc: ["'self'"],
-            connectSrc: ["'self'"],
-            frameSrc: ["'none'"],
-            objectSrc: ["'none'"],
-        },
-    },
-    hsts: {
-        maxAge: 31536000,
-        includeSubDomains: true,
-        preload: true
-    }
-}));
-
-// CORS configuration
-app.use(cors(corsOptions));
+// Helmet, CORS, body size limits and rate limiting - all from config/config.js
+setupSecurity(app);
 
 // Compression middleware for better performance
 app.use(compression());
 
 // ==================== BASIC MIDDLEWARE ====================
 
-// Body parsing with size limits
-app.use(express.json({ 
-    limit: '10mb',
-    verify: (req, res, buf) => {
-        // Store raw body for webhook verification if needed
-        req.rawBody = buf;
-    }
-}));
-
-app.use(express.urlencoded({ 
-    extended: true, 
-    limit: '10mb' 
-}));
-
 // Request logging
-if (process.env.NODE_ENV === 'development') {
+if (config.env === 'development') {
     app.use(logger("dev"));
 } else {
     app.use(logger("combined"));
@@ -82,20 +53,14 @@ if (process.env.NODE_ENV === 'development') {
 // Input sanitization (prevent XSS)
 app.use(sanitizeInput);
 
-// ==================== RATE LIMITING ====================
-
-// General rate limiting for all API routes
-app.use('/api/', generalLimiter);
-
-// Stricter rate limiting for authentication routes
-app.use('/api/users/signin', authLimiter);
-app.use('/api/users/signup', authLimiter);
-
 // ==================== DATABASE CONNECTION ====================
 
-mongoose.connect(process.env.MONGODB_URI)
+mongoose.connect(config.mongoUri)
     .then(() => {
         console.log('✅ Connected to MongoDB database');
+
+        // Expire unanswered challenges and send deadline reminders in the background
+        startChallengeExpiryJob();
     })
     .catch((err) => {
         console.error('❌ Database connection error:', err);
@@ -109,7 +74,7 @@ app.get('/health', (req, res) => {
         status: 'OK',
         message: 'LaPointe API is running',
         timestamp: new Date().toISOString(),
-        environment: process.env.NODE_ENV || 'development',
+        environment: config.env,
         version: process.env.npm_package_version || '1.0.0'
     });
 });
@@ -119,6 +84,10 @@ app.get('/health', (req, res) => {
 app.use("/api/users", userRoutes);
 app.use("/api/fighters", fighterRouter);
 app.use("/api/challenges", challengeRoutes); // NEW: Challenge system routes
+app.use("/api/fights", fightRoutes); // NEW: Fight system routes
+app.use("/api/rankings", rankingRoutes);
+app.use("/api/suspensions", suspensionRoutes);
+app.use("/api/gyms", gymRoutes);
 
 // ==================== ERROR HANDLING ====================
 
@@ -150,7 +119,7 @@ process.on('uncaughtException', (err) => {
 
 const server = app.listen(PORT, () => {
     console.log('\n🚀 LaPointe API Server Status:');
-    console.log(`   ▶ Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`   ▶ Environment: ${config.env}`);
     console.log(`   ▶ Port: ${PORT}`);
     console.log(`   ▶ URL: http://localhost:${PORT}`);
     console.log(`   ▶ Health Check: http://localhost:${PORT}/health`);
@@ -163,6 +132,7 @@ const server = app.listen(PORT, () => {
 // Handle SIGTERM gracefully
 process.on('SIGTERM', () => {
     console.log('👋 SIGTERM received. Shutting down gracefully');
+    stopChallengeExpiryJob();
     server.close(() => {
         console.log('💤 Process terminated');
     });
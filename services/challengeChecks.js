@@ -0,0 +1,104 @@
+// services/challengeChecks.js - Checks every new challenge has to pass
+import Challenge from "../models/challengeModel.js";
+import Gym from "../models/gymModel.js";
+import { AppError } from "../middleware/errorHandler.js";
+import { enforceNotSuspended } from "./suspensions.js";
+
+/**
+ * Shared by direct challenges and rematch requests (claims of open challenges
+ * use the teammate check). Each check throws an AppError; weight class and
+ * schedule checks depend on the proposed terms and stay with the callers.
+ */
+
+/**
+ * Whether two fighters train at the same gym
+ */
+export const isTeammatePairing = (fighter, opponent) => Boolean(fighter.gym) && fighter.gym.equals(opponent.gym);
+
+/**
+ * The gym whose teammates `fighter` and `opponent` are, when it asks for
+ * teammate fights to be confirmed (null otherwise)
+ */
+export const teammateConfirmationGym = async (fighter, opponent) => {
+    if (!isTeammatePairing(fighter, opponent)) {
+        return null;
+    }
+
+    const gym = await Gym.findById(fighter.gym).select('name requireTeammateConfirmation');
+    return gym && gym.requireTeammateConfirmation ? gym : null;
+};
+
+/**
+ * Teammates (same gym) must confirm a fight against each other unless their
+ * gym has switched this off (throws TEAMMATE_CONFIRMATION_REQUIRED with the gym).
+ * `fighter` is the challenged side (accepting or claiming) - a challenger can
+ * never confirm their own challenge.
+ * Returns whether the two fighters are teammates
+ */
+export const enforceTeammateConfirmation = async (fighter, opponent, confirmed) => {
+    if (!confirmed) {
+        const gym = await teammateConfirmationGym(fighter, opponent);
+        if (gym) {
+            throw new AppError(
+                `${opponent.username} is your teammate at ${gym.name} - send the request again with confirmTeammateChallenge to confirm`,
+                400,
+                'TEAMMATE_CONFIRMATION_REQUIRED',
+                { gym: { _id: gym._id, name: gym.name } }
+            );
+        }
+    }
+
+    return isTeammatePairing(fighter, opponent);
+};
+
+/**
+ * Make sure `challenger` may send `challenged` a new challenge (both user documents)
+ * Returns { isTeammateChallenge } for the new challenge
+ */
+export const enforceCanChallenge = async (challenger, challenged) => {
+    if (!challenger || !challenger.isFighter) {
+        throw new AppError('Only fighters can create challenges', 403, 'NOT_FIGHTER');
+    }
+
+    // Unverified accounts cannot send challenges (stops throwaway spam accounts)
+    if (!challenger.emailVerified) {
+        throw new AppError('Please verify your email address before sending challenges', 403, 'EMAIL_NOT_VERIFIED');
+    }
+
+    if (!challenged || challenged.deletedAt) {
+        throw new AppError('Challenged fighter not found', 404, 'FIGHTER_NOT_FOUND');
+    }
+
+    if (!challenged.isFighter) {
+        throw new AppError('You can only challenge fighters', 400, 'TARGET_NOT_FIGHTER');
+    }
+
+    // Respect fighters who have switched off new challenges
+    if (challenged.openToChallenges === false) {
+        throw new AppError('This fighter is not accepting challenges right now', 400, 'NOT_OPEN_TO_CHALLENGES');
+    }
+
+    if (challenger._id.equals(challenged._id)) {
+        throw new AppError('You cannot challenge yourself', 400, 'SELF_CHALLENGE');
+    }
+
+    // Teammate challenges are confirmed by the challenged fighter when accepting
+    const isTeammateChallenge = isTeammatePairing(challenger, challenged);
+
+    // Suspended fighters cannot be challenged or send challenges (throws FIGHTER_SUSPENDED with the clearance date)
+    await enforceNotSuspended([challenger._id, challenged._id]);
+
+    const existingChallenge = await Challenge.existsBetweenUsers(challenger._id, challenged._id);
+    if (existingChallenge) {
+        throw new AppError('An active challenge already exists between you and this fighter', 409, 'CHALLENGE_EXISTS');
+    }
+
+    return { isTeammateChallenge };
+};
+
+export default {
+    isTeammatePairing,
+    teammateConfirmationGym,
+    enforceTeammateConfirmation,
+    enforceCanChallenge
+};
@@ -0,0 +1,169 @@
+// services/challengeExpiry.js - Expire unanswered challenges and remind the challenged fighter
+import Challenge from "../models/challengeModel.js";
+import ChallengeMessage from "../models/challengeMessageModel.js";
+import config from "../config/config.js";
+import { sendMail } from "./mailer.js";
+import { challengeReminderMail } from "./mailTemplates.js";
+
+/**
+ * HOW IT WORKS:
+ * - Every pending challenge has an expiresAt (challenger's choice within
+ *   config.challenges bounds, otherwise defaultExpiryDays after creation).
+ *   Challenges created before expiry existed count from their createdAt.
+ * - The sweep moves pending challenges past their deadline to "expired"
+ *   and posts a system message, which frees the pair for a new challenge
+ * - Reminders: one email per step in config.challenges.reminderHours
+ *   (e.g. 48 and 6 hours before the deadline). Each step is recorded on the
+ *   challenge before the mail goes out, so a reminder is never sent twice.
+ *
+ * startChallengeExpiryJob() runs both every expiryJobMinutes (server.js starts it).
+ */
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Expire every pending challenge past its deadline
+ * Each challenge is updated atomically, so one that is accepted at the same
+ * moment is left alone (and old proposed dates do not block the update).
+ * Returns the number of challenges expired
+ */
+export const expireStaleChallenges = async (now = new Date()) => {
+    const legacyCutoff = new Date(now.getTime() - config.challenges.defaultExpiryDays * 24 * HOUR_MS);
+    const stale = Challenge.find({
+        status: 'pending',
+        $or: [
+            { expiresAt: { $lte: now } },
+            { expiresAt: { $exists: false }, createdAt: { $lte: legacyCutoff } }
+        ]
+    })
+        .select('_id')
+        .cursor();
+
+    let expired = 0;
+
+    for await (const challenge of stale) {
+        try {
+            const { modifiedCount } = await Challenge.updateOne(
+                { _id: challenge._id, status: 'pending' },
+                { $set: { status: 'expired', updatedAt: now } }
+            );
+            if (modifiedCount === 0) {
+                continue; // Answered in the meantime
+            }
+
+            expired++;
+            await ChallengeMessage.post(challenge._id, [{
+                sender: null, // Platform message - nobody's action expired it
+                message: 'Challenge expired - no response before the deadline.',
+                isSystemMessage: true
+            }]);
+        } catch (error) {
+            console.error(`Error expiring challenge ${challenge._id}:`, error);
+        }
+    }
+
+    return expired;
+};
+
+/**
+ * Reminder step due for a deadline `hoursLeft` away (the smallest step not below it), or null
+ */
+export const reminderStepFor = (hoursLeft, steps = config.challenges.reminderHours) => {
+    const due = steps.filter(step => hoursLeft <= step);
+    return due.length > 0 ? Math.min(...due) : null;
+};
+
+/**
+ * Email the challenged fighter about challenges that expire soon
+ * Returns the number of reminders sent
+ */
+export const sendExpiryReminders = async (now = new Date()) => {
+    const steps = config.challenges.reminderHours;
+    if (steps.length === 0) {
+        return 0;
+    }
+
+    const upcoming = await Challenge.find({
+        status: 'pending',
+        challenged: { $ne: null }, // Nobody to remind about an unclaimed open challenge
+        expiresAt: { $gt: now, $lte: new Date(now.getTime() + Math.max(...steps) * HOUR_MS) }
+    })
+        .select('challenger challenged expiresAt reminders')
+        .populate('challenger', 'username')
+        .populate('challenged', 'username email deletedAt');
+
+    let sent = 0;
+
+    for (const challenge of upcoming) {
+        const step = reminderStepFor((challenge.expiresAt - now) / HOUR_MS, steps);
+        // Skip when this step (or a later, smaller one) was already sent
+        if (step === null || challenge.reminders.some(reminder => reminder.hoursBefore <= step)) {
+            continue;
+        }
+
+        // Claim the step first so concurrent runs cannot send it twice
+        const { modifiedCount } = await Challenge.updateOne(
+            { _id: challenge._id, status: 'pending', 'reminders.hoursBefore': { $not: { $lte: step } } },
+            { $push: { reminders: { hoursBefore: step, sentAt: now } } }
+        );
+        if (modifiedCount === 0 || challenge.challenged.deletedAt) {
+            continue;
+        }
+
+        try {
+            await sendMail(challengeReminderMail(challenge.challenged, challenge.challenger, challenge));
+            sent++;
+        } catch (error) {
+            console.error(`Error sending reminder for challenge ${challenge._id}:`, error);
+        }
+    }
+
+    return sent;
+};
+
+let timer = null;
+let running = false;
+
+/**
+ * Run the sweep and the reminders now and then every expiryJobMinutes
+ * Does nothing when the interval is 0 or the job is already running.
+ * A tick that comes while the previous run is still going is skipped.
+ */
+export const startChallengeExpiryJob = ({ intervalMinutes = config.challenges.expiryJobMinutes } = {}) => {
+    if (!intervalMinutes || timer) {
+        return;
+    }
+
+    const run = async () => {
+        if (running) {
+            return;
+        }
+
+        running = true;
+        try {
+            const now = new Date();
+            await sendExpiryReminders(now);
+            await expireStaleChallenges(now);
+        } catch (error) {
+            console.error('Error running challenge expiry job:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    timer = setInterval(run, intervalMinutes * 60 * 1000);
+    timer.unref(); // Never keep the process alive just for this job
+    run();
+};
+
+export const stopChallengeExpiryJob = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+export default {
+    expireStaleChallenges,
+    reminderStepFor,
+    sendExpiryReminders,
+    startChallengeExpiryJob,
+    stopChallengeExpiryJob
+};
@@ -0,0 +1,209 @@
+// services/fighterSearch.js - Ranked, typo-tolerant fighter search
+import User from "../models/userModel.js";
+import Gym from "../models/gymModel.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+
+/**
+ * HOW SEARCH WORKS:
+ * - Candidates come from two queries, both limited to MAX_CANDIDATES:
+ *   1. The text index on username / styles / customStyle / location (whole words, stemmed)
+ *   2. Anchored prefix patterns on username / customStyle / styles / city.
+ *      Username patterns also accept any one-character typo (substitution,
+ *      missing or extra character, swapped neighbours) for terms of
+ *      FUZZY_MIN_LENGTH to FUZZY_MAX_LENGTH characters, for the first
+ *      MAX_FUZZY_TERMS such terms only - every typo is another alternative
+ *      the database has to try on each fighter it scans. This query runs for
+ *      at most PATTERN_TIME_LIMIT_MS; past that only the text matches are used.
+ * - Each candidate is scored: MongoDB's text score plus a bonus per term for the
+ *   best way it matched (exact username > username prefix > typo match >
+ *   match on style / city / gym). Ties go to the higher rated fighter.
+ * - All user input is escaped before it becomes part of a pattern.
+ */
+const MAX_TERMS = 5;
+const MAX_TERM_LENGTH = 30;
+const MAX_CANDIDATES = 200;
+const FUZZY_MIN_LENGTH = 4;
+const FUZZY_MAX_LENGTH = 12;
+const MAX_FUZZY_TERMS = 2;
+const PATTERN_TIME_LIMIT_MS = 2000;
+
+// Fields anyone may see on a fighter - listings select from this, never by exclusion
+export const PUBLIC_FIELDS = 'username profilePicture record rating weight weightClass height age styles customStyle location.city location.state location.country socialLinks gym';
+
+// Per-term bonus by match quality
+const BONUS = {
+    usernameExact: 10,
+    usernamePrefix: 6,
+    usernameTypo: 3,
+    otherPrefix: 2,
+    otherTypo: 1
+};
+
+/**
+ * Split a query into lower-case terms (letters, digits and hyphens only)
+ */
+export const searchTerms = (q) => {
+    return String(q || '')
+        .toLowerCase()
+        .split(/\s+/)
+        .map(term => term.replace(/[^\p{L}\p{N}-]/gu, '').slice(0, MAX_TERM_LENGTH))
+        .filter(Boolean)
+        .slice(0, MAX_TERMS);
+};
+
+/**
+ * Regex sources (already escaped) for every string one edit away from `term`
+ */
+export const typoVariants = (term) => {
+    const chars = [...term];
+    const variants = new Set();
+    const join = (...parts) => parts.map(part => escapeRegex(part.join(''))).join('.');
+
+    for (let i = 0; i <= chars.length; i++) {
+        const before = chars.slice(0, i);
+        // Missing character: "jhn" -> "j.hn"
+        variants.add(join(before, chars.slice(i)));
+        if (i === chars.length) break;
+
+        const after = chars.slice(i + 1);
+        // Wrong character: "jahn" -> "j.hn"
+        variants.add(join(before, after));
+        // Extra character: "johhn" -> "john"
+        variants.add(escapeRegex([...before, ...after].join('')));
+        // Swapped neighbours: "jhon" -> "john"
+        if (i < chars.length - 1) {
+            variants.add(escapeRegex([...before, chars[i + 1], chars[i], ...chars.slice(i + 2)].join('')));
+        }
+    }
+
+    variants.delete(escapeRegex(term));
+    return [...variants];
+};
+
+/**
+ * Case-insensitive "starts with the term" pattern, allowing one typo when `fuzzy`
+ */
+export const termPattern = (term, { fuzzy = true } = {}) => {
+    const alternatives = [escapeRegex(term)];
+    if (fuzzy && [...term].length >= FUZZY_MIN_LENGTH) {
+        alternatives.push(...typoVariants(term));
+    }
+    return new RegExp(`^(?:${alternatives.join('|')})`, 'i');
+};
+
+// Whether each term gets typo matching in the database query (see MAX_FUZZY_TERMS)
+const fuzzyTerms = (terms) => {
+    let remaining = MAX_FUZZY_TERMS;
+    return terms.map(term => {
+        const length = [...term].length;
+        if (remaining === 0 || length < FUZZY_MIN_LENGTH || length > FUZZY_MAX_LENGTH) {
+            return false;
+        }
+        remaining--;
+        return true;
+    });
+};
+
+const startsWith = (value, term) => typeof value === 'string' && value.toLowerCase().startsWith(term);
+
+// Best bonus a single term earns on a fighter
+const termBonus = (fighter, term, pattern) => {
+    const username = fighter.username?.toLowerCase();
+    const others = [fighter.customStyle, fighter.location?.city, fighter.gym?.name, ...(fighter.styles || [])];
+
+    if (username === term) return BONUS.usernameExact;
+    if (startsWith(username, term)) return BONUS.usernamePrefix;
+    if (pattern.test(fighter.username || '')) return BONUS.usernameTypo;
+    if (others.some(value => startsWith(value, term))) return BONUS.otherPrefix;
+    if (others.some(value => typeof value === 'string' && pattern.test(value))) return BONUS.otherTypo;
+    return 0;
+};
+
+/**
+ * Search fighters
+ * filters: extra conditions (e.g. { weightClass }) applied to both candidate queries
+ * Returns { fighters, total } - fighters carry a `relevance` score, best first
+ */
+export const searchFighters = async (q, { filters = {}, page = 1, limit = 10 } = {}) => {
+    const terms = searchTerms(q);
+    if (terms.length === 0) {
+        return { fighters: [], total: 0 };
+    }
+
+    const base = { isFighter: true, ...filters };
+    // Scoring happens in memory and may use every typo; the query uses the capped set
+    const patterns = terms.map(term => termPattern(term));
+    const fuzzy = fuzzyTerms(terms);
+    const prefixes = terms.map(term => termPattern(term, { fuzzy: false }));
+    const usernamePatterns = terms.map((term, index) => (fuzzy[index] ? patterns[index] : prefixes[index]));
+
+    // Gym names live on the gyms, so find matching gyms first and search their members
+    const gymIds = await Gym.find({
+        $or: prefixes.map(pattern => ({ name: pattern }))
+    }).distinct('_id');
+
+    const [textMatches, patternMatches] = await Promise.all([
+        User.find(
+            { ...base, $text: { $search: terms.join(' ') } },
+            { score: { $meta: 'textScore' } }
+        )
+            .select(PUBLIC_FIELDS)
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(MAX_CANDIDATES)
+            .populate('gym', 'name')
+            .lean(),
+        User.find({
+            ...base,
+            $or: terms.flatMap((term, index) => [
+                { username: usernamePatterns[index] },
+                { customStyle: prefixes[index] },
+                { styles: prefixes[index] },
+                { 'location.city': prefixes[index] }
+            ]).concat(gymIds.length > 0 ? [{ gym: { $in: gymIds } }] : [])
+        })
+            .select(PUBLIC_FIELDS)
+            .limit(MAX_CANDIDATES)
+            .maxTimeMS(PATTERN_TIME_LIMIT_MS)
+            .populate('gym', 'name')
+            .lean()
+            .catch(error => {
+                if (error.codeName === 'MaxTimeMSExpired') {
+                    return [];
+                }
+                throw error;
+            })
+    ]);
+
+    const candidates = new Map();
+    for (const fighter of [...textMatches, ...patternMatches]) {
+        const key = fighter._id.toString();
+        if (!candidates.has(key)) {
+            candidates.set(key, { ...fighter, score: 0 });
+        }
+        candidates.get(key).score = Math.max(candidates.get(key).score, fighter.score || 0);
+    }
+
+    const ranked = [...candidates.values()]
+        .map(({ score, ...fighter }) => ({
+            ...fighter,
+            relevance: Math.round((score + terms.reduce(
+                (sum, term, index) => sum + termBonus(fighter, term, patterns[index]),
+                0
+            )) * 100) / 100
+        }))
+        .filter(fighter => fighter.relevance > 0)
+        .sort((a, b) => b.relevance - a.relevance || (b.rating?.value ?? 0) - (a.rating?.value ?? 0));
+
+    const skip = (page - 1) * limit;
+    return {
+        fighters: ranked.slice(skip, skip + limit),
+        total: ranked.length
+    };
+};
+
+export default {
+    searchTerms,
+    typoVariants,
+    termPattern,
+    searchFighters
+};
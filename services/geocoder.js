@@ -0,0 +1,108 @@
+// services/geocoder.js - Pluggable geocoding (location text -> coordinates)
+import { CITY_COORDINATES, COUNTRY_ALIASES } from "../config/cityCoordinates.js";
+
+/**
+ * WHY WE NEED THIS:
+ * - Fighters enter a city / state / country; distance search needs coordinates
+ * - The offline city table works in development and tests with no network
+ * - A real provider (Google, Mapbox, Nominatim, ...) is plugged in with setGeocodingProvider()
+ *
+ * A provider is any object with an async geocode({ city, state, country })
+ * method that resolves to { lat, lng } or null when the place is unknown.
+ */
+
+const normalize = (value) => String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // "São Paulo" -> "sao paulo"
+    .toLowerCase()
+    .replace(/[.\s]+/g, ' ')
+    .trim();
+
+const countryAliases = new Map(
+    Object.entries(COUNTRY_ALIASES).map(([alias, country]) => [normalize(alias), normalize(country)])
+);
+
+const normalizeCountry = (country) => {
+    const normalized = normalize(country);
+    return countryAliases.get(normalized) || normalized;
+};
+
+/**
+ * City-table provider - looks places up in a static table
+ * State and country narrow the match when given (state may be a name or code).
+ */
+export const createCityTableProvider = (table = CITY_COORDINATES) => ({
+    name: 'city-table',
+    async geocode({ city, state, country } = {}) {
+        if (!city) return null;
+
+        const wantedCity = normalize(city);
+        const wantedState = normalize(state);
+        const wantedCountry = normalizeCountry(country);
+
+        const match = table.find(entry =>
+            normalize(entry.city) === wantedCity &&
+            (!wantedState || [normalize(entry.state), normalize(entry.stateCode)].includes(wantedState)) &&
+            (!wantedCountry || normalize(entry.country) === wantedCountry)
+        );
+
+        return match ? { lat: match.lat, lng: match.lng } : null;
+    }
+});
+
+let provider = createCityTableProvider();
+
+/**
+ * Replace the active provider (e.g. with an online geocoding API)
+ */
+export const setGeocodingProvider = (newProvider) => {
+    if (!newProvider || typeof newProvider.geocode !== 'function') {
+        throw new Error('Geocoding provider must implement geocode(location)');
+    }
+    provider = newProvider;
+};
+
+export const getGeocodingProvider = () => provider;
+
+/**
+ * GeoJSON point ([lng, lat] order) for a { lat, lng } pair
+ */
+export const toPoint = ({ lat, lng }) => ({
+    type: 'Point',
+    coordinates: [lng, lat]
+});
+
+/**
+ * Geocode a profile location through the active provider
+ * Returns a GeoJSON point, or null when the place cannot be found.
+ * Provider failures are logged and treated as "not found" so a profile
+ * update never fails because geocoding is down.
+ */
+export const geocodeLocation = async (location = {}) => {
+    try {
+        const coordinates = await provider.geocode(location);
+        return coordinates ? toPoint(coordinates) : null;
+    } catch (error) {
+        console.error('Error geocoding location:', error);
+        return null;
+    }
+};
+
+/**
+ * Submitted location ({ city, state, country, coordinates? }) -> stored location
+ * Explicit coordinates win over geocoding; a place that cannot be geocoded
+ * is stored without a point (and is left out of distance searches).
+ */
+export const resolveLocation = async ({ coordinates, ...place } = {}) => {
+    const point = coordinates ? toPoint(coordinates) : await geocodeLocation(place);
+    return { ...place, ...(point && { point }) };
+};
+
+export default {
+    createCityTableProvider,
+    setGeocodingProvider,
+    getGeocodingProvider,
+    toPoint,
+    geocodeLocation,
+    resolveLocation
+};
@@ -0,0 +1,153 @@
+// services/loginProtection.js - Per-account brute-force protection and sign-in history
+import User from "../models/userModel.js";
+import LoginEvent from "../models/loginEventModel.js";
+import { sendMail } from "./mailer.js";
+import { newSignInMail } from "./mailTemplates.js";
+
+/**
+ * WHY WE NEED THIS:
+ * - authLimiter limits by IP only; a botnet can try one username from thousands of IPs
+ * - Failures are counted on the account itself, whatever IP they come from
+ *
+ * POLICY:
+ * - The first FREE_ATTEMPTS failures are not slowed down
+ * - Each further failure doubles the wait before the next attempt (2s, 4s, 8s, ...)
+ * - After MAX_ATTEMPTS failures the account is locked for LOCKOUT_MINUTES
+ * - Failures older than RESET_WINDOW_MINUTES are forgotten; a success resets everything
+ */
+const FREE_ATTEMPTS = 3;
+const MAX_ATTEMPTS = 10;
+const MAX_DELAY_SECONDS = 5 * 60;
+const LOCKOUT_MINUTES = 30;
+const RESET_WINDOW_MINUTES = 60;
+
+// Wait required after the nth consecutive failure
+const delayAfterFailures = (failures) => {
+    if (failures <= FREE_ATTEMPTS) return 0;
+    return Math.min(2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+};
+
+const isStale = (lastFailedAt) => {
+    return !lastFailedAt || Date.now() - lastFailedAt.getTime() > RESET_WINDOW_MINUTES * 60 * 1000;
+};
+
+/**
+ * Check whether the account may attempt to sign in right now
+ * Returns null, or { code, retryAfter, lockedUntil? } describing the block
+ */
+export const getLoginBlock = (user) => {
+    const security = user.loginSecurity || {};
+    const now = Date.now();
+
+    if (security.lockedUntil && security.lockedUntil.getTime() > now) {
+        return {
+            code: 'ACCOUNT_LOCKED',
+            lockedUntil: security.lockedUntil,
+            retryAfter: Math.ceil((security.lockedUntil.getTime() - now) / 1000)
+        };
+    }
+
+    if (isStale(security.lastFailedAt)) {
+        return null;
+    }
+
+    const delay = delayAfterFailures(security.failedAttempts || 0);
+    const nextAttemptAt = security.lastFailedAt.getTime() + delay * 1000;
+
+    if (delay > 0 && nextAttemptAt > now) {
+        return {
+            code: 'LOGIN_THROTTLED',
+            retryAfter: Math.ceil((nextAttemptAt - now) / 1000)
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Record a sign-in attempt in the user's history
+ */
+const recordEvent = (user, meta, fields) => {
+    return LoginEvent.create({
+        user: user._id,
+        ip: meta.ip,
+        userAgent: meta.userAgent?.slice(0, 500),
+        ...fields
+    });
+};
+
+/**
+ * Record a blocked attempt (does not extend the block)
+ */
+export const recordBlockedLogin = (user, meta, block) => {
+    return recordEvent(user, meta, {
+        success: false,
+        failureReason: block.code === 'ACCOUNT_LOCKED' ? 'locked' : 'throttled'
+    });
+};
+
+/**
+ * Count a failed attempt against the account, locking it when the limit is hit
+ */
+export const recordFailedLogin = async (user, meta, reason = 'invalid-password') => {
+    const stale = isStale(user.loginSecurity?.lastFailedAt);
+
+    // Atomic increment so parallel attempts are all counted
+    const updated = await User.findByIdAndUpdate(
+        user._id,
+        stale ?
+            { $set: { 'loginSecurity.failedAttempts': 1, 'loginSecurity.lastFailedAt': new Date() } } :
+            { $inc: { 'loginSecurity.failedAttempts': 1 }, $set: { 'loginSecurity.lastFailedAt': new Date() } },
+        { new: true }
+    ).select('loginSecurity');
+
+    if (updated && updated.loginSecurity.failedAttempts >= MAX_ATTEMPTS) {
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: {
+                    'loginSecurity.lockedUntil': new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000),
+                    'loginSecurity.failedAttempts': 0
+                }
+            }
+        );
+    }
+
+    await recordEvent(user, meta, { success: false, failureReason: reason });
+};
+
+/**
+ * Reset counters after a successful sign-in and flag unfamiliar devices
+ * Sends a notice email when the sign-in looks suspicious
+ */
+export const recordSuccessfulLogin = async (user, meta) => {
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: { 'loginSecurity.failedAttempts': 0 },
+            $unset: { 'loginSecurity.lastFailedAt': 1, 'loginSecurity.lockedUntil': 1 }
+        }
+    );
+
+    const knownDevice = await LoginEvent.isKnownDevice(user._id, meta.ip, meta.userAgent);
+    const suspicious = knownDevice === false;
+
+    const event = await recordEvent(user, meta, { success: true, suspicious });
+
+    if (suspicious) {
+        try {
+            await sendMail(newSignInMail(user, event));
+        } catch (error) {
+            console.error('Error sending mail:', error);
+        }
+    }
+
+    return { suspicious };
+};
+
+export default {
+    getLoginBlock,
+    recordBlockedLogin,
+    recordFailedLogin,
+    recordSuccessfulLogin
+};
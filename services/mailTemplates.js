@@ -0,0 +1,138 @@
+// services/mailTemplates.js - Plain-text email content
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Base URL of the frontend, used to build links in emails
+const appUrl = () => process.env.APP_URL || 'http://localhost:5173';
+
+/**
+ * Email address verification link
+ */
+export const emailVerificationMail = (user, token, ttlHours) => ({
+    to: user.email,
+    subject: 'Verify your LaPointe email address',
+    text: [
+        `Hi ${user.username},`,
+        '',
+        'Please confirm this is your email address:',
+        `${appUrl()}/verify-email?token=${encodeURIComponent(token)}`,
+        '',
+        `This link expires in ${ttlHours} hours.`,
+        'You need a verified email to become a fighter and send challenges.'
+    ].join('\n')
+});
+
+/**
+ * Password reset link
+ */
+export const passwordResetMail = (user, token, ttlMinutes) => ({
+    to: user.email,
+    subject: 'Reset your LaPointe password',
+    text: [
+        `Hi ${user.username},`,
+        '',
+        'We received a request to reset your password. Use the link below to choose a new one:',
+        `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`,
+        '',
+        `This link expires in ${ttlMinutes} minutes and can only be used once.`,
+        'If you did not request a reset, you can ignore this email.'
+    ].join('\n')
+});
+
+/**
+ * Confirmation that the password was changed
+ * viaReset: set through a reset link (every session signed out) rather than
+ * from a signed-in session (the other sessions signed out)
+ */
+export const passwordChangedMail = (user, viaReset = false) => ({
+    to: user.email,
+    subject: viaReset ? 'Your LaPointe password was reset' : 'Your LaPointe password was changed',
+    text: [
+        `Hi ${user.username},`,
+        '',
+        viaReset ?
+            'The password on your account was just reset with a link sent to this address, and all your sessions were signed out.' :
+            'The password on your account was just changed and your other sessions were signed out.',
+        viaReset ?
+            'If this was not you, someone can read your email - secure your email account, then reset your password again and contact support.' :
+            'If this was not you, reset your password immediately and contact support.'
+    ].join('\n')
+});
+
+/**
+ * Confirmation link sent to the new address during an email change
+ */
+export const emailChangeConfirmMail = (user, newEmail, token, ttlHours) => ({
+    to: newEmail,
+    subject: 'Confirm your new LaPointe email address',
+    text: [
+        `Hi ${user.username},`,
+        '',
+        `Confirm that ${newEmail} should become the email address on your account:`,
+        `${appUrl()}/confirm-email?token=${encodeURIComponent(token)}`,
+        '',
+        `This link expires in ${ttlHours} hours. Until then your current address stays active.`
+    ].join('\n')
+});
+
+/**
+ * Notice sent to the old address when an email change is requested or completed
+ */
+export const emailChangeNoticeMail = (user, oldEmail, newEmail, completed) => ({
+    to: oldEmail,
+    subject: completed ? 'Your LaPointe email address was changed' : 'Email change requested on your LaPointe account',
+    text: [
+        `Hi ${user.username},`,
+        '',
+        completed ?
+            `The email address on your account was changed to ${newEmail}.` :
+            `Someone with your password asked to change your email address to ${newEmail}.`,
+        'If this was not you, reset your password immediately and contact support.'
+    ].join('\n')
+});
+
+/**
+ * Notice of a sign-in from an unfamiliar device or network
+ */
+export const newSignInMail = (user, event) => ({
+    to: user.email,
+    subject: 'New sign-in to your LaPointe account',
+    text: [
+        `Hi ${user.username},`,
+        '',
+        'Your account was just signed in from a device or network we have not seen before:',
+        `   Time: ${event.createdAt.toISOString()}`,
+        `   IP address: ${event.ip || 'unknown'}`,
+        `   Device: ${event.userAgent || 'unknown'}`,
+        '',
+        'If this was you, no action is needed. If not, change your password and sign out of all sessions.'
+    ].join('\n')
+});
+
+/**
+ * Reminder that a pending challenge expires soon
+ */
+export const challengeReminderMail = (user, challenger, challenge) => ({
+    to: user.email,
+    subject: `${challenger.username} is waiting for your answer`,
+    text: [
+        `Hi ${user.username},`,
+        '',
+        `${challenger.username} challenged you and is still waiting for a response.`,
+        `The challenge expires on ${challenge.expiresAt.toUTCString()}:`,
+        `${appUrl()}/challenges/${challenge._id}`,
+        '',
+        'Accept or decline it before then - after that the challenge expires automatically.'
+    ].join('\n')
+});
+
+export default {
+    emailVerificationMail,
+    passwordResetMail,
+    passwordChangedMail,
+    emailChangeConfirmMail,
+    emailChangeNoticeMail,
+    newSignInMail,
+    challengeReminderMail
+};
@@ -0,0 +1,129 @@
+// services/mailer.js - Pluggable mail delivery
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+import config from "../config/config.js";
+
+/**
+ * WHY WE NEED THIS:
+ * - Controllers send mail without knowing how it is delivered
+ * - Development and tests need mail without a real mail server
+ * - Production delivers through SMTP (MAIL_TRANSPORT=smtp, SMTP_URL); another
+ *   provider (SES, an HTTP API, ...) can be plugged in with setMailTransport()
+ *
+ * A transport is any object with an async send(message) method, where
+ * message = { to, subject, text, html? }.
+ */
+
+/**
+ * Console transport - prints mail to stdout
+ */
+export const consoleTransport = {
+    name: 'console',
+    async send(message) {
+        console.log('📧 Outgoing mail');
+        console.log(`   ▶ To: ${message.to}`);
+        console.log(`   ▶ Subject: ${message.subject}`);
+        console.log(message.text.split('\n').map(line => `     ${line}`).join('\n'));
+    }
+};
+
+/**
+ * File transport - appends each message as a JSON line to an outbox file
+ */
+export const createFileTransport = (filePath) => ({
+    name: 'file',
+    filePath,
+    async send(message) {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.appendFile(
+            filePath,
+            JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n'
+        );
+    }
+});
+
+/**
+ * Memory transport - keeps messages in an array (handy for tests)
+ */
+export const createMemoryTransport = () => {
+    const outbox = [];
+    return {
+        name: 'memory',
+        outbox,
+        async send(message) {
+            outbox.push({ ...message, sentAt: new Date() });
+        }
+    };
+};
+
+/**
+ * SMTP transport - delivers real mail through the server in `url`
+ */
+export const createSmtpTransport = (url) => {
+    const smtp = nodemailer.createTransport(url);
+    return {
+        name: 'smtp',
+        async send(message) {
+            await smtp.sendMail(message);
+        }
+    };
+};
+
+/**
+ * Pick the transport named by MAIL_TRANSPORT (console | file | memory | smtp)
+ * config/config.js only accepts smtp in production
+ */
+const createDefaultTransport = () => {
+    switch (config.mail.transport) {
+        case 'file':
+            return createFileTransport(config.mail.outboxFile);
+        case 'memory':
+            return createMemoryTransport();
+        case 'smtp':
+            return createSmtpTransport(config.mail.smtpUrl);
+        default:
+            return consoleTransport;
+    }
+};
+
+let transport = createDefaultTransport();
+
+/**
+ * Replace the active transport (e.g. with an SMTP implementation)
+ */
+export const setMailTransport = (newTransport) => {
+    if (!newTransport || typeof newTransport.send !== 'function') {
+        throw new Error('Mail transport must implement send(message)');
+    }
+    transport = newTransport;
+};
+
+export const getMailTransport = () => transport;
+
+/**
+ * Send a message through the active transport
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+    if (!to || !subject || !text) {
+        throw new Error('Mail requires to, subject and text');
+    }
+
+    await transport.send({
+        from: config.mail.from,
+        to,
+        subject,
+        text,
+        ...(html && { html })
+    });
+};
+
+export default {
+    sendMail,
+    setMailTransport,
+    getMailTransport,
+    consoleTransport,
+    createFileTransport,
+    createMemoryTransport,
+    createSmtpTransport
+};
@@ -0,0 +1,91 @@
+// services/openChallenges.js - Eligibility rules for open challenges
+import { AppError } from "../middleware/errorHandler.js";
+
+/**
+ * RULES (every criterion is optional; a fighter must meet all that are set):
+ * - weightClass: the fighter's own division must match
+ * - minRating / maxRating: the fighter's rating must be inside the band
+ * - location + radiusMiles: the fighter must live within the radius of the
+ *   fight location (both need coordinates - unknown locations are not eligible)
+ * - styles: the fighter must train at least one of the styles
+ */
+const EARTH_RADIUS_MILES = 3963.2;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance in miles between two GeoJSON points (null when either is missing)
+ */
+export const distanceMiles = (from, to) => {
+    if (!from?.coordinates?.length || !to?.coordinates?.length) {
+        return null;
+    }
+
+    const [lng1, lat1] = from.coordinates;
+    const [lng2, lat2] = to.coordinates;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Reasons a fighter ({ weightClass, rating, location, styles }) does not meet the criteria
+ * Returns [{ code, message }] - empty when the fighter is eligible
+ */
+export const eligibilityProblems = (eligibility = {}, fighter) => {
+    const problems = [];
+    const { weightClass, minRating, maxRating, location, radiusMiles, styles } = eligibility;
+
+    if (weightClass && fighter.weightClass !== weightClass) {
+        problems.push({ code: 'WEIGHT_CLASS', message: `Open to ${weightClass} fighters only` });
+    }
+
+    const rating = fighter.rating?.value;
+    if (typeof minRating === 'number' && !(rating >= minRating)) {
+        problems.push({ code: 'RATING_TOO_LOW', message: `Requires a rating of at least ${minRating}` });
+    }
+    if (typeof maxRating === 'number' && !(rating <= maxRating)) {
+        problems.push({ code: 'RATING_TOO_HIGH', message: `Requires a rating of at most ${maxRating}` });
+    }
+
+    if (radiusMiles && location?.point?.coordinates?.length) {
+        const distance = distanceMiles(fighter.location?.point, location.point);
+        if (distance === null || distance > radiusMiles) {
+            problems.push({
+                code: 'OUT_OF_RANGE',
+                message: `Open to fighters within ${radiusMiles} miles of ${location.city || 'the fight location'}`
+            });
+        }
+    }
+
+    if (styles?.length && !styles.some(style => fighter.styles?.includes(style))) {
+        problems.push({ code: 'STYLE', message: `Open to ${styles.join(' / ')} fighters only` });
+    }
+
+    return problems;
+};
+
+/**
+ * Throw a 403 NOT_ELIGIBLE AppError listing every unmet criterion
+ */
+export const enforceEligibility = (eligibility, fighter) => {
+    const problems = eligibilityProblems(eligibility, fighter);
+
+    if (problems.length > 0) {
+        throw new AppError(
+            `You are not eligible for this challenge: ${problems.map(problem => problem.message).join('; ')}`,
+            403,
+            'NOT_ELIGIBLE',
+            problems
+        );
+    }
+};
+
+export default {
+    distanceMiles,
+    eligibilityProblems,
+    enforceEligibility
+};
@@ -0,0 +1,296 @@
+// services/rankings.js - Divisional and pound-for-pound rankings
+import mongoose from "mongoose";
+import User, { DEFAULT_RATING } from "../models/userModel.js";
+import Ranking from "../models/rankingModel.js";
+import JobLock from "../models/jobLockModel.js";
+import { calculateRatingChange } from "./rating.js";
+import { DIVISION_NAMES } from "../config/weightClasses.js";
+
+/**
+ * HOW RANKINGS ARE BUILT:
+ * - Only completed, verified fights count. Every verified fight is replayed in
+ *   date order with the Elo rules from services/rating.js, giving each fighter
+ *   a "verified rating" that unverified (self-reported) results cannot move
+ * - A fighter's division is the weight class of their latest verified fight
+ *   in a ranked division (Catchweight / Open Weight fights still move ratings)
+ * - Activity: full score for FULL_ACTIVITY_DAYS after the last verified fight,
+ *   then the score slides linearly down to MIN_ACTIVITY_FACTOR; after
+ *   MAX_INACTIVE_DAYS the fighter drops out of the rankings
+ * - Pound-for-pound ranks every division together but needs P4P_MIN_FIGHTS
+ *   verified fights
+ *
+ * Recorded and verified results only schedule a recompute (scheduleRankingsRecompute):
+ * it runs in the background RECOMPUTE_DELAY_MS later, so a burst of results
+ * costs one replay. A lease in the joblocks collection keeps runs to one
+ * server at a time.
+ */
+export const RANKED_DIVISIONS = DIVISION_NAMES;
+export const P4P = "p4p";
+
+const RANKING_SIZE = 15;
+const P4P_MIN_FIGHTS = 3;
+const FULL_ACTIVITY_DAYS = 180;
+const MAX_INACTIVE_DAYS = 730;
+const MIN_ACTIVITY_FACTOR = 0.9;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECOMPUTE_DELAY_MS = 5000;
+const LOCK_NAME = "rankings";
+const LOCK_TTL_MS = 5 * 60 * 1000; // Longer than any full replay
+
+/**
+ * Map a URL parameter ("light-heavyweight", "Light Heavyweight", "P4P") to a division
+ * Returns null for anything that is not ranked
+ */
+export const resolveDivision = (value) => {
+    const normalized = String(value || '').toLowerCase().replace(/[-_\s]+/g, ' ').trim();
+    if (normalized === P4P || normalized === 'pound for pound') {
+        return P4P;
+    }
+    return RANKED_DIVISIONS.find(division => division.toLowerCase() === normalized) || null;
+};
+
+/**
+ * Multiplier applied to the verified rating for inactivity (0 = unranked)
+ */
+export const activityFactor = (lastFightAt, now = new Date()) => {
+    if (!lastFightAt) return 0;
+
+    const idleDays = (now - lastFightAt) / DAY_MS;
+    if (idleDays <= FULL_ACTIVITY_DAYS) return 1;
+    if (idleDays > MAX_INACTIVE_DAYS) return 0;
+
+    const progress = (idleDays - FULL_ACTIVITY_DAYS) / (MAX_INACTIVE_DAYS - FULL_ACTIVITY_DAYS);
+    return 1 - (1 - MIN_ACTIVITY_FACTOR) * progress;
+};
+
+/**
+ * Replay every verified fight and return one summary per fighter
+ */
+const computeVerifiedRatings = async () => {
+    const Fight = mongoose.model('Fight');
+    const fights = await Fight.find({ status: 'completed', 'verification.isVerified': true })
+        .select('fighters.user fighters.result details.actualDate details.weightClass')
+        .sort({ 'details.actualDate': 1, _id: 1 })
+        .lean();
+
+    const fighters = new Map();
+    const summaryFor = (userId) => {
+        const key = userId.toString();
+        if (!fighters.has(key)) {
+            fighters.set(key, {
+                fighter: userId,
+                rating: DEFAULT_RATING,
+                verifiedFights: 0,
+                lastFightAt: null,
+                division: null
+            });
+        }
+        return fighters.get(key);
+    };
+
+    for (const fight of fights) {
+        if (fight.fighters.length !== 2) continue;
+
+        const pair = fight.fighters.map(f => summaryFor(f.user));
+        const changes = fight.fighters.map((f, index) => calculateRatingChange(
+            pair[index].rating,
+            pair[1 - index].rating,
+            f.result,
+            pair[index].verifiedFights
+        ));
+
+        pair.forEach((summary, index) => {
+            summary.rating += changes[index].change;
+            if (changes[index].kFactor !== null) {
+                summary.verifiedFights += 1;
+            }
+            summary.lastFightAt = fight.details.actualDate || summary.lastFightAt;
+            if (RANKED_DIVISIONS.includes(fight.details.weightClass)) {
+                summary.division = fight.details.weightClass;
+            }
+        });
+    }
+
+    return [...fighters.values()];
+};
+
+/**
+ * Sort eligible fighters by score and number them
+ */
+const rankFighters = (summaries, now) => {
+    return summaries
+        .map(summary => ({
+            ...summary,
+            score: Math.round(summary.rating * activityFactor(summary.lastFightAt, now))
+        }))
+        .filter(summary => summary.score > 0 && summary.verifiedFights > 0)
+        .sort((a, b) => b.score - a.score || b.rating - a.rating || b.lastFightAt - a.lastFightAt)
+        .slice(0, RANKING_SIZE)
+        .map((summary, index) => ({
+            rank: index + 1,
+            fighter: summary.fighter,
+            score: summary.score,
+            rating: summary.rating,
+            verifiedFights: summary.verifiedFights,
+            lastFightAt: summary.lastFightAt
+        }));
+};
+
+const sameOrder = (snapshot, entries) => {
+    return snapshot.entries.length === entries.length &&
+        snapshot.entries.every((entry, index) => entry.fighter.toString() === entries[index].fighter.toString());
+};
+
+/**
+ * Store a division's ranking
+ * A new snapshot is created only when the order changed; otherwise the latest
+ * snapshot's numbers (and computedAt) are refreshed in place so its movement is kept.
+ */
+const storeRanking = async (division, entries, trigger) => {
+    const latest = await Ranking.latest(division);
+
+    if (latest && sameOrder(latest, entries)) {
+        latest.entries.forEach((entry, index) => {
+            entry.score = entries[index].score;
+            entry.rating = entries[index].rating;
+            entry.verifiedFights = entries[index].verifiedFights;
+            entry.lastFightAt = entries[index].lastFightAt;
+        });
+        latest.computedAt = new Date();
+        return latest.save();
+    }
+
+    const previousRanks = new Map(
+        (latest?.entries || []).map(entry => [entry.fighter.toString(), entry.rank])
+    );
+
+    return Ranking.create({
+        division,
+        trigger,
+        entries: entries.map(entry => {
+            const previousRank = previousRanks.get(entry.fighter.toString()) ?? null;
+            return {
+                ...entry,
+                previousRank,
+                movement: previousRank === null ? 0 : previousRank - entry.rank
+            };
+        })
+    });
+};
+
+const computeAndStoreRankings = async (trigger) => {
+    const now = new Date();
+    const summaries = await computeVerifiedRatings();
+
+    // Deleted accounts and retired fighters are not ranked
+    const rankable = await User.find({
+        _id: { $in: summaries.map(summary => summary.fighter) },
+        isFighter: true,
+        deletedAt: { $exists: false }
+    }).distinct('_id');
+    const rankableIds = new Set(rankable.map(id => id.toString()));
+    const eligible = summaries.filter(summary => rankableIds.has(summary.fighter.toString()));
+
+    await storeRanking(
+        P4P,
+        rankFighters(eligible.filter(summary => summary.verifiedFights >= P4P_MIN_FIGHTS), now),
+        trigger
+    );
+
+    for (const division of RANKED_DIVISIONS) {
+        await storeRanking(
+            division,
+            rankFighters(eligible.filter(summary => summary.division === division), now),
+            trigger
+        );
+    }
+};
+
+// Recomputes run one at a time so two results recorded together cannot interleave snapshots
+// (the queue covers this server, the lease covers the others)
+let queue = Promise.resolve();
+
+/**
+ * Recompute every division and the pound-for-pound list
+ * trigger: { reason, fight } stored on new snapshots
+ * Resolves false (without recomputing) while another server holds the lease
+ */
+export const recomputeRankings = (trigger = {}) => {
+    const run = async () => {
+        const owner = await JobLock.acquire(LOCK_NAME, LOCK_TTL_MS);
+        if (!owner) {
+            return false;
+        }
+
+        try {
+            await computeAndStoreRankings({
+                reason: trigger.reason || 'manual',
+                fight: trigger.fight || null
+            });
+            return true;
+        } finally {
+            await JobLock.release(LOCK_NAME, owner);
+        }
+    };
+    const result = queue.then(run, run);
+    queue = result.catch(() => {});
+    return result;
+};
+
+let scheduled = null; // Timer of the next background run
+let pendingTrigger = null;
+
+const runScheduled = async () => {
+    scheduled = null;
+    const trigger = pendingTrigger;
+    pendingTrigger = null;
+
+    try {
+        const done = await recomputeRankings(trigger);
+        if (!done) {
+            // Another server is replaying - run again once it is finished
+            scheduleRankingsRecompute(pendingTrigger || trigger);
+        }
+    } catch (error) {
+        console.error('Error recomputing rankings:', error);
+    }
+};
+
+/**
+ * Recompute rankings in the background, RECOMPUTE_DELAY_MS from now
+ * Triggers arriving before the run starts share it (the latest one is stored).
+ * Never throws and never delays the caller.
+ */
+export const scheduleRankingsRecompute = (trigger = {}) => {
+    pendingTrigger = trigger;
+
+    if (!scheduled) {
+        scheduled = setTimeout(runScheduled, RECOMPUTE_DELAY_MS);
+        scheduled.unref(); // Never keep the process alive just for this
+    }
+};
+
+/**
+ * Latest snapshot of a division, computing rankings first if none exist yet
+ * (null when another server is computing the first ones right now)
+ */
+export const getLatestRanking = async (division) => {
+    let ranking = await Ranking.latest(division);
+
+    if (!ranking) {
+        await recomputeRankings({ reason: 'on-demand' });
+        ranking = await Ranking.latest(division);
+    }
+
+    return ranking;
+};
+
+export default {
+    RANKED_DIVISIONS,
+    P4P,
+    resolveDivision,
+    activityFactor,
+    recomputeRankings,
+    scheduleRankingsRecompute,
+    getLatestRanking
+};
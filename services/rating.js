@@ -0,0 +1,158 @@
+// services/rating.js - Elo skill rating for fighters
+import User, { DEFAULT_RATING } from "../models/userModel.js";
+import RatingHistory from "../models/ratingHistoryModel.js";
+
+/**
+ * WHY WE NEED THIS:
+ * - record.wins/losses treats a win over a debutant the same as a win over a champion
+ * - A rating moves more when the result is a surprise and less when it was expected
+ *
+ * RULES:
+ * - Everyone starts at DEFAULT_RATING
+ * - Expected score: 1 / (1 + 10^((opponent - rating) / 400))
+ * - Change: K * (actual score - expected score), rounded to a whole point
+ * - K is higher while a fighter is provisional (fewer than PROVISIONAL_FIGHTS rated fights)
+ *   so new fighters reach their real level quickly
+ * - Win scores 1, draw 0.5, loss 0
+ * - No-contests are not rated: a history entry with a change of 0 is recorded
+ *   and they do not count towards the provisional period
+ */
+const PROVISIONAL_FIGHTS = 10;
+const K_PROVISIONAL = 40;
+const K_ESTABLISHED = 20;
+
+const SCORES = { win: 1, draw: 0.5, loss: 0 };
+
+/**
+ * Probability-like expected score of a fighter against an opponent
+ */
+export const expectedScore = (rating, opponentRating) => {
+    return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+};
+
+export const isProvisional = (ratedFights = 0) => ratedFights < PROVISIONAL_FIGHTS;
+
+export const kFactorFor = (ratedFights = 0) => {
+    return isProvisional(ratedFights) ? K_PROVISIONAL : K_ESTABLISHED;
+};
+
+/**
+ * Rating change for one fighter
+ * Returns { change, expected, kFactor } - expected and kFactor are null for unrated results
+ */
+export const calculateRatingChange = (rating, opponentRating, result, ratedFights = 0) => {
+    if (!(result in SCORES)) {
+        return { change: 0, expected: null, kFactor: null };
+    }
+
+    const expected = expectedScore(rating, opponentRating);
+    const kFactor = kFactorFor(ratedFights);
+
+    return {
+        change: Math.round(kFactor * (SCORES[result] - expected)),
+        expected,
+        kFactor
+    };
+};
+
+/**
+ * Apply a completed fight to both fighters' ratings
+ * Safe to call more than once for the same fight - only the first call has any effect.
+ * The history entries claim the fight; ratings then move by $inc so results
+ * recorded at the same time for one fighter all count. If a rating update
+ * fails, the fight is un-rated again (history removed, applied changes
+ * reversed) so history and ratings never disagree and a later call can retry.
+ * Returns the history entries written, or null if the fight was already rated.
+ */
+export const applyFightRatings = async (fight) => {
+    if (fight.status !== 'completed' || fight.fighters.length !== 2) {
+        return null;
+    }
+
+    if (await RatingHistory.exists({ fight: fight._id })) {
+        return null;
+    }
+
+    const ids = fight.fighters.map(f => f.user);
+    const users = await User.find({ _id: { $in: ids } }).select('rating');
+    const byId = new Map(users.map(user => [user._id.toString(), user]));
+
+    const current = ids.map(id => {
+        const user = byId.get(id.toString());
+        return {
+            value: user?.rating?.value ?? DEFAULT_RATING,
+            fights: user?.rating?.fights ?? 0
+        };
+    });
+
+    // Both changes are computed from the pre-fight ratings
+    const entries = fight.fighters.map((fighter, index) => {
+        const mine = current[index];
+        const theirs = current[1 - index];
+        const result = fighter.result || 'no-contest';
+        const { change, expected, kFactor } = calculateRatingChange(mine.value, theirs.value, result, mine.fights);
+
+        return {
+            user: fighter.user,
+            fight: fight._id,
+            opponent: fight.fighters[1 - index].user,
+            result,
+            ratingBefore: mine.value,
+            ratingAfter: mine.value + change,
+            change,
+            opponentRatingBefore: theirs.value,
+            expectedScore: expected,
+            kFactor,
+            provisional: isProvisional(mine.fights)
+        };
+    });
+
+    // Accounts from before ratings existed have no stored value to increment
+    await User.updateMany(
+        { _id: { $in: ids }, 'rating.value': { $exists: false } },
+        { $set: { 'rating.value': DEFAULT_RATING } }
+    );
+
+    try {
+        await RatingHistory.insertMany(entries, { ordered: true });
+    } catch (error) {
+        // Another request rated this fight first
+        if (error.code === 11000) {
+            return null;
+        }
+        throw error;
+    }
+
+    const now = new Date();
+    const updates = await Promise.allSettled(entries.map(entry => User.updateOne(
+        { _id: entry.user },
+        {
+            $set: { 'rating.updatedAt': now },
+            $inc: { 'rating.value': entry.change, 'rating.fights': entry.kFactor === null ? 0 : 1 },
+            $max: { 'rating.peak': entry.ratingAfter }
+        }
+    )));
+
+    const failed = updates.find(update => update.status === 'rejected');
+    if (failed) {
+        // Peaks are left as they are - a peak reached for a moment is harmless
+        await Promise.all(entries
+            .filter((entry, index) => updates[index].status === 'fulfilled')
+            .map(entry => User.updateOne(
+                { _id: entry.user },
+                { $inc: { 'rating.value': -entry.change, 'rating.fights': entry.kFactor === null ? 0 : -1 } }
+            )));
+        await RatingHistory.deleteMany({ fight: fight._id });
+        throw failed.reason;
+    }
+
+    return entries;
+};
+
+export default {
+    expectedScore,
+    isProvisional,
+    kFactorFor,
+    calculateRatingChange,
+    applyFightRatings
+};
@@ -0,0 +1,161 @@
+// services/scheduling.js - Fight date conflicts (booked fights and blackout windows)
+import User from "../models/userModel.js";
+import Fight from "../models/fightModel.js";
+import { AppError } from "../middleware/errorHandler.js";
+
+/**
+ * HOW A DATE IS CHECKED:
+ * - A fighter is booked by any scheduled, in-progress or postponed fight.
+ *   A new date clashes when it is less than MIN_DAYS_BETWEEN_FIGHTS away
+ *   from one of those fights (fighters need time to recover and prepare)
+ * - A date inside one of the fighter's blackout windows clashes too
+ *   (blackouts are whole UTC days, see PUT /api/users/me/availability)
+ * - When a date clashes, the next FREE_DATE_COUNT free days within
+ *   SEARCH_DAYS (same time of day) are suggested instead
+ *
+ * Blackout reasons are private - conflicts only say when a fighter is unavailable.
+ */
+export const MIN_DAYS_BETWEEN_FIGHTS = 7;
+export const BOOKED_STATUSES = ['scheduled', 'in-progress', 'postponed'];
+
+const FREE_DATE_COUNT = 5;
+const SEARCH_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const idsOf = (fighterIds) => fighterIds.filter(Boolean).map(id => id.toString());
+
+/**
+ * Load the fights and blackouts of the given fighters that can clash with a
+ * date between `from` and `to`
+ */
+const loadBookings = async (fighterIds, from, to, excludeFightId) => {
+    const buffer = MIN_DAYS_BETWEEN_FIGHTS * DAY_MS;
+
+    const [fights, fighters] = await Promise.all([
+        Fight.find({
+            'fighters.user': { $in: fighterIds },
+            status: { $in: BOOKED_STATUSES },
+            'details.scheduledDate': {
+                $gt: new Date(from.getTime() - buffer),
+                $lt: new Date(to.getTime() + buffer)
+            },
+            ...(excludeFightId && { _id: { $ne: excludeFightId } })
+        })
+            .select('fighters.user details.scheduledDate')
+            .lean(),
+        User.find({ _id: { $in: fighterIds } })
+            .select('username availability.blackouts')
+            .lean()
+    ]);
+
+    return { fights, fighters };
+};
+
+// Conflicts of every fighter on one date
+const conflictsOn = ({ fights, fighters }, date) => {
+    const conflicts = [];
+    const buffer = MIN_DAYS_BETWEEN_FIGHTS * DAY_MS;
+
+    for (const fighter of fighters) {
+        const fighterId = fighter._id.toString();
+
+        for (const fight of fights) {
+            const booked = fight.fighters.some(f => f.user?.toString() === fighterId);
+            if (booked && Math.abs(fight.details.scheduledDate - date) < buffer) {
+                conflicts.push({
+                    fighter: fighter._id,
+                    username: fighter.username,
+                    type: 'fight',
+                    fight: fight._id,
+                    date: fight.details.scheduledDate
+                });
+            }
+        }
+
+        for (const blackout of fighter.availability?.blackouts || []) {
+            if (blackout.start <= date && date <= blackout.end) {
+                conflicts.push({
+                    fighter: fighter._id,
+                    username: fighter.username,
+                    type: 'blackout',
+                    start: blackout.start,
+                    end: blackout.end
+                });
+            }
+        }
+    }
+
+    return conflicts;
+};
+
+// Free days from `date` onwards (the date itself included)
+const freeDatesFrom = (bookings, date) => {
+    const freeDates = [];
+    for (let day = 0; day <= SEARCH_DAYS && freeDates.length < FREE_DATE_COUNT; day++) {
+        const candidate = new Date(date.getTime() + day * DAY_MS);
+        if (conflictsOn(bookings, candidate).length === 0) {
+            freeDates.push(candidate);
+        }
+    }
+    return freeDates;
+};
+
+/**
+ * Check a date for the given fighters
+ * excludeFightId: the fight being rescheduled (it cannot clash with itself)
+ * Returns { conflicts, freeDates } - freeDates is empty when the date is free
+ */
+export const checkSchedule = async (fighterIds, date, { excludeFightId } = {}) => {
+    const when = new Date(date);
+    const bookings = await loadBookings(
+        idsOf(fighterIds),
+        when,
+        new Date(when.getTime() + SEARCH_DAYS * DAY_MS),
+        excludeFightId
+    );
+
+    const conflicts = conflictsOn(bookings, when);
+    return {
+        conflicts,
+        freeDates: conflicts.length > 0 ? freeDatesFrom(bookings, when) : []
+    };
+};
+
+/**
+ * Run checkSchedule and throw a 409 SCHEDULE_CONFLICT AppError when the date clashes
+ * The error details carry the conflicts and the suggested free dates.
+ */
+export const enforceSchedule = async (fighterIds, date, options) => {
+    const { conflicts, freeDates } = await checkSchedule(fighterIds, date, options);
+
+    if (conflicts.length > 0) {
+        const names = [...new Set(conflicts.map(conflict => conflict.username))];
+        throw new AppError(
+            `${names.join(' and ')} ${names.length > 1 ? 'are' : 'is'} not available on that date`,
+            409,
+            'SCHEDULE_CONFLICT',
+            { conflicts, freeDates }
+        );
+    }
+};
+
+/**
+ * Free days for the given fighters, starting at `from`
+ */
+export const findFreeDates = async (fighterIds, from = new Date()) => {
+    const when = new Date(from);
+    const bookings = await loadBookings(
+        idsOf(fighterIds),
+        when,
+        new Date(when.getTime() + SEARCH_DAYS * DAY_MS)
+    );
+    return freeDatesFrom(bookings, when);
+};
+
+export default {
+    MIN_DAYS_BETWEEN_FIGHTS,
+    BOOKED_STATUSES,
+    checkSchedule,
+    enforceSchedule,
+    findFreeDates
+};
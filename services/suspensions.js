@@ -0,0 +1,114 @@
+// services/suspensions.js - Automatic medical suspensions and suspension checks
+import Suspension from "../models/suspensionModel.js";
+import config from "../config/config.js";
+import { AppError } from "../middleware/errorHandler.js";
+
+/**
+ * RULES (lengths come from config.suspensions, set through the environment):
+ * - The loser of a KO or TKO is suspended for that method's number of days,
+ *   counted from the fight date
+ * - A stoppage in round `lateRound` or later adds `lateRoundExtraDays`
+ *   (more rounds absorbed before the stoppage)
+ * - Suspended fighters cannot be challenged, accept challenges or be booked
+ *   until their clearance date (the end of their longest active suspension)
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days of suspension for a stoppage loss (0 when the method does not suspend)
+ */
+export const suspensionDaysFor = (method, round, rules = config.suspensions) => {
+    const days = rules.days[method];
+    if (!days) {
+        return 0;
+    }
+    return days + (round >= rules.lateRound ? rules.lateRoundExtraDays : 0);
+};
+
+/**
+ * Suspend the loser of a completed KO / TKO fight
+ * Safe to call more than once - a fight only ever creates one automatic suspension per fighter.
+ */
+export const applyFightSuspensions = async (fight) => {
+    const { method, round } = fight.outcome || {};
+    const days = suspensionDaysFor(method, round);
+    if (fight.status !== 'completed' || days === 0) {
+        return null;
+    }
+
+    const loser = fight.fighters.find(f => f.result === 'loss');
+    if (!loser) {
+        return null;
+    }
+
+    const startsAt = fight.details.actualDate || new Date();
+
+    try {
+        return await Suspension.create({
+            fighter: loser.user._id ?? loser.user,
+            type: 'automatic',
+            reason: `${method} loss${round ? ` in round ${round}` : ''}`,
+            fight: fight._id,
+            method,
+            round: round || null,
+            startsAt,
+            until: new Date(startsAt.getTime() + days * DAY_MS)
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return null; // Already suspended for this fight
+        }
+        throw error;
+    }
+};
+
+/**
+ * Clearance dates of the suspended fighters among `fighterIds`
+ * Returns [{ fighter, username, until, reasons }] - empty when nobody is suspended
+ */
+export const findSuspendedFighters = async (fighterIds) => {
+    const suspensions = await Suspension.activeFor(fighterIds)
+        .populate('fighter', 'username');
+
+    const byFighter = new Map();
+    for (const suspension of suspensions) {
+        const key = suspension.fighter._id.toString();
+        const entry = byFighter.get(key) || {
+            fighter: suspension.fighter._id,
+            username: suspension.fighter.username,
+            until: suspension.until,
+            reasons: []
+        };
+        entry.until = entry.until > suspension.until ? entry.until : suspension.until;
+        entry.reasons.push(suspension.reason);
+        byFighter.set(key, entry);
+    }
+
+    return [...byFighter.values()];
+};
+
+/**
+ * Throw a 403 FIGHTER_SUSPENDED AppError when any of the fighters is suspended
+ * The error details list each suspended fighter with their clearance date.
+ */
+export const enforceNotSuspended = async (fighterIds) => {
+    const suspended = await findSuspendedFighters(fighterIds);
+
+    if (suspended.length > 0) {
+        throw new AppError(
+            suspended
+                .map(entry => `${entry.username} is suspended until ${entry.until.toISOString().slice(0, 10)}`)
+                .join('; '),
+            403,
+            'FIGHTER_SUSPENDED',
+            suspended
+        );
+    }
+};
+
+export default {
+    suspensionDaysFor,
+    applyFightSuspensions,
+    findSuspendedFighters,
+    enforceNotSuspended
+};
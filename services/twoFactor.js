@@ -0,0 +1,158 @@
+// services/twoFactor.js - RFC 6238 TOTP and recovery codes
+import crypto from "crypto";
+import { hashToken } from "../utils/tokens.js";
+
+/**
+ * Implements time-based one-time passwords (RFC 6238, HMAC-SHA1, 30s step,
+ * 6 digits) - the defaults every authenticator app understands.
+ */
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ==================== BASE32 (RFC 4648) ====================
+
+export const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+export const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// ==================== TOTP ====================
+
+/**
+ * Generate a new base32 secret (160 bits, as recommended by RFC 4226)
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Current time step number
+ */
+export const currentStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * HOTP value for a given counter (RFC 4226 section 5.3)
+ */
+export const generateCode = (secret, step = currentStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+                   (hmac[offset + 1] << 16) |
+                   (hmac[offset + 2] << 8) |
+                   hmac[offset + 3];
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Verify a code, allowing `window` steps of clock drift either way.
+ * Returns the matched step (store it to block replays) or null.
+ * Steps at or before `lastUsedStep` are rejected.
+ */
+export const verifyCode = (secret, code, { window = 1, lastUsedStep = -1, time = Date.now() } = {}) => {
+    const normalized = String(code).replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+
+    const now = currentStep(time);
+    for (let step = now - window; step <= now + window; step++) {
+        if (step <= lastUsedStep) continue;
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+/**
+ * otpauth:// URL for QR codes (Key Uri Format used by authenticator apps)
+ */
+export const buildOtpAuthUrl = (secret, accountName, issuer = 'LaPointe') => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// ==================== RECOVERY CODES ====================
+
+const RECOVERY_CODE_COUNT = 10;
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+
+/**
+ * Generate one-time recovery codes
+ * Returns the plain codes (shown to the user once) and their hashes (stored)
+ */
+export const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+        codes,
+        hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+    };
+};
+
+/**
+ * Find a recovery code among stored hashes
+ * Returns the index of the matching hash or -1
+ */
+export const findRecoveryCode = (hashes = [], code) => {
+    return hashes.indexOf(hashToken(normalizeRecoveryCode(code)));
+};
+
+export default {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpAuthUrl,
+    generateRecoveryCodes,
+    findRecoveryCode
+};
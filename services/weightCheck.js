@@ -0,0 +1,120 @@
+// services/weightCheck.js - Check fighters against a fight's weight class
+import {
+    CATCHWEIGHT,
+    OPEN_WEIGHT,
+    MAX_WEIGHT_CUT,
+    limitFor,
+    weightClassFor,
+    classIndex
+} from "../config/weightClasses.js";
+import { AppError } from "../middleware/errorHandler.js";
+
+/**
+ * RULES (weights are the fighters' profile weights):
+ * - Open Weight: no checks
+ * - Catchweight: needs an agreed catchweightLimit; the standard class table is
+ *   ignored, only the agreed limit is enforced
+ * - Standard class: the class limit is enforced
+ * - A fighter more than MAX_WEIGHT_CUT over the limit cannot make weight -> error
+ * - A fighter whose own class is two or more classes lighter than the fight's
+ *   class is allowed but flagged (BELOW_WEIGHT_CLASS)
+ * - A fighter with no weight on their profile is flagged (WEIGHT_UNKNOWN)
+ *
+ * Errors should reject the request; warnings are stored on the challenge / fight.
+ */
+
+const issue = (fighter, code, message, limit = null) => ({
+    fighter: fighter?._id ?? null,
+    code,
+    message,
+    weight: fighter?.weight ?? null,
+    limit
+});
+
+/**
+ * Check fighters ({ _id, username, weight }) against weight class details
+ * Returns { errors, warnings } - both arrays of { fighter, code, message, weight, limit }
+ */
+export const checkWeightClass = (fighters, { weightClass, catchweightLimit } = {}) => {
+    const errors = [];
+    const warnings = [];
+
+    if (!weightClass || weightClass === OPEN_WEIGHT) {
+        return { errors, warnings };
+    }
+
+    const isCatchweight = weightClass === CATCHWEIGHT;
+    if (isCatchweight && !catchweightLimit) {
+        errors.push(issue(null, 'CATCHWEIGHT_LIMIT_REQUIRED', 'Catchweight fights need an agreed weight limit'));
+        return { errors, warnings };
+    }
+
+    const limit = isCatchweight ? catchweightLimit : limitFor(weightClass);
+    const maxWeight = limit * (1 + MAX_WEIGHT_CUT);
+    const targetIndex = classIndex(weightClass);
+
+    for (const fighter of fighters) {
+        if (typeof fighter.weight !== 'number') {
+            warnings.push(issue(fighter, 'WEIGHT_UNKNOWN', `${fighter.username} has no weight on their profile`, limit));
+            continue;
+        }
+
+        if (fighter.weight > maxWeight) {
+            errors.push(issue(
+                fighter,
+                'OVER_WEIGHT_LIMIT',
+                `${fighter.username} weighs ${fighter.weight} lbs and cannot make the ${limit} lb limit`,
+                limit
+            ));
+            continue;
+        }
+
+        if (!isCatchweight && classIndex(weightClassFor(fighter.weight)) < targetIndex - 1) {
+            warnings.push(issue(
+                fighter,
+                'BELOW_WEIGHT_CLASS',
+                `${fighter.username} (${weightClassFor(fighter.weight)}) is moving up more than one weight class`,
+                limit
+            ));
+        }
+    }
+
+    return { errors, warnings };
+};
+
+/**
+ * Run checkWeightClass and throw a 400 WEIGHT_CLASS_MISMATCH AppError on errors
+ * Returns the warnings to store on the challenge / fight
+ */
+export const enforceWeightClass = (fighters, details) => {
+    const { errors, warnings } = checkWeightClass(fighters, details);
+
+    if (errors.length > 0) {
+        throw new AppError(
+            errors.map(error => error.message).join('; '),
+            400,
+            'WEIGHT_CLASS_MISMATCH',
+            errors
+        );
+    }
+
+    return warnings;
+};
+
+/**
+ * Weight class to use when none was picked: the heavier fighter's class
+ * Returns null when a weight is missing or a fighter is above the Heavyweight limit
+ */
+export const suggestWeightClass = (fighters) => {
+    const indexes = fighters.map(fighter => classIndex(weightClassFor(fighter.weight)));
+    if (indexes.some(index => index === -1)) {
+        return null;
+    }
+    return weightClassFor(Math.max(...fighters.map(fighter => fighter.weight)));
+};
+
+export default {
+    checkWeightClass,
+    enforceWeightClass,
+    suggestWeightClass
+};
@@ -0,0 +1,26 @@
+// utils/escapeRegex.js - Build regular expressions from user input safely
+
+/**
+ * Escape every character that has a meaning in a regular expression
+ * Without this, input such as "(a+)+$" is compiled as a pattern (ReDoS) and
+ * "." or "*" silently match far more than the user typed.
+ */
+export const escapeRegex = (value) => {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Case-insensitive "contains" matcher for a literal string
+ */
+export const containsPattern = (value) => new RegExp(escapeRegex(value), 'i');
+
+/**
+ * Case-insensitive "starts with" matcher for a literal string
+ */
+export const prefixPattern = (value) => new RegExp(`^${escapeRegex(value)}`, 'i');
+
+export default {
+    escapeRegex,
+    containsPattern,
+    prefixPattern
+};
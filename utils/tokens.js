@@ -0,0 +1,73 @@
+// utils/tokens.js - Helpers for signing access tokens and handling opaque tokens
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Generate a random, URL-safe opaque token
+ * Used for refresh tokens and any other single-use secret sent to the client
+ */
+export const generateToken = (bytes = 32) => {
+    return crypto.randomBytes(bytes).toString('base64url');
+};
+
+/**
+ * Hash an opaque token for storage
+ * Only the hash is persisted, so a database leak does not leak usable tokens
+ */
+export const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Sign a short-lived access token bound to a session
+ * verifyToken rejects the token as soon as the session is revoked
+ */
+export const signAccessToken = (user, sessionId) => {
+    return jwt.sign(
+        {
+            id: user._id,
+            role: user.role,
+            username: user.username,
+            sid: sessionId
+        },
+        process.env.JWT_SECRET,
+        {
+            expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || "15m"
+        }
+    );
+};
+
+/**
+ * Sign the short-lived token that links the two steps of a 2FA sign-in
+ * It carries no session id, so verifyToken never accepts it as an access token
+ */
+export const signTwoFactorChallenge = (user) => {
+    return jwt.sign(
+        { id: user._id, purpose: '2fa' },
+        process.env.JWT_SECRET,
+        { expiresIn: '5m' }
+    );
+};
+
+/**
+ * Verify a 2FA challenge token - returns the user id or null
+ */
+export const verifyTwoFactorChallenge = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === '2fa' ? decoded.id : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+export default {
+    generateToken,
+    hashToken,
+    signAccessToken,
+    signTwoFactorChallenge,
+    verifyTwoFactorChallenge
+};